@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+/*
+  co2api
+
+  Local HTTP JSON API over the calculation core (RoutesDB and Calculator)
+  for internal tools. No dependencies beyond Node's http module.
+
+  Endpoints:
+    GET  /cities                       -> { cities: [ ... ] }
+    GET  /distance?from=&to=           -> { origin, destination, distance, path, via, source }
+    POST /emission  { from, to | distance, mode, profile, passengers }
+                                       -> { distance, mode, profile, factor, emission, passengers,
+                                          perPassenger, credits, price }
+    POST /compare   { from, to | distance, passengers: { mode: n } }
+                                       -> { distance, comparison: [ ... ] }
+
+  Errors:
+    { error: { code, message, details: [ { code, field, message } ] } }
+    details come from the Validation error objects (js/validation.js).
+    400 VALIDATION_ERROR / INVALID_JSON, 404 NOT_FOUND / ROUTE_NOT_FOUND,
+    405 METHOD_NOT_ALLOWED, 413 PAYLOAD_TOO_LARGE.
+
+  Usage:
+    co2api [--port 3000] [--host 127.0.0.1]   (or PORT / HOST env vars)
+*/
+
+var http = require('http');
+var parseArgs = require('util').parseArgs;
+
+var Calculator = require('../js/calculator.js');
+var RoutesDB = require('../js/routes-data.js');
+var Validation = require('../js/validation.js');
+
+var MAX_BODY_BYTES = 64 * 1024;
+
+// Error carrying the HTTP status and the structured body fields
+function ApiError(status, code, message, details) {
+  this.status = status;
+  this.code = code;
+  this.message = message;
+  this.details = details || [];
+}
+ApiError.prototype = Object.create(Error.prototype);
+ApiError.prototype.constructor = ApiError;
+ApiError.prototype.name = 'ApiError';
+
+// Private helper: adds Validation errors to details as { code, field, message }
+function _addErrors(details, errors) {
+  errors.forEach(function (e) {
+    details.push({ code: e.code, field: e.field, message: e.message });
+  });
+  return errors.length;
+}
+
+// Private helper: throws a 400 when validation collected errors
+function _assertValid(details) {
+  if (details.length) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Parâmetros inválidos.', details);
+  }
+}
+
+// Private helper: validates { from, to } or { distance } and resolves the
+// distance. Field errors are pushed to details.
+function _resolveDistance(input, details) {
+  var hasDistance = input.distance !== undefined && input.distance !== null && input.distance !== '';
+
+  if (hasDistance) {
+    if (_addErrors(details, Validation.validateDistance(input.distance, 'distance'))) return null;
+    return { distance: input.distance };
+  }
+
+  ['from', 'to'].forEach(function (field) {
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      _addErrors(details, [Validation.createError('REQUIRED', field)]);
+    } else if (!RoutesDB.hasCity(input[field])) {
+      _addErrors(details, [Validation.createError('UNKNOWN_CITY', field, { city: input[field] })]);
+    }
+  });
+  if (details.length) return null;
+
+  var route = RoutesDB.findRoute(input.from, input.to);
+  if (!route) {
+    throw new ApiError(404, 'ROUTE_NOT_FOUND', 'Rota não encontrada entre "' + input.from + '" e "' + input.to + '".');
+  }
+  return {
+    distance: route.distanceKM,
+    origin: route.path[0],
+    destination: route.path[route.path.length - 1],
+    path: route.path,
+    via: route.via,
+    source: route.source
+  };
+}
+
+// Private helper: validates a mode key (and optional profile of that mode)
+function _validateMode(input, details) {
+  if (_addErrors(details, Validation.validateMode(input.mode, 'mode'))) return null;
+  var mode = input.mode.trim().toLowerCase();
+  _addErrors(details, Validation.validateProfile(mode, input.profile, 'profile'));
+  return mode;
+}
+
+var handlers = {
+  'GET /cities': function () {
+    return { cities: RoutesDB.getAllCities() };
+  },
+
+  'GET /distance': function (query) {
+    var details = [];
+    var input = { from: query.get('from') || '', to: query.get('to') || '' };
+    var resolved = _resolveDistance(input, details);
+    _assertValid(details);
+    return resolved;
+  },
+
+  'POST /emission': function (query, body) {
+    var details = [];
+    var resolved = _resolveDistance(body, details);
+    var mode = _validateMode(body, details);
+    _addErrors(details, Validation.validatePassengers(body.passengers, 'passengers'));
+    _assertValid(details);
+
+    var emission = Calculator.calculateEmission(resolved.distance, mode, body.profile);
+    var allocation = Calculator.calculateAllocation(emission, resolved.distance, mode, { passengers: body.passengers });
+    var credits = Calculator.calculateCarbonCredits(emission);
+
+    var result = {
+      distance: resolved.distance,
+      mode: mode,
+      profile: body.profile || null,
+      factor: Calculator.getEmissionFactor(mode, body.profile, resolved.distance),
+      emission: emission,
+      passengers: allocation.passengers,
+      perPassenger: allocation.perPassenger,
+      credits: credits,
+      price: Calculator.estimateCreditPrice(credits)
+    };
+    if (resolved.path) {
+      result.origin = resolved.origin;
+      result.destination = resolved.destination;
+      result.source = resolved.source;
+    }
+    return result;
+  },
+
+  'POST /compare': function (query, body) {
+    var details = [];
+    var resolved = _resolveDistance(body, details);
+    var passengers = body.passengers;
+    if (passengers !== undefined && (passengers === null || typeof passengers !== 'object' || Array.isArray(passengers))) {
+      details.push({ code: 'INVALID_PASSENGERS', field: 'passengers', message: 'Deve ser um objeto { modo: passageiros }.' });
+    } else if (passengers) {
+      Object.keys(passengers).forEach(function (mode) {
+        if (!_addErrors(details, Validation.validateMode(mode, 'passengers.' + mode))) {
+          _addErrors(details, Validation.validatePassengers(passengers[mode], 'passengers.' + mode));
+        }
+      });
+    }
+    _assertValid(details);
+
+    return {
+      distance: resolved.distance,
+      comparison: Calculator.calculateAllModes(resolved.distance, passengers)
+    };
+  }
+};
+
+// Private helper: reads and parses a JSON request body
+function _readBody(req) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    req.on('data', function (chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Corpo da requisição muito grande.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      var text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        var body = JSON.parse(text);
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('not an object');
+        }
+        resolve(body);
+      } catch (e) {
+        reject(new ApiError(400, 'INVALID_JSON', 'O corpo deve ser um objeto JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function _send(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * handleRequest(req, res)
+ * Routes a request to its handler and writes the JSON response.
+ */
+function handleRequest(req, res) {
+  var url = new URL(req.url, 'http://localhost');
+  var handler = handlers[req.method + ' ' + url.pathname];
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end();
+    return;
+  }
+
+  var fail = function (err) {
+    if (err instanceof ApiError) {
+      _send(res, err.status, { error: { code: err.code, message: err.message, details: err.details } });
+    } else {
+      console.error(err);
+      _send(res, 500, { error: { code: 'INTERNAL_ERROR', message: 'Erro interno.', details: [] } });
+    }
+  };
+
+  if (!handler) {
+    var knownPath = Object.keys(handlers).some(function (key) { return key.split(' ')[1] === url.pathname; });
+    fail(knownPath
+      ? new ApiError(405, 'METHOD_NOT_ALLOWED', 'Método ' + req.method + ' não permitido em ' + url.pathname + '.')
+      : new ApiError(404, 'NOT_FOUND', 'Endpoint não encontrado: ' + url.pathname + '.'));
+    return;
+  }
+
+  var body = req.method === 'POST' ? _readBody(req) : Promise.resolve({});
+  body.then(function (parsed) {
+    _send(res, 200, handler(url.searchParams, parsed));
+  }).catch(fail);
+}
+
+/**
+ * createServer()
+ * Returns an http.Server serving the API (not listening yet).
+ */
+function createServer() {
+  return http.createServer(handleRequest);
+}
+
+module.exports = {
+  ApiError: ApiError,
+  createServer: createServer,
+  handleRequest: handleRequest
+};
+
+if (require.main === module) {
+  var args = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' }
+    }
+  }).values;
+  var port = Number(args.port || process.env.PORT) || 3000;
+  var host = args.host || process.env.HOST || '127.0.0.1';
+
+  createServer().listen(port, host, function () {
+    console.log('co2api ouvindo em http://' + host + ':' + port);
+  });
+}
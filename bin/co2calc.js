@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/*
+  co2calc
+
+  Command-line interface to the calculation core (RoutesDB, Calculator and
+  the TripIO CSV import) for batch work outside the browser.
+
+  Usage:
+    co2calc --from "São Paulo, SP" --to "Campinas, SP" [--mode carro]
+            [--compare] [--credits] [--json]
+    co2calc --batch viagens.csv [--credits] [--json]
+
+  Exit codes:
+    0  success
+    1  invalid arguments or unreadable file
+    2  unknown city (or no route between the cities)
+    3  unknown transport mode
+    4  batch finished with invalid rows (valid rows are still printed)
+*/
+
+var fs = require('fs');
+var parseArgs = require('util').parseArgs;
+
+var CONFIG = require('../js/config.js');
+var Calculator = require('../js/calculator.js');
+var RoutesDB = require('../js/routes-data.js');
+var TripIO = require('../js/trip-io.js');
+var I18n = require('../js/i18n.js');
+
+var EXIT = {
+  OK: 0,
+  USAGE: 1,
+  UNKNOWN_CITY: 2,
+  UNKNOWN_MODE: 3,
+  BATCH_ERRORS: 4
+};
+
+var USAGE = [
+  'Uso:',
+  '  co2calc --from <cidade> --to <cidade> [--mode <modo>] [--compare] [--credits] [--json]',
+  '  co2calc --batch <arquivo.csv> [--credits] [--json]',
+  '',
+  'Opções:',
+  '  --from, -f      Cidade de origem ("Cidade, UF")',
+  '  --to, -t        Cidade de destino ("Cidade, UF")',
+  '  --mode, -m      Meio de transporte (padrão: ' + CONFIG.DEFAULT_MODE + ')',
+  '  --compare       Compara todos os meios de transporte',
+  '  --credits       Inclui créditos de carbono e preço estimado',
+  '  --json          Saída em JSON',
+  '  --batch, -b     CSV com colunas origem, destino, modo e distancia (opcional)',
+  '  --help, -h      Mostra esta ajuda',
+  '',
+  'Modos: ' + Object.keys(CONFIG.TRANSPORT_MODES).join(', ')
+].join('\n');
+
+// Private helper: pt-BR number with fixed decimals
+function _format(n, decimals) {
+  return Number(n).toLocaleString('pt-BR', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// Private helper: credits and price estimate of an emission
+function _credits(emission) {
+  var credits = Calculator.calculateCarbonCredits(emission);
+  return { credits: credits, price: Calculator.estimateCreditPrice(credits) };
+}
+
+/**
+ * calculateTrip(options)
+ * Resolves the route and calculates one trip. Returns { code, result, error }
+ * where result is the JSON-ready trip.
+ */
+function calculateTrip(options) {
+  var mode = String(options.mode || CONFIG.DEFAULT_MODE).trim().toLowerCase();
+  if (!CONFIG.TRANSPORT_MODES.hasOwnProperty(mode)) {
+    return { code: EXIT.UNKNOWN_MODE, error: 'Meio de transporte desconhecido: "' + options.mode + '".' };
+  }
+
+  var unknown = [options.from, options.to].filter(function (city) { return !RoutesDB.hasCity(city); });
+  if (unknown.length) {
+    return { code: EXIT.UNKNOWN_CITY, error: 'Cidade desconhecida: ' + unknown.map(function (c) { return '"' + c + '"'; }).join(', ') + '.' };
+  }
+
+  var route = RoutesDB.findRoute(options.from, options.to);
+  if (!route) {
+    return { code: EXIT.UNKNOWN_CITY, error: 'Rota não encontrada entre "' + options.from + '" e "' + options.to + '".' };
+  }
+
+  var emission = Calculator.calculateEmission(route.distanceKM, mode);
+  var result = {
+    origin: route.path[0],
+    destination: route.path[route.path.length - 1],
+    path: route.path,
+    distanceSource: route.source,
+    distance: route.distanceKM,
+    mode: mode,
+    emission: emission
+  };
+  if (options.credits) {
+    var c = _credits(emission);
+    result.credits = c.credits;
+    result.price = c.price;
+  }
+  if (options.compare) {
+    result.comparison = Calculator.calculateAllModes(route.distanceKM);
+  }
+  return { code: EXIT.OK, result: result };
+}
+
+// Private helper: human-readable output of a single trip
+function _tripText(r) {
+  var lines = [
+    r.path.join(' → ') + (r.distanceSource === 'estimated' ? ' (distância estimada)' : ''),
+    'Distância: ' + _format(r.distance, 1) + ' km',
+    'Transporte: ' + CONFIG.TRANSPORT_MODES[r.mode].label,
+    'Emissão: ' + _format(r.emission, 2) + ' kg CO₂'
+  ];
+  if (r.credits !== undefined) {
+    lines.push('Créditos: ' + _format(r.credits, 4) + ' (R$ ' + _format(r.price.min, 2) + ' – R$ ' + _format(r.price.max, 2) + ')');
+  }
+  if (r.comparison) {
+    lines.push('', 'Comparação:');
+    r.comparison.forEach(function (item) {
+      var label = CONFIG.TRANSPORT_MODES[item.mode].label + (item.band ? ' (' + item.band + ')' : '');
+      lines.push('  ' + label + ': ' + _format(item.emission, 2) + ' kg · ' + _format(item.percentageVsCar, 2) + ' % vs carro');
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * runBatch(text, options)
+ * Calculates every row of a CSV with TripIO.importCSV. Returns { code, report }.
+ */
+function runBatch(text, options) {
+  var report = TripIO.importCSV(text);
+  if (options.credits) {
+    report.trips.forEach(function (trip) {
+      trip.price = Calculator.estimateCreditPrice(trip.credits);
+    });
+  } else {
+    report.trips.forEach(function (trip) { delete trip.credits; });
+  }
+  return { code: report.errors.length ? EXIT.BATCH_ERRORS : EXIT.OK, report: report };
+}
+
+// Private helper: human-readable output of a batch report
+function _batchText(report) {
+  var lines = report.trips.map(function (t) {
+    return 'Linha ' + t.row + ': ' + t.origin + ' → ' + t.destination + ' · ' +
+      CONFIG.TRANSPORT_MODES[t.mode].label + ' · ' + _format(t.distance, 1) + ' km · ' +
+      _format(t.emission, 2) + ' kg CO₂' +
+      (t.credits !== undefined ? ' · ' + _format(t.credits, 4) + ' créditos' : '');
+  });
+  var total = report.trips.reduce(function (sum, t) { return sum + t.emission; }, 0);
+  lines.push('Total: ' + report.trips.length + ' viagens · ' + _format(total, 2) + ' kg CO₂');
+  return lines.join('\n');
+}
+
+/**
+ * run(argv, io)
+ * Runs the CLI with the arguments after the script name.
+ * io = { stdout, stderr } (writable streams). Returns the exit code.
+ */
+function run(argv, io) {
+  var out = function (text) { io.stdout.write(text + '\n'); };
+  var err = function (text) { io.stderr.write(text + '\n'); };
+
+  var args;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        from: { type: 'string', short: 'f' },
+        to: { type: 'string', short: 't' },
+        mode: { type: 'string', short: 'm' },
+        compare: { type: 'boolean' },
+        credits: { type: 'boolean' },
+        json: { type: 'boolean' },
+        batch: { type: 'string', short: 'b' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }).values;
+  } catch (e) {
+    err(e.message + '\n\n' + USAGE);
+    return EXIT.USAGE;
+  }
+
+  if (args.help) {
+    out(USAGE);
+    return EXIT.OK;
+  }
+
+  if (args.batch) {
+    if (args.from || args.to || args.compare) {
+      err('--batch não pode ser combinado com --from, --to ou --compare.');
+      return EXIT.USAGE;
+    }
+    var text;
+    try {
+      text = fs.readFileSync(args.batch, 'utf8');
+    } catch (e) {
+      err('Não foi possível ler "' + args.batch + '": ' + e.message);
+      return EXIT.USAGE;
+    }
+
+    var batch = runBatch(text, args);
+    if (args.json) {
+      out(JSON.stringify(batch.report, null, 2));
+    } else {
+      out(_batchText(batch.report));
+    }
+    batch.report.errors.forEach(function (e) {
+      err(I18n.t('import.row', { row: e.row, message: I18n.t('import.error.' + e.code, e.params) }));
+    });
+    return batch.code;
+  }
+
+  if (!args.from || !args.to) {
+    err('Informe --from e --to (ou --batch).\n\n' + USAGE);
+    return EXIT.USAGE;
+  }
+
+  var trip = calculateTrip(args);
+  if (trip.code !== EXIT.OK) {
+    if (args.json) {
+      out(JSON.stringify({ error: trip.error, code: trip.code }, null, 2));
+    }
+    err(trip.error);
+    return trip.code;
+  }
+
+  out(args.json ? JSON.stringify(trip.result, null, 2) : _tripText(trip.result));
+  return EXIT.OK;
+}
+
+module.exports = {
+  EXIT: EXIT,
+  run: run,
+  calculateTrip: calculateTrip,
+  runBatch: runBatch
+};
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr });
+}
@@ -7,14 +7,48 @@
 */
 
 var APP = {
+  // Incremented for every extra leg so field ids stay unique after removals
+  _legCounter: 1,
+
+  // Last calculated result (with comparison) for export
+  _lastResult: null,
+
+  // Last routes dataset status ({ state, info }) shown in #routes-status
+  _routesStatus: null,
+
+  // True while a calculation is replayed from the URL (initial load or
+  // back/forward), so it replaces the history entry instead of pushing one
+  // and is not logged in the trip history
+  _navigating: false,
+
+  // Currency of the credit price estimate (CONFIG.PRICES.CURRENCIES key)
+  _currency: 'BRL',
+
+  // True when the comparison shows full-lifecycle instead of tailpipe emissions
+  _lifecycle: false,
+
+  // Re-renders an open checkout in the current language (set by _setupCheckout)
+  _refreshCheckout: null,
+
   /**
    * init()
    * Called on page load to prepare UI and form handlers.
    */
   init: function () {
-    // Populate city datalist for autocomplete
-    if (CONFIG && typeof CONFIG.populateDatalist === 'function') {
-      try { CONFIG.populateDatalist(); } catch (err) { console.error(err); }
+    // Interface language: switcher and translation of the static markup
+    this._setupLanguage();
+
+    // Unit system (metric/imperial) switcher
+    this._setupUnits();
+
+    // City suggestion dropdowns for origin and destination
+    if (CONFIG && typeof CONFIG.setupCitySearch === 'function') {
+      try { CONFIG.setupCitySearch(); } catch (err) { console.error(err); }
+    }
+
+    // Build the transport grid from the mode registry
+    if (CONFIG && typeof CONFIG.populateTransportGrid === 'function') {
+      try { CONFIG.populateTransportGrid(); } catch (err) { console.error(err); }
     }
 
     // Setup automatic distance autofill behavior
@@ -31,9 +65,1092 @@ var APP = {
 
     form.addEventListener('submit', this._onFormSubmit.bind(this));
 
+    // Inline validation errors disappear as soon as the field is edited
+    var clearError = function (e) {
+      UI.clearFieldError(e.target);
+      if (e.target.name === 'transport') UI.clearFieldError(document.getElementById('transport-grid'));
+    };
+    form.addEventListener('input', clearError);
+    form.addEventListener('change', clearError);
+
+    // Multi-leg trips: add/remove extra legs
+    var addLegButton = document.getElementById('add-leg');
+    if (addLegButton) {
+      addLegButton.addEventListener('click', this._addLeg.bind(this));
+    }
+    var legsList = document.getElementById('legs-list');
+    if (legsList) {
+      legsList.addEventListener('click', this._onLegsListClick.bind(this));
+    }
+
+    // Occupancy/cargo inputs follow the transport modes used in the trip
+    form.addEventListener('change', this._onTransportChange.bind(this));
+    this._onTransportChange();
+
+    // Recurring trips: enable frequency inputs only when relevant
+    var periodSelect = document.getElementById('frequency-period');
+    if (periodSelect) {
+      periodSelect.addEventListener('change', this._onFrequencyChange.bind(this));
+      this._onFrequencyChange();
+    }
+
+    // Trip history: filters, delete buttons and initial render
+    this._setupHistory();
+
+    // User-defined routes: "save as custom route" buttons and management panel
+    this._setupCustomRoutes(form);
+
+    // CSV/JSON export buttons and CSV import
+    this._setupExport();
+
+    // Printable report of the last calculation
+    this._setupReport();
+
+    // Tailpipe/lifecycle switch of the comparison
+    this._setupComparison();
+
+    // "Compensar Emissões" checkout
+    this._setupCheckout();
+
+    // Dated credit prices and currency selector
+    this._setupPrices();
+
+    // Routes dataset; the permalink in the URL is replayed once it is loaded
+    this._setupRoutes(form);
+
     console.log('✅ Calculadora inicializada!');
   },
 
+  /**
+   * _setupLanguage()
+   * Fills the language switcher (#language-select) from I18n, translates the
+   * static markup to the saved language and switches language on change.
+   */
+  _setupLanguage: function () {
+    if (typeof I18n === 'undefined') return;
+
+    var select = document.getElementById('language-select');
+    if (select) {
+      select.innerHTML = I18n.getLanguages().map(function (lang) {
+        return '<option value="' + lang.code + '">' + lang.label + '</option>';
+      }).join('');
+      select.value = I18n.getLanguage();
+      select.addEventListener('change', this._onLanguageChange.bind(this));
+    }
+
+    I18n.translatePage(document);
+  },
+
+  /**
+   * _onLanguageChange(e)
+   * Switches the interface language and re-renders what is on screen: the
+   * static markup and leg forms (data-i18n), mode and profile options, the
+   * routes status, automatic distance helpers, the last result, custom
+   * routes, the history and an open checkout.
+   */
+  _onLanguageChange: function (e) {
+    if (!I18n.setLanguage(e.target.value)) return;
+    I18n.translatePage(document);
+
+    var modeNames = document.querySelectorAll('#transport-grid input[name="transport"]');
+    for (var i = 0; i < modeNames.length; i++) {
+      var name = document.querySelector('label[for="' + modeNames[i].id + '"] .transport-name');
+      if (name) name.textContent = I18n.modeLabel(modeNames[i].value);
+    }
+    var legOptions = document.querySelectorAll('#legs-list .leg__transport option');
+    for (var j = 0; j < legOptions.length; j++) {
+      var meta = CONFIG.TRANSPORT_MODES[legOptions[j].value] || {};
+      legOptions[j].textContent = (meta.icon ? meta.icon + ' ' : '') + I18n.modeLabel(legOptions[j].value);
+    }
+    this._refreshProfileOptions();
+
+    var status = document.getElementById('routes-status');
+    if (status && this._routesStatus) {
+      status.innerHTML = UI.renderRoutesStatus(this._routesStatus.state, this._routesStatus.info);
+    }
+
+    this._refreshDistances();
+    this._refreshResults();
+    this._renderCustomRoutes();
+    if (typeof TripHistory !== 'undefined') {
+      this._fillHistoryModes();
+      this._renderHistory();
+    }
+    if (this._refreshCheckout) this._refreshCheckout();
+  },
+
+  /**
+   * _setupUnits()
+   * Fills the unit system switcher (#units-select) and writes the current
+   * unit into the form labels.
+   */
+  _setupUnits: function () {
+    if (typeof Units === 'undefined') return;
+
+    var select = document.getElementById('units-select');
+    if (select) {
+      select.innerHTML = Units.getSystems().map(function (system) {
+        return '<option value="' + system + '" data-i18n="units.' + system + '">' + I18n.t('units.' + system) + '</option>';
+      }).join('');
+      select.value = Units.getSystem();
+      select.addEventListener('change', this._onUnitsChange.bind(this));
+    }
+
+    Units.applyToPage(document);
+  },
+
+  /**
+   * _onUnitsChange(e)
+   * Switches the unit system: converts the distances typed in the form,
+   * updates the unit labels and re-renders profile factors, custom routes,
+   * distance helpers, the history and the last result.
+   */
+  _onUnitsChange: function (e) {
+    var previous = Units.getSystem();
+    if (!Units.setSystem(e.target.value)) return;
+
+    var inputs = document.querySelectorAll('#distancia, #legs-list .leg__distance');
+    for (var i = 0; i < inputs.length; i++) {
+      var km = inputs[i].dataset.km ? parseFloat(inputs[i].dataset.km) : Units.toKm(parseFloat(inputs[i].value), previous);
+      if (!isNaN(km)) inputs[i].value = Math.round(Units.fromKm(km) * 10) / 10;
+    }
+
+    Units.applyToPage(document);
+    this._refreshProfileOptions();
+    this._renderCustomRoutes();
+    this._renderHistory();
+    this._refreshDistances();
+    this._refreshResults();
+  },
+
+  /**
+   * _refreshProfileOptions()
+   * Re-renders the vehicle profile options of the main form and of each leg
+   * (labels and factors follow the language and unit system), keeping the
+   * selection.
+   */
+  _refreshProfileOptions: function () {
+    var rerender = function (select, mode) {
+      if (!select || !mode) return;
+      var value = select.value;
+      select.innerHTML = UI.renderProfileOptions(mode);
+      select.value = value;
+    };
+
+    var transportChecked = document.querySelector('input[name="transport"]:checked');
+    rerender(document.getElementById('vehicle-profile'), transportChecked && transportChecked.value);
+
+    var legs = document.querySelectorAll('#legs-list .leg');
+    for (var i = 0; i < legs.length; i++) {
+      rerender(legs[i].querySelector('.leg__profile'), legs[i].querySelector('.leg__transport').value);
+    }
+  },
+
+  /**
+   * _refreshResults()
+   * Re-renders the results, comparison and credits of the last calculation
+   * (after a language change), without recalculating or logging the trip.
+   */
+  _refreshResults: function () {
+    if (!this._lastResult) return;
+    var report = this._lastResult.report;
+
+    var resultContainer = document.getElementById('result-content');
+    var comparisonContainer = document.getElementById('comparison-content');
+    if (resultContainer) resultContainer.innerHTML = UI.renderResults(report.results);
+    if (comparisonContainer) comparisonContainer.innerHTML = UI.renderComparison(report.comparison, report.selectedMode, this._lifecycle);
+    this._refreshCredits();
+  },
+
+  /**
+   * _setupComparison()
+   * Wires the tailpipe/lifecycle switch of the comparison section
+   * (name="comparison-view"), which re-renders the last comparison.
+   */
+  _setupComparison: function () {
+    var self = this;
+    document.addEventListener('change', function (e) {
+      if (e.target.name !== 'comparison-view') return;
+      self._lifecycle = e.target.value === 'lifecycle';
+
+      var container = document.getElementById('comparison-content');
+      if (!self._lastResult || !container) return;
+      var report = self._lastResult.report;
+      container.innerHTML = UI.renderComparison(report.comparison, report.selectedMode, self._lifecycle);
+    });
+  },
+
+  /**
+   * _setupRoutes(form)
+   * Loads the routes dataset (RoutesDB.load) with a loading state: the submit
+   * button stays disabled until it settles. On failure an error with a retry
+   * button is shown; manual distances still work. Then the permalink in the
+   * URL is replayed and back/forward navigation is followed.
+   */
+  _setupRoutes: function (form) {
+    var self = this;
+    var status = document.getElementById('routes-status');
+    var submitButton = form.querySelector('button[type="submit"]');
+    var permalinkReady = false;
+
+    // Remembered so a language change can re-render the status
+    var setStatus = function (state, info) {
+      self._routesStatus = { state: state, info: info };
+      if (status) status.innerHTML = UI.renderRoutesStatus(state, info);
+    };
+
+    var load = function () {
+      setStatus('loading');
+      if (submitButton) submitButton.disabled = true;
+
+      RoutesDB.load().then(function (info) {
+        setStatus('ready', info);
+        // Custom routes that replace a dataset route can now say so
+        self._renderCustomRoutes();
+        // Cities typed while loading: look their distance up now
+        var destino = document.getElementById('destino');
+        if (destino && destino.value.trim()) destino.dispatchEvent(new Event('change', { bubbles: true }));
+      }, function (err) {
+        console.error('Could not load routes dataset', err);
+        setStatus('error');
+      }).then(function () {
+        if (submitButton) submitButton.disabled = false;
+        if (permalinkReady || typeof Permalink === 'undefined') return;
+        permalinkReady = true;
+        window.addEventListener('popstate', self._restoreFromUrl.bind(self));
+        self._restoreFromUrl();
+      });
+    };
+
+    if (status) {
+      status.addEventListener('click', function (e) {
+        if (e.target.id === 'routes-retry') load();
+      });
+    }
+    load();
+  },
+
+  /**
+   * _setupCustomRoutes(form)
+   * Hands the stored custom routes to RoutesDB and wires the "save as custom
+   * route" buttons of the form (main trip and extra legs) and the edit/delete
+   * buttons of the management panel.
+   */
+  _setupCustomRoutes: function (form) {
+    if (typeof CustomRoutes === 'undefined') return;
+    var self = this;
+
+    CustomRoutes.sync();
+
+    form.addEventListener('click', function (e) {
+      var saveButton = e.target.closest('.save-route');
+      if (saveButton) self._saveCustomRoute(form, saveButton);
+    });
+
+    var content = document.getElementById('custom-routes-content');
+    if (content) {
+      content.addEventListener('click', function (e) {
+        var item = e.target.closest('.custom-routes__item');
+        if (!item) return;
+
+        if (e.target.closest('.custom-routes__delete')) {
+          CustomRoutes.remove(item.dataset.id);
+          self._renderCustomRoutes();
+          self._refreshDistances();
+        } else if (e.target.closest('.custom-routes__save')) {
+          var input = item.querySelector('.custom-routes__distance');
+          if (!CustomRoutes.update(item.dataset.id, { distanceKM: Units.toKm(parseFloat(input.value)) })) {
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+            return;
+          }
+          self._renderCustomRoutes();
+          self._refreshDistances();
+        }
+      });
+      content.addEventListener('input', function (e) {
+        e.target.removeAttribute('aria-invalid');
+      });
+    }
+
+    this._renderCustomRoutes();
+  },
+
+  /**
+   * _saveCustomRoute(form, button)
+   * Saves the manual distance of the main trip or of the leg the button
+   * belongs to as a custom route. Missing or invalid fields are reported
+   * inline like on submit.
+   */
+  _saveCustomRoute: function (form, button) {
+    var legEl = button.closest('.leg');
+    var suffix = legEl ? '-' + legEl.dataset.legId : '';
+    var origemEl = document.getElementById('origem' + suffix);
+    var destinoEl = document.getElementById('destino' + suffix);
+    var distanciaEl = document.getElementById('distancia' + suffix);
+
+    var errors = [];
+    if (!origemEl.value.trim()) errors.push(Validation.createError('REQUIRED', origemEl.id));
+    if (!destinoEl.value.trim()) errors.push(Validation.createError('REQUIRED', destinoEl.id));
+    var distance = distanciaEl.value.trim() === '' ? '' : parseFloat(distanciaEl.value);
+    errors = errors.concat(Validation.validateDistance(distance, distanciaEl.id));
+    if (errors.length) {
+      UI.showFieldErrors(form, errors);
+      return;
+    }
+
+    var stored = CustomRoutes.save({
+      origin: origemEl.value,
+      destination: destinoEl.value,
+      distanceKM: Units.toKm(distance)
+    });
+    if (!stored) {
+      UI.showFieldErrors(form, [Validation.createError('INVALID_DISTANCE', distanciaEl.id)]);
+      return;
+    }
+
+    origemEl.value = stored.origin;
+    destinoEl.value = stored.destination;
+    var helperText = distanciaEl.parentElement.querySelector('.field-helper');
+    if (helperText) {
+      helperText.textContent = I18n.t('distance.customSaved', { route: stored.origin + ' → ' + stored.destination });
+      helperText.style.color = '#10b981';
+    }
+    this._renderCustomRoutes();
+  },
+
+  /**
+   * _renderCustomRoutes()
+   * Renders the custom routes panel, flagging routes that replace a
+   * distance of the dataset.
+   */
+  _renderCustomRoutes: function () {
+    var content = document.getElementById('custom-routes-content');
+    if (!content || typeof CustomRoutes === 'undefined') return;
+
+    var routes = CustomRoutes.getAll().map(function (r) {
+      var found = RoutesDB.findRoute(r.origin, r.destination);
+      return {
+        id: r.id,
+        origin: r.origin,
+        destination: r.destination,
+        distanceKM: r.distanceKM,
+        overrides: found && found.source === 'custom' ? found.overrides : null
+      };
+    });
+    content.innerHTML = UI.renderCustomRoutes(routes);
+  },
+
+  /**
+   * _refreshDistances()
+   * Looks the automatic distances of the form up again (after a custom
+   * route, the language or the unit system changed) by re-dispatching
+   * change on each destination whose distance is not manual; manual ones
+   * only get their helper text rewritten.
+   */
+  _refreshDistances: function () {
+    var destinations = document.querySelectorAll('#destino, #legs-list .leg__destination');
+    for (var i = 0; i < destinations.length; i++) {
+      var field = destinations[i].closest('.leg') || document;
+      var manual = field.querySelector('#manual, .leg__manual');
+      if (manual && manual.checked) {
+        // Manual distances keep their value; only the helper follows language/units
+        var distance = field.querySelector('#distancia, .leg__distance');
+        var helper = distance && distance.parentElement.querySelector('.field-helper');
+        if (helper) helper.textContent = I18n.t('distance.manual', { unit: Units.distanceUnit() });
+      } else if (destinations[i].value.trim() && manual) {
+        destinations[i].dispatchEvent(new Event('change', { bubbles: true }));
+      }
+    }
+  },
+
+  /**
+   * _setupHistory()
+   * Fills the history mode filter from the registry and wires the filter
+   * inputs, per-entry delete buttons and the clear button.
+   */
+  _setupHistory: function () {
+    if (typeof TripHistory === 'undefined') return;
+
+    this._fillHistoryModes();
+
+    var render = this._renderHistory.bind(this);
+    ['history-mode', 'history-month', 'history-search'].forEach(function (id) {
+      var el = document.getElementById(id);
+      if (el) el.addEventListener('input', render);
+    });
+
+    var content = document.getElementById('history-content');
+    if (content) {
+      content.addEventListener('click', function (e) {
+        var deleteButton = e.target.closest('.history__delete');
+        if (!deleteButton) return;
+        TripHistory.remove(deleteButton.dataset.id);
+        render();
+      });
+    }
+
+    var clearButton = document.getElementById('history-clear');
+    if (clearButton) {
+      clearButton.addEventListener('click', function () {
+        if (confirm(I18n.t('history.clearConfirm'))) {
+          TripHistory.clear();
+          render();
+        }
+      });
+    }
+
+    this._renderHistory();
+  },
+
+  /**
+   * _fillHistoryModes()
+   * Fills the history mode filter (#history-mode) from the registry in the
+   * current language, keeping the selected mode.
+   */
+  _fillHistoryModes: function () {
+    var modeFilter = document.getElementById('history-mode');
+    if (!modeFilter) return;
+
+    var selected = modeFilter.value;
+    var options = '<option value="">' + I18n.t('history.allModes') + '</option>';
+    for (var mode in CONFIG.TRANSPORT_MODES) {
+      if (CONFIG.TRANSPORT_MODES.hasOwnProperty(mode)) {
+        options += '<option value="' + mode + '">' + CONFIG.TRANSPORT_MODES[mode].icon + ' ' + I18n.modeLabel(mode) + '</option>';
+      }
+    }
+    modeFilter.innerHTML = options;
+    modeFilter.value = selected;
+  },
+
+  /**
+   * _renderHistory()
+   * Renders the filtered trip list, the monthly/per-mode totals and the
+   * emissions-over-time chart.
+   */
+  _renderHistory: function () {
+    var content = document.getElementById('history-content');
+    var totals = document.getElementById('history-totals');
+    var chart = document.getElementById('history-chart');
+    if (!content || typeof TripHistory === 'undefined') return;
+
+    var modeFilter = document.getElementById('history-mode');
+    var monthFilter = document.getElementById('history-month');
+    var searchFilter = document.getElementById('history-search');
+
+    var entries = TripHistory.getAll();
+    var filtered = TripHistory.filter(entries, {
+      mode: modeFilter ? modeFilter.value : '',
+      month: monthFilter ? monthFilter.value : '',
+      text: searchFilter ? searchFilter.value : ''
+    });
+
+    content.innerHTML = UI.renderHistory(filtered);
+    if (totals) {
+      totals.innerHTML = filtered.length
+        ? UI.renderHistoryTotals(TripHistory.totalsByMonth(filtered), TripHistory.totalsByMode(filtered))
+        : '';
+    }
+    if (chart) {
+      chart.innerHTML = UI.renderHistoryChart(TripHistory.totalsByDay(filtered));
+    }
+
+    // Always visible so trips can be imported into an empty history
+    UI.showElement('historico');
+  },
+
+  /**
+   * _setupExport()
+   * Wires the [data-export] buttons (current result and history as CSV/JSON)
+   * and the CSV import input, whose valid rows are added to the history.
+   */
+  _setupExport: function () {
+    if (typeof TripIO === 'undefined') return;
+    var self = this;
+    var stamp = function () { return new Date().toISOString().slice(0, 10); };
+
+    document.addEventListener('click', function (e) {
+      var button = e.target.closest('[data-export]');
+      if (!button) return;
+
+      var type = button.dataset.export;
+      if (type === 'result-csv' || type === 'result-json') {
+        if (!self._lastResult) return;
+        if (type === 'result-csv') {
+          TripIO.download('emissao-' + stamp() + '.csv', TripIO.resultToCSV(self._lastResult), 'text/csv');
+        } else {
+          TripIO.download('emissao-' + stamp() + '.json', TripIO.resultToJSON(self._lastResult), 'application/json');
+        }
+      } else if (type === 'history-csv') {
+        TripIO.download('historico-' + stamp() + '.csv', TripIO.historyToCSV(TripHistory.getAll()), 'text/csv');
+      } else if (type === 'history-json') {
+        TripIO.download('historico-' + stamp() + '.json', TripIO.historyToJSON(TripHistory.getAll()), 'application/json');
+      }
+    });
+
+    var importInput = document.getElementById('import-csv');
+    if (!importInput) return;
+
+    importInput.addEventListener('change', function () {
+      var file = importInput.files && importInput.files[0];
+      if (!file) return;
+
+      var reader = new FileReader();
+      reader.onload = function () {
+        var report = TripIO.importCSV(String(reader.result));
+        for (var i = 0; i < report.trips.length; i++) {
+          var t = report.trips[i];
+          TripHistory.add({
+            origin: t.origin,
+            destination: t.destination,
+            mode: t.mode,
+            distance: t.distance,
+            emission: t.emission,
+            credits: t.credits
+          });
+        }
+
+        var reportContainer = document.getElementById('import-report');
+        if (reportContainer) reportContainer.innerHTML = UI.renderImportReport(report);
+        self._renderHistory();
+        importInput.value = '';
+      };
+      reader.onerror = function () {
+        console.error(reader.error);
+        alert(I18n.t('alert.fileRead'));
+      };
+      reader.readAsText(file);
+    });
+  },
+
+  /**
+   * _setupReport()
+   * Wires the "Gerar relatório" button: renders the last calculation into
+   * #relatorio with UI.renderReport and opens the print dialog. While
+   * body.report-mode is set the print stylesheet only prints the report.
+   */
+  _setupReport: function () {
+    var button = document.getElementById('report-button');
+    var container = document.getElementById('relatorio');
+    if (!button || !container) return;
+    var self = this;
+
+    button.addEventListener('click', function () {
+      if (!self._lastResult) return;
+      var report = self._lastResult.report;
+      container.innerHTML = UI.renderReport({
+        results: report.results,
+        comparison: report.comparison,
+        selectedMode: report.selectedMode,
+        lifecycle: self._lifecycle,
+        credits: report.credits,
+        generatedAt: new Date()
+      });
+      document.body.classList.add('report-mode');
+      window.print();
+    });
+
+    window.addEventListener('afterprint', function () {
+      document.body.classList.remove('report-mode');
+    });
+  },
+
+  /**
+   * _setupPrices()
+   * Loads the dated credit price table (CreditPrices) and wires the currency
+   * selector of the credits card. The credits card is refreshed when the
+   * table arrives or the currency changes.
+   */
+  _setupPrices: function () {
+    var self = this;
+    if (CONFIG.PRICES && CONFIG.PRICES.DEFAULT_CURRENCY) this._currency = CONFIG.PRICES.DEFAULT_CURRENCY;
+
+    document.addEventListener('change', function (e) {
+      if (e.target.id !== 'credit-currency') return;
+      self._currency = e.target.value;
+      self._refreshCredits();
+    });
+
+    if (typeof CreditPrices !== 'undefined') {
+      CreditPrices.load().then(function () {
+        self._refreshCredits();
+      });
+    }
+  },
+
+  /**
+   * _refreshCredits()
+   * Re-prices the last result with the current table and currency and
+   * re-renders the credits card.
+   */
+  _refreshCredits: function () {
+    var container = document.getElementById('credit-content');
+    if (!this._lastResult || !container) return;
+
+    var creditsData = this._lastResult.report.credits;
+    creditsData.price = Calculator.estimateCreditPrice(creditsData.credits, this._currency);
+    this._lastResult.price = creditsData.price;
+    container.innerHTML = UI.renderCarbonCredits(creditsData);
+  },
+
+  /**
+   * _setupCheckout()
+   * Opens the compensation flow from the .btn-compensate button of the
+   * credits card: project choice, order summary (Offset.buildOrder) and
+   * submission through the configured provider adapter (Offset.submitOrder).
+   */
+  _setupCheckout: function () {
+    var container = document.getElementById('checkout');
+    if (!container || typeof Offset === 'undefined') return;
+    var self = this;
+    var order = null;
+    // True while an order is being submitted: the checkout must stay in place
+    // so its confirmation or error is shown
+    var pending = false;
+
+    var render = function (projectId) {
+      order = Offset.buildOrder(self._lastResult.credits, projectId);
+      container.innerHTML = UI.renderCheckout(Offset.getProjects(), order);
+    };
+
+    // Project choice and cancel are locked while submitting; once the order
+    // is placed only closing is left
+    var lock = function (projects, cancel) {
+      var inputs = container.querySelectorAll('input[name="offset-project"]');
+      for (var i = 0; i < inputs.length; i++) inputs[i].disabled = projects;
+      var cancelButton = document.getElementById('checkout-cancel');
+      if (cancelButton) cancelButton.disabled = cancel;
+    };
+
+    document.addEventListener('click', function (e) {
+      if (!e.target.closest('#credit-content .btn-compensate')) return;
+      var projects = Offset.getProjects();
+      if (!self._lastResult || !projects.length || pending) return;
+
+      render(projects[0].id);
+      UI.showElement('checkout');
+      UI.scrollToElement('checkout');
+    });
+
+    container.addEventListener('change', function (e) {
+      if (e.target.name === 'offset-project' && !pending) render(e.target.value);
+    });
+
+    // Language switch (_onLanguageChange): an order not yet submitted is
+    // re-rendered; a pending or placed one keeps its status
+    self._refreshCheckout = function () {
+      if (order && !pending && document.getElementById('checkout-confirm')) render(order.projectId);
+    };
+
+    container.addEventListener('click', function (e) {
+      if (pending) return;
+      if (e.target.id === 'checkout-cancel') {
+        UI.hideElement('checkout');
+        container.innerHTML = '';
+        return;
+      }
+      if (e.target.id !== 'checkout-confirm' || !order) return;
+
+      var button = e.target;
+      var status = document.getElementById('checkout-status');
+      var submitted = order;
+      UI.showLoading(button, I18n.t('checkout.sending'));
+      pending = true;
+      lock(true, true);
+
+      Offset.submitOrder(submitted).then(function (confirmation) {
+        pending = false;
+        status.innerHTML = UI.renderCheckoutResult(submitted, confirmation, null);
+        // The order is placed: only cancelling (closing) is left
+        button.remove();
+        lock(true, false);
+      }, function (error) {
+        pending = false;
+        console.error(error);
+        status.innerHTML = UI.renderCheckoutResult(submitted, null, error);
+        UI.hideLoading(button);
+        lock(false, false);
+      });
+    });
+  },
+
+  /**
+   * _restoreFromUrl()
+   * Reads the form state from the URL query (Permalink.decode), prefills the
+   * form and submits it. Without a trip in the URL the results are hidden.
+   */
+  _restoreFromUrl: function () {
+    var form = document.getElementById('calculator-form');
+    if (!form) return;
+
+    var state = Permalink.decode(window.location.search);
+    if (!state) {
+      UI.hideElement('resultados');
+      UI.hideElement('comparacao');
+      UI.hideElement('creditos');
+      return;
+    }
+
+    this._applyFormState(form, state);
+    this._navigating = true;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+  },
+
+  /**
+   * _readFormState(form)
+   * Collects the form state serialized by Permalink.encode.
+   */
+  _readFormState: function (form) {
+    var legs = this._readLegs(form);
+    var frequency = this._readFrequency(form);
+    var load = this._readLoad(form);
+    var manualEl = form.querySelector('#manual');
+    var legManualEls = form.querySelectorAll('#legs-list .leg__manual');
+
+    return {
+      origin: legs[0].origin,
+      destination: legs[0].destination,
+      distance: legs[0].distanceKm,
+      manual: manualEl ? manualEl.checked : false,
+      transport: legs[0].mode,
+      profile: legs[0].profile,
+      roundTrip: frequency.roundTrip,
+      period: frequency.period,
+      tripsPerPeriod: frequency.tripsPerPeriod,
+      workingDays: frequency.workingDaysPerMonth,
+      passengers: load.passengers,
+      cargoTonnes: load.cargoTonnes,
+      legs: legs.slice(1).map(function (leg, i) {
+        return {
+          origin: leg.origin,
+          destination: leg.destination,
+          distance: leg.distanceKm,
+          manual: legManualEls[i] ? legManualEls[i].checked : false,
+          mode: leg.mode,
+          profile: leg.profile
+        };
+      })
+    };
+  },
+
+  /**
+   * _applyFormState(form, state)
+   * Prefills the form (main leg, extra legs, frequency and load) from a
+   * Permalink state. Distances are re-resolved by the auto-fill unless the
+   * leg was entered manually. Unknown modes/profiles are ignored.
+   */
+  _applyFormState: function (form, state) {
+    var modes = CONFIG.TRANSPORT_MODES;
+    var hasProfile = function (mode, profile) {
+      var profiles = (CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[mode]) || {};
+      return !!profile && profiles.hasOwnProperty(profile);
+    };
+
+    // Origin/destination/distance of one leg, honouring the manual flag
+    var fillLeg = function (origemInput, destinoInput, distanciaInput, manualCheckbox, leg) {
+      origemInput.value = leg.origin;
+      destinoInput.value = leg.destination;
+      if (manualCheckbox.checked !== leg.manual) {
+        manualCheckbox.checked = leg.manual;
+        manualCheckbox.dispatchEvent(new Event('change'));
+      } else if (!leg.manual) {
+        destinoInput.dispatchEvent(new Event('change'));
+      }
+      if (leg.manual) {
+        // The permalink stores km; the input shows the interface unit
+        distanciaInput.value = typeof leg.distance === 'number' ? Math.round(Units.fromKm(leg.distance) * 10) / 10 : '';
+      }
+    };
+
+    fillLeg(form.querySelector('#origem'), form.querySelector('#destino'), form.querySelector('#distancia'), form.querySelector('#manual'), state);
+
+    if (modes.hasOwnProperty(state.transport)) {
+      var radio = form.querySelector('#transport-' + state.transport);
+      if (radio) {
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      var profileSelect = form.querySelector('#vehicle-profile');
+      if (profileSelect && hasProfile(state.transport, state.profile)) profileSelect.value = state.profile;
+    }
+
+    // Extra legs: rebuild the list from the state
+    var legsList = document.getElementById('legs-list');
+    if (legsList) {
+      var existing = legsList.querySelectorAll('.leg');
+      for (var r = 0; r < existing.length; r++) legsList.removeChild(existing[r]);
+
+      for (var i = 0; i < state.legs.length; i++) {
+        var leg = state.legs[i];
+        this._addLeg();
+        var legEl = legsList.lastElementChild;
+        fillLeg(legEl.querySelector('.leg__origin'), legEl.querySelector('.leg__destination'), legEl.querySelector('.leg__distance'), legEl.querySelector('.leg__manual'), leg);
+
+        if (modes.hasOwnProperty(leg.mode)) {
+          var transportSelect = legEl.querySelector('.leg__transport');
+          transportSelect.value = leg.mode;
+          transportSelect.dispatchEvent(new Event('change', { bubbles: true }));
+          if (hasProfile(leg.mode, leg.profile)) legEl.querySelector('.leg__profile').value = leg.profile;
+        }
+      }
+    }
+
+    // Frequency and load
+    var roundTripEl = form.querySelector('#round-trip');
+    if (roundTripEl) roundTripEl.checked = state.roundTrip;
+    var periodEl = form.querySelector('#frequency-period');
+    if (periodEl && ['unica', 'dia', 'semana', 'mes'].indexOf(state.period) !== -1) {
+      periodEl.value = state.period;
+      this._onFrequencyChange();
+    }
+    var setNumber = function (selector, value) {
+      var el = form.querySelector(selector);
+      if (el && typeof value === 'number') el.value = value;
+    };
+    setNumber('#frequency-count', state.tripsPerPeriod);
+    setNumber('#working-days', state.workingDays);
+    setNumber('#passengers', state.passengers);
+    setNumber('#cargo-tonnes', state.cargoTonnes);
+  },
+
+  /**
+   * _addLeg()
+   * Appends a new leg block to #legs-list, wires its distance auto-fill and
+   * pre-fills its origin with the destination of the previous leg.
+   */
+  _addLeg: function () {
+    var legsList = document.getElementById('legs-list');
+    if (!legsList) return;
+
+    this._legCounter++;
+    var legId = this._legCounter;
+    var legNumber = legsList.querySelectorAll('.leg').length + 2;
+
+    legsList.insertAdjacentHTML('beforeend', UI.renderLegForm(legId, legNumber));
+    var legEl = legsList.lastElementChild;
+
+    var origemInput = legEl.querySelector('.leg__origin');
+    var destinoInput = legEl.querySelector('.leg__destination');
+    var distanciaInput = legEl.querySelector('.leg__distance');
+    var manualCheckbox = legEl.querySelector('.leg__manual');
+    CONFIG.bindCitySearch(origemInput);
+    CONFIG.bindCitySearch(destinoInput);
+    var autoFillDistance = CONFIG.bindDistanceAutoFill(origemInput, destinoInput, distanciaInput, manualCheckbox);
+
+    // Chain legs: start where the previous one ended (and look the distance
+    // up right away, as a typed origin would)
+    var previousDestinations = document.querySelectorAll('#destino, #legs-list .leg__destination');
+    var previous = previousDestinations[previousDestinations.length - 2];
+    if (previous && previous.value.trim()) {
+      origemInput.value = previous.value.trim();
+      if (autoFillDistance) autoFillDistance();
+    }
+
+    destinoInput.focus();
+  },
+
+  /**
+   * _onLegsListClick(e)
+   * Delegated click handler for #legs-list: removes a leg and renumbers the rest.
+   */
+  _onLegsListClick: function (e) {
+    var removeButton = e.target.closest('.leg__remove');
+    if (!removeButton) return;
+
+    var legEl = removeButton.closest('.leg');
+    if (legEl) legEl.parentNode.removeChild(legEl);
+
+    var titles = document.querySelectorAll('#legs-list .leg__title');
+    for (var i = 0; i < titles.length; i++) {
+      titles[i].querySelector('.leg__number').textContent = i + 2;
+    }
+  },
+
+  /**
+   * _onTransportChange(e)
+   * Refreshes the vehicle profile options of the leg whose mode changed, shows
+   * the passengers input when any leg uses a mode with CONFIG.OCCUPANCY
+   * type 'passengers' and the cargo input when any leg carries cargo.
+   */
+  _onTransportChange: function (e) {
+    if (e && !e.target.matches('input[name="transport"], .leg__transport')) return;
+
+    var form = document.getElementById('calculator-form');
+    if (!form) return;
+
+    // Vehicle profiles are a sub-option of the selected mode
+    if (!e || e.target.name === 'transport') {
+      var profileSelect = form.querySelector('#vehicle-profile');
+      var transportChecked = form.querySelector('input[name="transport"]:checked');
+      if (profileSelect && transportChecked) {
+        profileSelect.innerHTML = UI.renderProfileOptions(transportChecked.value);
+      }
+    } else {
+      var legProfileSelect = e.target.closest('.leg').querySelector('.leg__profile');
+      if (legProfileSelect) legProfileSelect.innerHTML = UI.renderProfileOptions(e.target.value);
+    }
+
+    var occupancy = CONFIG.OCCUPANCY || {};
+    var types = {};
+    var legs = this._readLegs(form);
+    for (var i = 0; i < legs.length; i++) {
+      if (occupancy[legs[i].mode]) types[occupancy[legs[i].mode].type] = true;
+    }
+
+    if (types.passengers) UI.showElement('load-passengers'); else UI.hideElement('load-passengers');
+    if (types.cargo) UI.showElement('load-cargo'); else UI.hideElement('load-cargo');
+    if (types.passengers || types.cargo) UI.showElement('load-section'); else UI.hideElement('load-section');
+  },
+
+  /**
+   * _readLoad(form)
+   * Reads the occupancy and cargo inputs.
+   * Returns { passengers, cargoTonnes }
+   */
+  _readLoad: function (form) {
+    var passengersEl = form.querySelector('#passengers');
+    var cargoEl = form.querySelector('#cargo-tonnes');
+    var passengers = passengersEl ? parseFloat(passengersEl.value) : 1;
+    var cargoTonnes = cargoEl ? parseFloat(cargoEl.value) : 0;
+
+    return {
+      passengers: isNaN(passengers) ? 1 : passengers,
+      cargoTonnes: isNaN(cargoTonnes) ? 0 : cargoTonnes
+    };
+  },
+
+  /**
+   * _onFrequencyChange()
+   * Enables the trips-per-period input for recurring trips and the
+   * working-days input only for daily trips.
+   */
+  _onFrequencyChange: function () {
+    var periodSelect = document.getElementById('frequency-period');
+    var countInput = document.getElementById('frequency-count');
+    var workingDaysInput = document.getElementById('working-days');
+    if (!periodSelect) return;
+
+    if (countInput) countInput.disabled = periodSelect.value === 'unica';
+    if (workingDaysInput) workingDaysInput.disabled = periodSelect.value !== 'dia';
+  },
+
+  /**
+   * _readFrequency(form)
+   * Reads the round-trip toggle and frequency inputs.
+   * Returns { roundTrip, period, tripsPerPeriod, workingDaysPerMonth }
+   */
+  _readFrequency: function (form) {
+    var roundTripEl = form.querySelector('#round-trip');
+    var periodEl = form.querySelector('#frequency-period');
+    var countEl = form.querySelector('#frequency-count');
+    var workingDaysEl = form.querySelector('#working-days');
+
+    return {
+      roundTrip: roundTripEl ? roundTripEl.checked : false,
+      period: periodEl ? periodEl.value : 'unica',
+      tripsPerPeriod: countEl ? parseFloat(countEl.value) : 1,
+      workingDaysPerMonth: workingDaysEl ? parseFloat(workingDaysEl.value) : undefined
+    };
+  },
+
+  /**
+   * _readLegs(form)
+   * Reads every leg of the trip: the main form fields are leg 1 and each
+   * .leg block in #legs-list is an extra leg.
+   * Returns [ { origin, destination, distanceKm, distanceSource, mode, profile }, ... ]
+   */
+  _readLegs: function (form) {
+    // Distances are typed in the interface unit (Units); auto-filled ones
+    // keep their exact km in data-km
+    var readDistance = function (el) {
+      if (el && el.dataset.km) return parseFloat(el.dataset.km);
+      var value = parseFloat(el ? el.value : '');
+      return isNaN(value) ? 0 : Units.toKm(value);
+    };
+
+    var distanceEl = form.querySelector('#distancia');
+    var transportChecked = form.querySelector('input[name="transport"]:checked');
+    var profileEl = form.querySelector('#vehicle-profile');
+    var originEl = form.querySelector('#origem');
+    var destinationEl = form.querySelector('#destino');
+
+    var legs = [{
+      origin: originEl ? originEl.value.trim() : '',
+      destination: destinationEl ? destinationEl.value.trim() : '',
+      distanceKm: readDistance(distanceEl),
+      // 'catalogued', 'estimated' or 'manual' (set by CONFIG.bindDistanceAutoFill)
+      distanceSource: distanceEl && distanceEl.dataset.source ? distanceEl.dataset.source : 'manual',
+      mode: transportChecked ? transportChecked.value : '',
+      profile: profileEl ? profileEl.value : ''
+    }];
+
+    var legEls = form.querySelectorAll('#legs-list .leg');
+    for (var i = 0; i < legEls.length; i++) {
+      var legDistanceEl = legEls[i].querySelector('.leg__distance');
+      var legTransportEl = legEls[i].querySelector('.leg__transport');
+      var legProfileEl = legEls[i].querySelector('.leg__profile');
+      legs.push({
+        origin: legEls[i].querySelector('.leg__origin').value.trim(),
+        destination: legEls[i].querySelector('.leg__destination').value.trim(),
+        distanceKm: readDistance(legDistanceEl),
+        distanceSource: legDistanceEl.dataset.source || 'manual',
+        mode: legTransportEl ? legTransportEl.value : '',
+        profile: legProfileEl ? legProfileEl.value : ''
+      });
+    }
+
+    return legs;
+  },
+
+  /**
+   * _validateForm(form, legs, frequency, load)
+   * Validates the values read from the form. Returns Validation error
+   * objects whose field is the id of the invalid element (empty when valid).
+   */
+  _validateForm: function (form, legs, frequency, load) {
+    var errors = [];
+    var legEls = form.querySelectorAll('#legs-list .leg');
+
+    for (var i = 0; i < legs.length; i++) {
+      // Leg 1 is the main form (#origem, ...), extra legs use "-<legId>" ids
+      var suffix = i === 0 ? '' : '-' + legEls[i - 1].dataset.legId;
+      var manualEl = document.getElementById('manual' + suffix);
+
+      if (!legs[i].origin) errors.push(Validation.createError('REQUIRED', 'origem' + suffix));
+      if (!legs[i].destination) errors.push(Validation.createError('REQUIRED', 'destino' + suffix));
+      if (legs[i].origin && legs[i].destination) {
+        var distanceErrors = Validation.validateDistance(legs[i].distanceKm, 'distancia' + suffix);
+        if (distanceErrors.length && manualEl && !manualEl.checked) {
+          // Not typed by the user: the route lookup found no distance
+          distanceErrors = [Validation.createError('ROUTE_NOT_FOUND', 'distancia' + suffix)];
+        }
+        errors = errors.concat(distanceErrors);
+      }
+      errors = errors.concat(Validation.validateMode(legs[i].mode, i === 0 ? 'transport-grid' : 'transport' + suffix));
+    }
+
+    if (frequency.period !== 'unica' && !(frequency.tripsPerPeriod > 0)) {
+      errors.push(Validation.createError('INVALID_TRIPS', 'frequency-count'));
+    }
+    if (frequency.period === 'dia' && !(frequency.workingDaysPerMonth > 0 && frequency.workingDaysPerMonth <= 31)) {
+      errors.push(Validation.createError('INVALID_WORKING_DAYS', 'working-days'));
+    }
+
+    // Occupancy and cargo only count when shown for the selected modes
+    var isShown = function (id) {
+      var el = document.getElementById(id);
+      return el && !el.classList.contains('hidden');
+    };
+    if (isShown('load-passengers')) {
+      errors = errors.concat(Validation.validatePassengers(load.passengers, 'passengers'));
+    }
+    if (isShown('load-cargo')) {
+      errors = errors.concat(Validation.validateNonNegative(load.cargoTonnes, 'cargo-tonnes'));
+    }
+
+    return errors;
+  },
+
   /**
    * _onFormSubmit(e)
    * Internal form submit handler. Prevents default submission, validates inputs,
@@ -44,78 +1161,102 @@ var APP = {
 
     var form = e.currentTarget;
 
-    // Read form values
-    var originEl = form.querySelector('#origem');
-    var destinationEl = form.querySelector('#destino');
-    var distanceEl = form.querySelector('#distancia');
-    var transportChecked = form.querySelector('input[name="transport"]:checked');
+    // Consume the flag now so a failed validation doesn't leak it
+    var navigating = this._navigating;
+    this._navigating = false;
 
-    var origin = originEl ? originEl.value.trim() : '';
-    var destination = destinationEl ? destinationEl.value.trim() : '';
-    var distanceRaw = distanceEl ? distanceEl.value : '';
-    var distanceKm = parseFloat(distanceRaw);
-    if (isNaN(distanceKm)) distanceKm = 0;
-    var transportMode = transportChecked ? transportChecked.value : '';
+    // Read form values (leg 1 is the main form, extra legs come from #legs-list)
+    var legs = this._readLegs(form);
+    var isMultiLeg = legs.length > 1;
 
-    // Basic validation
-    if (!origin || !destination) {
-      alert('Por favor preencha origem e destino.');
-      return;
-    }
-    if (!distanceKm || distanceKm <= 0) {
-      alert('Distância inválida. Verifique se a distância foi preenchida automaticamente ou marque "Inserir distância manualmente".');
-      return;
-    }
-    if (!transportMode) {
-      alert('Selecione o meio de transporte.');
+    var frequency = this._readFrequency(form);
+    var tripMultiplier = frequency.roundTrip ? 2 : 1;
+    var load = this._readLoad(form);
+
+    // Validation: errors are shown next to their fields
+    var errors = this._validateForm(form, legs, frequency, load);
+    if (UI.showFieldErrors(form, errors)) {
       return;
     }
 
+    var origin = legs[0].origin;
+    var destination = legs[legs.length - 1].destination;
+    var transportMode = legs[0].mode;
+
     // Submit button and loading state
     var submitButton = form.querySelector('button[type="submit"]');
     UI.showLoading(submitButton);
 
-    // Hide previous results
+    // Hide previous results (and any checkout opened for them)
     UI.hideElement('resultados');
     UI.hideElement('comparacao');
     UI.hideElement('creditos');
+    UI.hideElement('checkout');
     // Also hide inner content containers to ensure they are cleared/hidden
     UI.hideElement('result-content');
     UI.hideElement('comparison-content');
     UI.hideElement('credit-content');
 
+    var self = this;
+    var query = typeof Permalink !== 'undefined' ? '?' + Permalink.encode(this._readFormState(form)) : null;
+
     // Simulate processing delay
     setTimeout(function () {
       try {
-        // Calculate emission for selected mode
-        var emissionKg = Calculator.calculateEmission(distanceKm, transportMode);
+        // Calculate emission per leg and trip totals
+        var trip = Calculator.calculateTrip(legs, load);
 
-        // Baseline: car emission
-        var carEmissionKg = Calculator.calculateEmission(distanceKm, 'carro');
+        // Round-trip and frequency multipliers (per trip includes the way back)
+        var recurrence = Calculator.calculateRecurrence(trip.totalEmission, frequency);
+        var distanceKm = trip.totalDistance * tripMultiplier;
+        var emissionKg = recurrence.perTrip;
 
-        // Savings compared to car
-        var savings = Calculator.calculateSavings(emissionKg, carEmissionKg);
+        // Savings compared to car (whole trip by car)
+        var savings = Calculator.calculateSavings(emissionKg, trip.carEmission * tripMultiplier);
 
-        // Comparison across modes
-        var comparisonArray = Calculator.calculateAllModes(distanceKm);
+        // Comparison across modes (whole trip made with a single mode), per person:
+        // the group's passenger count applies to the passenger modes it uses
+        // and the vehicle profile of the first leg using each mode is kept
+        var passengersByMode = {};
+        var profilesByMode = {};
+        var sharedPassengers = 1;
+        for (var l = 0; l < trip.legs.length; l++) {
+          passengersByMode[trip.legs[l].mode] = load.passengers;
+          if (!(trip.legs[l].mode in profilesByMode)) profilesByMode[trip.legs[l].mode] = trip.legs[l].profile;
+          sharedPassengers = Math.max(sharedPassengers, Calculator.getPassengers(trip.legs[l].mode, load.passengers));
+        }
+        var comparisonArray = Calculator.calculateAllModes(distanceKm, passengersByMode, profilesByMode);
 
-        // Carbon credits and price estimate
-        var credits = Calculator.calculateCarbonCredits(emissionKg);
-        var priceEstimate = Calculator.estimateCreditPrice(credits);
+        // Carbon credits and price estimate (annualized for recurring trips)
+        var credits = Calculator.calculateCarbonCredits(recurrence.recurring ? recurrence.annual : emissionKg);
+        var priceEstimate = Calculator.estimateCreditPrice(credits, self._currency);
 
         // Build render data
         var resultsData = {
           origin: origin,
           destination: destination,
           distance: distanceKm,
+          distanceSource: isMultiLeg ? null : legs[0].distanceSource,
           emission: emissionKg,
           mode: transportMode,
-          savings: savings
+          profile: legs[0].profile,
+          savings: savings,
+          legs: trip.legs,
+          roundTrip: frequency.roundTrip,
+          recurrence: recurrence,
+          allocation: {
+            passengers: sharedPassengers,
+            perPassenger: Math.round(trip.perPassenger * tripMultiplier * 100) / 100,
+            cargoTonnes: load.cargoTonnes,
+            perTonneKm: trip.perTonneKm
+          }
         };
 
         var creditsData = {
           credits: credits,
-          price: priceEstimate
+          price: priceEstimate,
+          annualized: recurrence.recurring,
+          emissionKg: recurrence.recurring ? recurrence.annual : emissionKg
         };
 
         // Render into DOM
@@ -127,8 +1268,12 @@ var APP = {
           resultContainer.innerHTML = UI.renderResults(resultsData);
           UI.showElement('result-content');
         }
+        // Highlight a mode only when the whole trip uses it
+        var singleMode = trip.legs.every(function (leg) { return leg.mode === transportMode; });
+        var selectedMode = singleMode ? transportMode : null;
+
         if (comparisonContainer) {
-          comparisonContainer.innerHTML = UI.renderComparison(comparisonArray, transportMode);
+          comparisonContainer.innerHTML = UI.renderComparison(comparisonArray, selectedMode, self._lifecycle);
           UI.showElement('comparison-content');
         }
         if (creditContainer) {
@@ -141,6 +1286,55 @@ var APP = {
         UI.showElement('comparacao');
         UI.showElement('creditos');
 
+        // Keep the result and comparison for export (and the render data for the report)
+        self._lastResult = {
+          origin: origin,
+          destination: destination,
+          distance: distanceKm,
+          mode: isMultiLeg ? 'multimodal' : transportMode,
+          emission: emissionKg,
+          credits: credits,
+          price: priceEstimate,
+          comparison: comparisonArray,
+          report: {
+            results: resultsData,
+            comparison: comparisonArray,
+            selectedMode: selectedMode,
+            credits: creditsData
+          }
+        };
+
+        // Log the trip (per-trip figures) and refresh the dashboard; permalink
+        // replays (page load, back/forward, shared links) are not new trips
+        if (typeof TripHistory !== 'undefined' && !navigating) {
+          var modesUsed = [];
+          var stops = [trip.legs[0].origin];
+          for (var m = 0; m < trip.legs.length; m++) {
+            if (modesUsed.indexOf(trip.legs[m].mode) === -1) modesUsed.push(trip.legs[m].mode);
+            stops.push(trip.legs[m].destination);
+          }
+          TripHistory.add({
+            origin: origin,
+            destination: destination,
+            route: stops.join(' → ') + (frequency.roundTrip ? ' ⇄' : ''),
+            mode: modesUsed.length > 1 ? 'multimodal' : transportMode,
+            modes: modesUsed,
+            distance: distanceKm,
+            emission: emissionKg,
+            credits: Calculator.calculateCarbonCredits(emissionKg)
+          });
+          self._renderHistory();
+        }
+
+        // Permalink: new calculations push a history entry, replays replace it
+        if (query !== null) {
+          if (navigating || query === window.location.search) {
+            window.history.replaceState(null, '', query);
+          } else {
+            window.history.pushState(null, '', query);
+          }
+        }
+
         // Scroll to results
         UI.scrollToElement('resultados');
 
@@ -148,7 +1342,7 @@ var APP = {
         UI.hideLoading(submitButton);
       } catch (calcError) {
         console.error(calcError);
-        alert('Ocorreu um erro ao calcular as emissões. Tente novamente.');
+        alert(I18n.t('alert.calculation'));
         UI.hideLoading(submitButton);
       }
     }, 1500);
@@ -2,42 +2,194 @@
   calculator.js
 
   Defines the global Calculator object with methods for calculating CO2 emissions,
-  comparing transport modes, estimating carbon credits, and their market prices.
+  comparing transport modes (tailpipe and full lifecycle), estimating carbon
+  credits and their market prices, and expressing emissions as everyday
+  equivalences.
 
-  All calculations use values from CONFIG (emission factors, carbon credit prices).
+  All calculations use values from CONFIG (transport mode registry, carbon credit
+  prices, equivalence table).
+
+  In Node the object is the CommonJS export (require('./calculator.js')) and
+  CONFIG is required from config.js.
+
+  Invalid input (unknown mode, negative or non-numeric distance, ...) is
+  described by Validation error objects. By default the methods log them and
+  return their neutral value (0, [], a zero price) as before; with
+  Calculator.setStrict(true) they throw a Validation.ValidationError instead.
 */
 
+// Node (CommonJS): load the CONFIG and Validation the browser gets from
+// config.js and validation.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+  var CONFIG = require('./config.js');
+}
+if (typeof Validation === 'undefined' && typeof require === 'function') {
+  var Validation = require('./validation.js');
+}
+
 var Calculator = {
   /**
-   * calculateEmission(distanceKm, transportMode)
+   * strict
+   * When true, invalid input throws a Validation.ValidationError instead of
+   * returning a neutral value. Change it with setStrict().
+   */
+  strict: false,
+
+  /**
+   * setStrict(enabled)
+   *
+   * Turns strict mode on or off.
+   *
+   * @param {boolean} enabled - true to throw on invalid input
+   */
+  setStrict: function (enabled) {
+    this.strict = !!enabled;
+  },
+
+  /**
+   * _reject(errors, fallback)
+   *
+   * Internal: handles the validation errors of a method call. Throws in
+   * strict mode; otherwise logs them and returns fallback.
+   */
+  _reject: function (errors, fallback) {
+    if (this.strict) {
+      throw new Validation.ValidationError(errors);
+    }
+    console.error(errors.map(function (e) { return e.field + ': ' + e.messages.en; }).join('; '));
+    return fallback;
+  },
+
+  /**
+   * deriveEmissionFactor(fuelType, consumption)
+   *
+   * Derives an emission factor from fuel consumption and the per-fuel
+   * coefficient in CONFIG.FUELS.
+   *
+   * @param {string} fuelType - Fuel key (e.g., 'gasolina', 'etanol', 'eletrico')
+   * @param {number} consumption - km per unit (km/l, km/m³) or kWh/100km for 'kwh' fuels
+   * @returns {number} - Emission factor in kg CO2 per km, rounded to 4 decimal places
+   */
+  deriveEmissionFactor: function (fuelType, consumption) {
+    // Validate inputs
+    if (typeof consumption !== 'number' || consumption <= 0) {
+      return 0;
+    }
+
+    if (typeof CONFIG === 'undefined' || !CONFIG.FUELS) {
+      console.error('CONFIG is not defined or missing FUELS');
+      return 0;
+    }
+
+    var fuel = CONFIG.FUELS[String(fuelType).trim().toLowerCase()];
+    if (!fuel) {
+      console.error('Unknown fuel type: ' + fuelType);
+      return 0;
+    }
+
+    // Electricity: kWh/100km × kg/kWh; other fuels: kg/unit ÷ km/unit
+    var factor = fuel.unit === 'kwh'
+      ? (consumption / 100) * fuel.kgCO2PerUnit
+      : fuel.kgCO2PerUnit / consumption;
+
+    return Math.round(factor * 10000) / 10000;
+  },
+
+  /**
+   * getDistanceBand(transportMode, distanceKm)
+   *
+   * Returns the distance band of a mode in CONFIG.TRANSPORT_MODES that applies
+   * to a distance (e.g. short-haul vs long-haul flights): the first band whose
+   * maxKm is >= distanceKm, or the first band without maxKm.
+   *
+   * @param {string} transportMode - Transport mode key
+   * @param {number} distanceKm - Distance in kilometers
+   * @returns {object|null} - { maxKm, factor, label } or null when the mode has no bands
+   */
+  getDistanceBand: function (transportMode, distanceKm) {
+    if (typeof CONFIG === 'undefined' || !CONFIG.TRANSPORT_MODES) return null;
+
+    var meta = CONFIG.TRANSPORT_MODES[String(transportMode).trim().toLowerCase()];
+    if (!meta || !Array.isArray(meta.bands) || typeof distanceKm !== 'number') return null;
+
+    for (var i = 0; i < meta.bands.length; i++) {
+      var band = meta.bands[i];
+      if (typeof band.maxKm !== 'number' || distanceKm <= band.maxKm) return band;
+    }
+    return null;
+  },
+
+  /**
+   * getEmissionFactor(transportMode, profileId, distanceKm)
+   *
+   * Returns the emission factor of a transport mode: derived from the vehicle
+   * profile in CONFIG.VEHICLE_PROFILES when one is given (divided by the
+   * profile's typical occupancy, if any), otherwise the
+   * distance band factor when the mode has bands and a distance is given,
+   * otherwise the registry factor.
+   *
+   * @param {string} transportMode - Transport mode key
+   * @param {string} profileId - Vehicle profile key within the mode (optional)
+   * @param {number} distanceKm - Distance in kilometers (optional, selects the band)
+   * @returns {number|null} - kg CO2 per km, or null for an unknown mode
+   */
+  getEmissionFactor: function (transportMode, profileId, distanceKm) {
+    if (typeof CONFIG === 'undefined' || !CONFIG.TRANSPORT_MODES) {
+      console.error('CONFIG is not defined or missing TRANSPORT_MODES');
+      return null;
+    }
+
+    var mode = String(transportMode).trim().toLowerCase();
+    if (!CONFIG.TRANSPORT_MODES.hasOwnProperty(mode)) {
+      return null;
+    }
+
+    var profiles = (CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[mode]) || {};
+    if (profileId && profiles.hasOwnProperty(profileId)) {
+      var profile = profiles[profileId];
+      var vehicleFactor = this.deriveEmissionFactor(profile.fuel, profile.consumption);
+      // Per-vehicle consumption shared by a typical occupancy (per passenger-km modes)
+      if (typeof profile.occupancy === 'number' && profile.occupancy > 1) {
+        return Math.round((vehicleFactor / profile.occupancy) * 10000) / 10000;
+      }
+      return vehicleFactor;
+    }
+
+    var band = this.getDistanceBand(mode, distanceKm);
+    if (band) {
+      return band.factor;
+    }
+
+    return CONFIG.TRANSPORT_MODES[mode].factor;
+  },
+
+  /**
+   * calculateEmission(distanceKm, transportMode, profileId)
    * 
    * Calculates the total CO2 emission in kg for a trip using a specific transport mode.
    * 
    * @param {number} distanceKm - Distance traveled in kilometers
    * @param {string} transportMode - Transport mode key (e.g., 'carro', 'onibus', etc.)
+   * @param {string} profileId - Vehicle profile key within the mode (optional, see getEmissionFactor)
    * @returns {number} - Emission in kg CO2, rounded to 2 decimal places
    */
-  calculateEmission: function (distanceKm, transportMode) {
-    // Validate inputs
-    if (typeof distanceKm !== 'number' || distanceKm < 0) {
+  calculateEmission: function (distanceKm, transportMode, profileId) {
+    if (typeof CONFIG === 'undefined' || !CONFIG.TRANSPORT_MODES) {
+      console.error('CONFIG is not defined or missing TRANSPORT_MODES');
       return 0;
     }
 
-    // Get emission factor from CONFIG
-    if (typeof CONFIG === 'undefined' || !CONFIG.EMISSION_FACTORS) {
-      console.error('CONFIG is not defined or missing EMISSION_FACTORS');
-      return 0;
+    // Validate inputs (a distance of 0 is a trip that emits nothing)
+    var errors = Validation.validateEmissionInput(distanceKm, transportMode);
+    if (errors.length) {
+      return this._reject(errors, 0);
     }
 
     // Normalize transport mode key
     var mode = String(transportMode).trim().toLowerCase();
-    if (!CONFIG.EMISSION_FACTORS.hasOwnProperty(mode)) {
-      console.error('Unknown transport mode: ' + mode);
-      return 0;
-    }
 
     // Calculate: distance × factor = emission
-    var factor = CONFIG.EMISSION_FACTORS[mode];
+    var factor = this.getEmissionFactor(mode, profileId, distanceKm);
     var emission = distanceKm * factor;
 
     // Round to 2 decimal places
@@ -45,56 +197,335 @@ var Calculator = {
   },
 
   /**
-   * calculateAllModes(distanceKm)
+   * calculateLifecycle(distanceKm, transportMode, profileId)
+   *
+   * Calculates the full-lifecycle emission of a trip: the direct (tailpipe)
+   * emission of calculateEmission plus fuel/energy production upstream of
+   * it and the vehicle manufacturing and infrastructure embodied per km,
+   * from the lifecycle entry of CONFIG.TRANSPORT_MODES. The upstream share
+   * comes from the CONFIG.FUELS entry of the profile's fuel (or the mode's
+   * lifecycle.fuel); fuels without tailpipe emission (grid electricity) put
+   * the whole energy emission under upstream and leave direct at 0. Modes
+   * without lifecycle data only have the direct part.
+   *
+   * @param {number} distanceKm - Distance traveled in kilometers
+   * @param {string} transportMode - Transport mode key
+   * @param {string} profileId - Vehicle profile key within the mode (optional)
+   * @returns {object} - { direct, upstream, embodied, total } in kg CO2, rounded to 2 decimals
+   */
+  calculateLifecycle: function (distanceKm, transportMode, profileId) {
+    var empty = { direct: 0, upstream: 0, embodied: 0, total: 0 };
+    if (typeof CONFIG === 'undefined' || !CONFIG.TRANSPORT_MODES) {
+      console.error('CONFIG is not defined or missing TRANSPORT_MODES');
+      return empty;
+    }
+
+    // Validate inputs (same rules as calculateEmission)
+    var errors = Validation.validateEmissionInput(distanceKm, transportMode);
+    if (errors.length) {
+      return this._reject(errors, empty);
+    }
+
+    var mode = String(transportMode).trim().toLowerCase();
+    var lifecycle = CONFIG.TRANSPORT_MODES[mode].lifecycle || {};
+    var profiles = (CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[mode]) || {};
+    var fuelKey = profileId && profiles.hasOwnProperty(profileId) ? profiles[profileId].fuel : lifecycle.fuel;
+    var fuel = (fuelKey && CONFIG.FUELS && CONFIG.FUELS[fuelKey]) || {};
+
+    // Emission of the energy used; it only leaves the vehicle for fuels burned on board
+    var energy = this.calculateEmission(distanceKm, mode, profileId);
+    var direct = fuel.tailpipe === false ? 0 : energy;
+    var upstream = energy - direct + energy * (fuel.upstreamRatio || 0);
+    var embodied = distanceKm * (lifecycle.embodied || 0);
+
+    return {
+      direct: direct,
+      upstream: Math.round(upstream * 100) / 100,
+      embodied: Math.round(embodied * 100) / 100,
+      total: Math.round((direct + upstream + embodied) * 100) / 100
+    };
+  },
+
+  /**
+   * getPassengers(transportMode, passengers)
+   *
+   * Resolves how many people share a vehicle of the given mode. Only modes with
+   * CONFIG.OCCUPANCY type 'passengers' accept a count (clamped to 1..max);
+   * every other mode carries a single person.
+   *
+   * @param {string} transportMode - Transport mode key
+   * @param {number} passengers - Requested passenger count (optional)
+   * @returns {number} - Passenger count used for allocation (>= 1)
+   */
+  getPassengers: function (transportMode, passengers) {
+    var occupancy = (typeof CONFIG !== 'undefined' && CONFIG.OCCUPANCY) || {};
+    var rule = occupancy[String(transportMode).trim().toLowerCase()];
+    if (!rule || rule.type !== 'passengers') {
+      return 1;
+    }
+
+    var count = typeof passengers === 'number' && passengers >= 1 ? Math.floor(passengers) : rule.defaultValue || 1;
+    return rule.max ? Math.min(count, rule.max) : count;
+  },
+
+  /**
+   * calculateAllocation(emissionKg, distanceKm, transportMode, load)
+   *
+   * Allocates a vehicle emission per passenger (carro/moto) and per
+   * tonne-km of cargo (caminhao). For perSeat modes (onibus, see
+   * CONFIG.OCCUPANCY) emissionKg is already per person and the group's
+   * emission is that times the passenger count.
+   *
+   * @param {number} emissionKg - Vehicle emission in kg CO2 (per seat for perSeat modes)
+   * @param {number} distanceKm - Distance in kilometers
+   * @param {string} transportMode - Transport mode key
+   * @param {object} load - { passengers: number, cargoTonnes: number } (optional)
+   * @returns {object} - {
+   *   emission: number,                                // kg CO2 of the whole group
+   *   passengers: number, perPassenger: number,        // kg CO2 per person
+   *   cargoTonnes: number, perTonneKm: number | null   // kg CO2 per t·km (null without cargo)
+   * }
+   */
+  calculateAllocation: function (emissionKg, distanceKm, transportMode, load) {
+    var l = load || {};
+    if (typeof emissionKg !== 'number' || emissionKg < 0) emissionKg = 0;
+
+    var mode = String(transportMode).trim().toLowerCase();
+    var passengers = this.getPassengers(mode, l.passengers);
+
+    var occupancy = (typeof CONFIG !== 'undefined' && CONFIG.OCCUPANCY) || {};
+    var carriesCargo = occupancy[mode] && occupancy[mode].type === 'cargo';
+    if (occupancy[mode] && occupancy[mode].perSeat) {
+      emissionKg = Math.round(emissionKg * passengers * 100) / 100;
+    }
+    var cargoTonnes = carriesCargo && typeof l.cargoTonnes === 'number' && l.cargoTonnes > 0 ? l.cargoTonnes : 0;
+
+    var perTonneKm = null;
+    if (cargoTonnes > 0 && typeof distanceKm === 'number' && distanceKm > 0) {
+      perTonneKm = Math.round((emissionKg / (cargoTonnes * distanceKm)) * 10000) / 10000;
+    }
+
+    return {
+      emission: emissionKg,
+      passengers: passengers,
+      perPassenger: Math.round((emissionKg / passengers) * 100) / 100,
+      cargoTonnes: cargoTonnes,
+      perTonneKm: perTonneKm
+    };
+  },
+
+  /**
+   * calculateAllModes(distanceKm, passengersByMode, profilesByMode)
    *
    * Calculates emissions for all available transport modes and compares
-   * each against car (baseline) as a percentage.
+   * each against car (baseline) as a percentage, on a per-person basis.
    *
    * @param {number} distanceKm - Distance in kilometers
-   * @returns {array} - Array of objects sorted by emission (lowest first):
-   *   [ { mode: 'bicicleta', emission: 0, percentageVsCar: 0 }, ... ]
+   * @param {object} passengersByMode - Optional occupancy per mode, e.g. { carro: 4 };
+   *   modes not given use CONFIG.OCCUPANCY defaults (see getPassengers)
+   * @param {object} profilesByMode - Optional vehicle profile per mode, e.g. { carro: 'eletrico' };
+   *   modes not given use the registry factor (or its distance band)
+   * @returns {array} - One entry per mode in CONFIG.TRANSPORT_MODES, sorted by
+   *   per-person emission (lowest first); band is the distance band label or null:
+   *   emission is the group's (see calculateAllocation):
+   *   [ { mode: 'bicicleta', profile: null, band: null, emission: 0, passengers: 1, perPerson: 0, percentageVsCar: 0,
+   *       lifecycle: { direct, upstream, embodied, total, perPerson, percentageVsCar } }, ... ]
+   *   lifecycle holds the same figures for the full lifecycle (see calculateLifecycle),
+   *   compared against the car's lifecycle emission
    */
-  calculateAllModes: function (distanceKm) {
+  calculateAllModes: function (distanceKm, passengersByMode, profilesByMode) {
     // Validate input
-    if (typeof distanceKm !== 'number' || distanceKm < 0) {
-      return [];
+    if (distanceKm !== 0) {
+      var errors = Validation.validateDistance(distanceKm, 'distance');
+      if (errors.length) {
+        return this._reject(errors, []);
+      }
     }
 
-    if (typeof CONFIG === 'undefined' || !CONFIG.EMISSION_FACTORS) {
-      console.error('CONFIG is not defined or missing EMISSION_FACTORS');
+    if (typeof CONFIG === 'undefined' || !CONFIG.TRANSPORT_MODES) {
+      console.error('CONFIG is not defined or missing TRANSPORT_MODES');
       return [];
     }
 
-    // Calculate car (baseline) emission first
-    var carEmission = this.calculateEmission(distanceKm, 'carro');
+    var occupancy = passengersByMode || {};
+    var profiles = profilesByMode || {};
+
+    // Calculate car (baseline) per-person emission first
+    var carEmission = this.calculateAllocation(
+      this.calculateEmission(distanceKm, 'carro', profiles.carro), distanceKm, 'carro', { passengers: occupancy.carro }
+    ).perPassenger;
     if (carEmission === 0) {
       // Avoid division by zero
       carEmission = 0.001;
     }
+    var carLifecycle = this.calculateAllocation(
+      this.calculateLifecycle(distanceKm, 'carro', profiles.carro).total, distanceKm, 'carro', { passengers: occupancy.carro }
+    ).perPassenger || 0.001;
 
     // Build results array
     var results = [];
-    for (var mode in CONFIG.EMISSION_FACTORS) {
-      if (CONFIG.EMISSION_FACTORS.hasOwnProperty(mode)) {
-        var emission = this.calculateEmission(distanceKm, mode);
-        var percentageVsCar = (emission / carEmission) * 100;
+    for (var mode in CONFIG.TRANSPORT_MODES) {
+      if (CONFIG.TRANSPORT_MODES.hasOwnProperty(mode)) {
+        var emission = this.calculateEmission(distanceKm, mode, profiles[mode]);
+        var band = profiles[mode] ? null : this.getDistanceBand(mode, distanceKm);
+        var allocation = this.calculateAllocation(emission, distanceKm, mode, { passengers: occupancy[mode] });
+        var percentageVsCar = (allocation.perPassenger / carEmission) * 100;
+        var lifecycle = this.calculateLifecycle(distanceKm, mode, profiles[mode]);
+        var lifecyclePerPerson = this.calculateAllocation(lifecycle.total, distanceKm, mode, { passengers: occupancy[mode] }).perPassenger;
+        lifecycle.perPerson = lifecyclePerPerson;
+        lifecycle.percentageVsCar = Math.round((lifecyclePerPerson / carLifecycle) * 100 * 100) / 100;
 
         results.push({
           mode: mode,
-          emission: emission,
-          percentageVsCar: Math.round(percentageVsCar * 100) / 100
+          profile: profiles[mode] || null,
+          band: band ? band.label : null,
+          emission: allocation.emission,
+          passengers: allocation.passengers,
+          perPerson: allocation.perPassenger,
+          percentageVsCar: Math.round(percentageVsCar * 100) / 100,
+          lifecycle: lifecycle
         });
       }
     }
 
-    // Sort by emission (lowest first)
+    // Sort by per-person emission (lowest first)
     results.sort(function (a, b) {
-      return a.emission - b.emission;
+      return a.perPerson - b.perPerson;
     });
 
     return results;
   },
 
+  /**
+   * calculateTrip(legs, load)
+   *
+   * Calculates the emission of every leg of a multi-leg trip (each leg with its
+   * own transport mode) and the totals for the whole trip. The same load
+   * (people in the vehicle, cargo on trucks) applies to every leg; leg
+   * emissions are the group's (see calculateAllocation).
+   *
+   * @param {array} legs - [ { origin, destination, distanceKm, mode, profile }, ... ]
+   *   (profile is an optional CONFIG.VEHICLE_PROFILES key within the mode)
+   * @param {object} load - { passengers: number, cargoTonnes: number } (optional)
+   * @returns {object} - {
+   *   legs: [ { origin, destination, distanceKm, mode, profile, emission, perPassenger, percentageOfTotal }, ... ],
+   *   totalDistance: number,  // km, rounded to 1 decimal place
+   *   totalEmission: number,  // kg CO2, rounded to 2 decimal places
+   *   carEmission: number,    // kg CO2 if every leg were made by an average car (baseline)
+   *   perPassenger: number,   // kg CO2 per person over the whole trip
+   *   perTonneKm: number | null // kg CO2 per t·km over the truck legs (null without cargo)
+   * }
+   */
+  calculateTrip: function (legs, load) {
+    var trip = { legs: [], totalDistance: 0, totalEmission: 0, carEmission: 0, perPassenger: 0, perTonneKm: null };
+    var cargoEmission = 0;
+    var tonneKm = 0;
+
+    // Validate input
+    if (!Array.isArray(legs)) {
+      return trip;
+    }
+
+    for (var i = 0; i < legs.length; i++) {
+      var leg = legs[i] || {};
+      var allocation = this.calculateAllocation(
+        this.calculateEmission(leg.distanceKm, leg.mode, leg.profile), leg.distanceKm, leg.mode, load
+      );
+      var emission = allocation.emission;
+
+      trip.legs.push({
+        origin: leg.origin,
+        destination: leg.destination,
+        distanceKm: leg.distanceKm,
+        mode: leg.mode,
+        profile: leg.profile || null,
+        emission: emission,
+        perPassenger: allocation.perPassenger
+      });
+
+      trip.perPassenger += allocation.perPassenger;
+      if (allocation.perTonneKm !== null) {
+        cargoEmission += emission;
+        tonneKm += allocation.cargoTonnes * leg.distanceKm;
+      }
+
+      if (typeof leg.distanceKm === 'number' && leg.distanceKm > 0) {
+        trip.totalDistance += leg.distanceKm;
+      }
+      trip.totalEmission += emission;
+      trip.carEmission += this.calculateEmission(leg.distanceKm, 'carro');
+    }
+
+    // Share of the total emission per leg
+    for (var j = 0; j < trip.legs.length; j++) {
+      var share = trip.totalEmission > 0 ? (trip.legs[j].emission / trip.totalEmission) * 100 : 0;
+      trip.legs[j].percentageOfTotal = Math.round(share * 100) / 100;
+    }
+
+    trip.totalDistance = Math.round(trip.totalDistance * 10) / 10;
+    trip.totalEmission = Math.round(trip.totalEmission * 100) / 100;
+    trip.carEmission = Math.round(trip.carEmission * 100) / 100;
+    trip.perPassenger = Math.round(trip.perPassenger * 100) / 100;
+    if (tonneKm > 0) {
+      trip.perTonneKm = Math.round((cargoEmission / tonneKm) * 10000) / 10000;
+    }
+
+    return trip;
+  },
+
+  /**
+   * calculateRecurrence(emissionKg, frequency)
+   *
+   * Applies round-trip and frequency multipliers to a one-way trip emission
+   * to report per-trip, monthly and annual figures for recurring commutes.
+   *
+   * @param {number} emissionKg - One-way trip emission in kg CO2
+   * @param {object} frequency - {
+   *   roundTrip: boolean,            // doubles the per-trip emission
+   *   period: 'unica' | 'dia' | 'semana' | 'mes',
+   *   tripsPerPeriod: number,        // how many trips per period (default 1)
+   *   workingDaysPerMonth: number    // used when period is 'dia' (default CONFIG.FREQUENCY)
+   * }
+   * @returns {object} - { recurring, perTrip, tripsPerMonth, tripsPerYear, monthly, annual }
+   *   monthly/annual are 0 for a single trip ('unica'), all rounded to 2 decimals
+   */
+  calculateRecurrence: function (emissionKg, frequency) {
+    var f = frequency || {};
+
+    // Validate input
+    if (typeof emissionKg !== 'number' || emissionKg < 0) {
+      emissionKg = 0;
+    }
+
+    var settings = (typeof CONFIG !== 'undefined' && CONFIG.FREQUENCY) || {};
+    var workingDays = typeof f.workingDaysPerMonth === 'number' && f.workingDaysPerMonth > 0
+      ? f.workingDaysPerMonth
+      : settings.WORKING_DAYS_PER_MONTH || 22;
+    var weeksPerMonth = settings.WEEKS_PER_MONTH || 52 / 12;
+    var monthsPerYear = settings.MONTHS_PER_YEAR || 12;
+    var tripsPerPeriod = typeof f.tripsPerPeriod === 'number' && f.tripsPerPeriod > 0 ? f.tripsPerPeriod : 1;
+
+    var perTrip = emissionKg * (f.roundTrip ? 2 : 1);
+
+    // Trips per month by period
+    var tripsPerMonth = 0;
+    if (f.period === 'dia') tripsPerMonth = tripsPerPeriod * workingDays;
+    else if (f.period === 'semana') tripsPerMonth = tripsPerPeriod * weeksPerMonth;
+    else if (f.period === 'mes') tripsPerMonth = tripsPerPeriod;
+
+    var monthly = perTrip * tripsPerMonth;
+    var annual = monthly * monthsPerYear;
+
+    return {
+      recurring: tripsPerMonth > 0,
+      perTrip: Math.round(perTrip * 100) / 100,
+      tripsPerMonth: Math.round(tripsPerMonth * 100) / 100,
+      tripsPerYear: Math.round(tripsPerMonth * monthsPerYear * 100) / 100,
+      monthly: Math.round(monthly * 100) / 100,
+      annual: Math.round(annual * 100) / 100
+    };
+  },
+
   /**
    * calculateSavings(emission, baselineEmission)
    *
@@ -137,8 +568,9 @@ var Calculator = {
    */
   calculateCarbonCredits: function (emissionKg) {
     // Validate input
-    if (typeof emissionKg !== 'number' || emissionKg < 0) {
-      return 0;
+    var errors = Validation.validateNonNegative(emissionKg, 'emission');
+    if (errors.length) {
+      return this._reject(errors, 0);
     }
 
     if (typeof CONFIG === 'undefined' || !CONFIG.CARBON_CREDIT) {
@@ -155,38 +587,111 @@ var Calculator = {
   },
 
   /**
-   * estimateCreditPrice(credits)
+   * calculateEquivalences(emissionKg)
+   *
+   * Expresses an emission as everyday equivalents from
+   * CONFIG.EQUIVALENCES.ITEMS (trees absorbing it for a year, km driven by
+   * an average car, kWh of grid electricity, ...). Items worth at least
+   * MIN_VALUE units come first, in table order; smaller ones (largest
+   * first) only fill the list up to MIN_ITEMS.
+   *
+   * @param {number} emissionKg - Emission in kilograms of CO2
+   * @returns {Array} - Up to MAX_ITEMS [{ key, label, icon, kind, value, decimals }],
+   *   value rounded to 2 decimals; [] for a zero emission
+   */
+  calculateEquivalences: function (emissionKg) {
+    // Validate input
+    var errors = Validation.validateNonNegative(emissionKg, 'emission');
+    if (errors.length) {
+      return this._reject(errors, []);
+    }
+
+    if (typeof CONFIG === 'undefined' || !CONFIG.EQUIVALENCES) {
+      console.error('CONFIG is not defined or missing EQUIVALENCES');
+      return [];
+    }
+    if (emissionKg === 0) return [];
+
+    var settings = CONFIG.EQUIVALENCES;
+    var minItems = settings.MIN_ITEMS || 2;
+    var maxItems = settings.MAX_ITEMS || 3;
+    var minValue = typeof settings.MIN_VALUE === 'number' ? settings.MIN_VALUE : 1;
+
+    var relatable = [];
+    var small = [];
+    for (var key in settings.ITEMS) {
+      var item = settings.ITEMS[key];
+      if (!(item.kgCO2PerUnit > 0)) continue;
+      var value = emissionKg / item.kgCO2PerUnit;
+      var equivalence = {
+        key: key,
+        label: item.label,
+        icon: item.icon || '',
+        kind: item.kind || 'count',
+        value: Math.round(value * 100) / 100,
+        decimals: typeof item.decimals === 'number' ? item.decimals : 1
+      };
+      (value >= minValue ? relatable : small).push(equivalence);
+    }
+
+    // Fill with the largest of the small values (closest to one unit)
+    var result = relatable.slice(0, maxItems);
+    if (result.length < minItems) {
+      small.sort(function (a, b) { return b.value - a.value; });
+      result = result.concat(small.slice(0, minItems - result.length));
+    }
+    return result;
+  },
+
+  /**
+   * estimateCreditPrice(credits, currency)
    *
    * Estimates the market price range (min, max, average) for a given
-   * number of carbon credits based on CONFIG.CARBON_CREDIT prices.
+   * number of carbon credits. Prices come from the dated table of
+   * CreditPrices when it is loaded, otherwise from CONFIG.CARBON_CREDIT,
+   * and are converted to the requested currency with the table's rates.
    *
    * @param {number} credits - Number of carbon credits
-   * @returns {object} - { min: number, max: number, average: number } in BRL, rounded to 2 decimals
+   * @param {string} [currency] - 'BRL' (default), 'USD', 'EUR', ...; unknown codes fall back to BRL
+   * @returns {object} - { min, max, average, currency, asOf }, amounts rounded to 2 decimals
    */
-  estimateCreditPrice: function (credits) {
+  estimateCreditPrice: function (credits, currency) {
+    var code = currency || 'BRL';
+
     // Validate input
-    if (typeof credits !== 'number' || credits < 0) {
-      return { min: 0, max: 0, average: 0 };
+    var errors = Validation.validateNonNegative(credits, 'credits');
+    if (errors.length) {
+      return this._reject(errors, { min: 0, max: 0, average: 0, currency: code, asOf: '' });
     }
 
     if (typeof CONFIG === 'undefined' || !CONFIG.CARBON_CREDIT) {
       console.error('CONFIG is not defined or missing CARBON_CREDIT');
-      return { min: 0, max: 0, average: 0 };
+      return { min: 0, max: 0, average: 0, currency: code, asOf: '' };
     }
 
-    // Get price boundaries
-    var priceMin = CONFIG.CARBON_CREDIT.PRICE_MIN_BRL;
-    var priceMax = CONFIG.CARBON_CREDIT.PRICE_MAX_BRL;
+    // Get price boundaries (BRL per credit) and the conversion rate
+    var table = typeof CreditPrices !== 'undefined'
+      ? CreditPrices.getTable()
+      : { min: CONFIG.CARBON_CREDIT.PRICE_MIN_BRL, max: CONFIG.CARBON_CREDIT.PRICE_MAX_BRL, asOf: CONFIG.CARBON_CREDIT.PRICE_AS_OF || '', rates: { BRL: 1 } };
+    if (typeof table.rates[code] !== 'number') code = 'BRL';
+    var rate = table.rates[code] || 1;
 
     // Calculate min and max total price
-    var min = credits * priceMin;
-    var max = credits * priceMax;
+    var min = credits * table.min * rate;
+    var max = credits * table.max * rate;
     var average = (min + max) / 2;
 
     return {
       min: Math.round(min * 100) / 100,
       max: Math.round(max * 100) / 100,
-      average: Math.round(average * 100) / 100
+      average: Math.round(average * 100) / 100,
+      currency: code,
+      asOf: table.asOf
     };
   }
 };
+
+// CommonJS export for Node (tests, CLI); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Calculator;
+}
@@ -0,0 +1,183 @@
+/*
+  charts.js
+
+  Defines the global `Charts` object with small inline-SVG chart renderers
+  (no external libraries). Like the UI renderers they return markup strings
+  to be injected into the DOM by the application.
+
+  Structure:
+    Charts = {
+      barChart: function(items, options) -> SVG markup,
+      lineChart: function(points, options) -> SVG markup
+    }
+
+  Notes:
+  - Each bar/point carries a <title>, which browsers show as a tooltip on
+    hover, and is focusable so the values are reachable from the keyboard.
+  - The <svg> has role="img" with a <title>/<desc> listing every value as
+    the text alternative for screen readers.
+  - Sizes are in viewBox units; the SVG scales to the container width.
+*/
+
+var Charts = (function () {
+  var DEFAULT_COLOR = '#10b981';
+
+  // Private helper: escapes text placed in SVG markup
+  function _escape(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Private helper: number with fixed decimals in the interface locale (I18n)
+  function _format(value, decimals) {
+    var locale = typeof I18n !== 'undefined' ? I18n.getLocale() : 'pt-BR';
+    return Number(value || 0).toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  }
+
+  // Private helper: rounds coordinates so the markup stays short
+  function _round(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  // Private helper: unique id prefix for title/desc references
+  var _counter = 0;
+  function _nextId(prefix) {
+    _counter++;
+    return prefix + '-' + _counter;
+  }
+
+  // Private helper: opening <svg> with accessible title and description
+  function _open(kind, width, height, title, description) {
+    var id = _nextId('chart');
+    return '<svg class="chart chart--' + kind + '" viewBox="0 0 ' + width + ' ' + height + '"' +
+      ' width="100%" preserveAspectRatio="xMidYMid meet" role="img"' +
+      ' aria-labelledby="' + id + '-title ' + id + '-desc">' +
+      '<title id="' + id + '-title">' + _escape(title) + '</title>' +
+      '<desc id="' + id + '-desc">' + _escape(description) + '</desc>';
+  }
+
+  return {
+    /**
+     * barChart(items, options)
+     * Horizontal bar chart, one row per item.
+     * items = [ { label, value, color, highlighted, tooltip } ]
+     * options = { title, unit, decimals }
+     */
+    barChart: function (items, options) {
+      var o = options || {};
+      var unit = o.unit || '';
+      var decimals = typeof o.decimals === 'number' ? o.decimals : 2;
+
+      var width = 600;
+      var labelWidth = 150;
+      var valueWidth = 90;
+      var rowHeight = 32;
+      var barHeight = 20;
+      var height = Math.max(items.length, 1) * rowHeight + 8;
+      var plotWidth = width - labelWidth - valueWidth;
+
+      var max = 0;
+      for (var i = 0; i < items.length; i++) {
+        if (items[i].value > max) max = items[i].value;
+      }
+
+      var description = items.map(function (item) {
+        return item.label + ': ' + _format(item.value, decimals) + ' ' + unit;
+      }).join('; ');
+
+      var svg = _open('bar', width, height, o.title || '', description);
+      for (var j = 0; j < items.length; j++) {
+        var item = items[j];
+        var y = 4 + j * rowHeight;
+        var barWidth = max > 0 ? (item.value / max) * plotWidth : 0;
+        var valueText = _format(item.value, decimals) + ' ' + unit;
+
+        svg += '<g class="chart__bar' + (item.highlighted ? ' chart__bar--highlighted' : '') + '" tabindex="0">' +
+          '<title>' + _escape(item.tooltip || item.label + ': ' + valueText) + '</title>' +
+          '<text class="chart__label" x="' + (labelWidth - 8) + '" y="' + _round(y + rowHeight / 2) + '" text-anchor="end" dominant-baseline="middle">' + _escape(item.label) + '</text>' +
+          '<rect x="' + labelWidth + '" y="' + _round(y + (rowHeight - barHeight) / 2) + '" width="' + _round(Math.max(barWidth, 1)) + '" height="' + barHeight + '" rx="4" fill="' + _escape(item.color || DEFAULT_COLOR) + '"></rect>' +
+          '<text class="chart__value" x="' + _round(labelWidth + barWidth + 6) + '" y="' + _round(y + rowHeight / 2) + '" dominant-baseline="middle">' + _escape(valueText) + '</text>' +
+          '</g>';
+      }
+      svg += '</svg>';
+      return svg;
+    },
+
+    /**
+     * lineChart(points, options)
+     * Line chart of values over time, in the given order.
+     * points = [ { label, value, tooltip } ]
+     * options = { title, unit, decimals, color }
+     */
+    lineChart: function (points, options) {
+      var o = options || {};
+      var unit = o.unit || '';
+      var decimals = typeof o.decimals === 'number' ? o.decimals : 2;
+      var color = o.color || DEFAULT_COLOR;
+
+      var width = 600;
+      var height = 240;
+      var pad = { top: 16, right: 16, bottom: 36, left: 64 };
+      var plotWidth = width - pad.left - pad.right;
+      var plotHeight = height - pad.top - pad.bottom;
+
+      var max = 0;
+      for (var i = 0; i < points.length; i++) {
+        if (points[i].value > max) max = points[i].value;
+      }
+      if (max <= 0) max = 1;
+
+      var xOf = function (index) {
+        return pad.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+      };
+      var yOf = function (value) {
+        return pad.top + plotHeight - (value / max) * plotHeight;
+      };
+
+      var description = points.map(function (p) {
+        return p.label + ': ' + _format(p.value, decimals) + ' ' + unit;
+      }).join('; ');
+
+      var svg = _open('line', width, height, o.title || '', description);
+
+      // Axes with the maximum and zero marks
+      svg += '<g class="chart__axis">' +
+        '<line x1="' + pad.left + '" y1="' + pad.top + '" x2="' + pad.left + '" y2="' + (pad.top + plotHeight) + '"></line>' +
+        '<line x1="' + pad.left + '" y1="' + (pad.top + plotHeight) + '" x2="' + (width - pad.right) + '" y2="' + (pad.top + plotHeight) + '"></line>' +
+        '<text x="' + (pad.left - 6) + '" y="' + pad.top + '" text-anchor="end" dominant-baseline="middle">' + _escape(_format(max, decimals)) + '</text>' +
+        '<text x="' + (pad.left - 6) + '" y="' + (pad.top + plotHeight) + '" text-anchor="end" dominant-baseline="middle">0</text>' +
+        '</g>';
+
+      if (points.length > 1) {
+        var coords = points.map(function (p, index) {
+          return _round(xOf(index)) + ',' + _round(yOf(p.value));
+        });
+        svg += '<polyline class="chart__line" points="' + coords.join(' ') + '" fill="none" stroke="' + _escape(color) + '" stroke-width="2"></polyline>';
+      }
+
+      // Label the first and last points on the x axis (and the middle one when there is room)
+      var labelled = {};
+      labelled[0] = true;
+      labelled[points.length - 1] = true;
+      if (points.length > 4) labelled[Math.floor((points.length - 1) / 2)] = true;
+
+      for (var j = 0; j < points.length; j++) {
+        var p = points[j];
+        var x = _round(xOf(j));
+        svg += '<g class="chart__point" tabindex="0">' +
+          '<title>' + _escape(p.tooltip || p.label + ': ' + _format(p.value, decimals) + ' ' + unit) + '</title>' +
+          '<circle cx="' + x + '" cy="' + _round(yOf(p.value)) + '" r="4" fill="' + _escape(color) + '"></circle>' +
+          '</g>';
+        if (labelled[j]) {
+          svg += '<text class="chart__tick" x="' + x + '" y="' + (height - 12) + '" text-anchor="middle">' + _escape(p.label) + '</text>';
+        }
+      }
+
+      svg += '</svg>';
+      return svg;
+    }
+  };
+})();
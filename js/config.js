@@ -3,84 +3,484 @@
   
   Defines the global CONFIG object with constants and helper methods
   for CO2 emissions calculations and UI interactions.
+
+  In Node the same object is the CommonJS export (require('./config.js')).
 */
 
 var CONFIG = {
-  // Emission factors in kg CO2 per kilometer
-  EMISSION_FACTORS: {
-    bicicleta: 0,
-    carro: 0.12,
-    onibus: 0.089,
-    caminhao: 0.96
-  },
+  // Emission factors in kg CO2 per kilometer, derived from TRANSPORT_MODES by
+  // registerMode() (kept as a flat map for code that only needs the factor)
+  EMISSION_FACTORS: {},
 
-  // Transport modes metadata with labels, emojis, and UI colors
+  // Transport mode registry: the single source for the form's transport grid,
+  // Calculator.calculateAllModes and UI.renderComparison.
+  //   factor: kg CO2 per km
+  //   bands (optional): distance-dependent factors, checked in order; the first
+  //     band whose maxKm is >= the distance (or has no maxKm) wins
+  //   source (optional): where the factor comes from, cited in the printed report
+  //   lifecycle (optional): emissions beyond the tailpipe, used by
+  //     Calculator.calculateLifecycle:
+  //       fuel (optional): FUELS key of the energy behind the mode factor,
+  //         whose upstreamRatio gives the fuel/energy production (vehicle
+  //         profiles use their own fuel instead)
+  //       embodied: vehicle manufacturing and infrastructure amortized per
+  //         km, in kg CO2 (per passenger-km where factor is)
+  // New modes can be added at runtime with CONFIG.registerMode(key, definition).
   TRANSPORT_MODES: {
     bicicleta: {
       label: 'bicicleta',
       icon: '🚲',
-      color: '#10b981'
+      color: '#10b981',
+      factor: 0,
+      source: 'Sem emissão direta (propulsão humana)',
+      lifecycle: { embodied: 0.005 }
     },
     carro: {
       label: 'carro',
       icon: '🚗',
-      color: '#f59e0b'
+      color: '#f59e0b',
+      factor: 0.12,
+      source: 'Automóvel de passeio, média da frota (gasolina e flex)',
+      lifecycle: { fuel: 'gasolina', embodied: 0.045 }
     },
     onibus: {
       label: 'ônibus',
       icon: '🚌',
-      color: '#3b82f6'
+      color: '#3b82f6',
+      factor: 0.089,
+      source: 'Ônibus rodoviário, fator médio por passageiro-km',
+      lifecycle: { fuel: 'diesel', embodied: 0.008 }
     },
     caminhao: {
       label: 'caminhão',
       icon: '🚚',
-      color: '#ef4444'
+      color: '#ef4444',
+      factor: 0.96,
+      source: 'Caminhão pesado a diesel, ~2,7 km/l × 2,6 kg CO₂/l',
+      lifecycle: { fuel: 'diesel', embodied: 0.05 }
+    },
+    moto: {
+      label: 'moto',
+      icon: '🏍️',
+      color: '#f97316',
+      factor: 0.072,
+      source: 'Motocicleta 150 cc, ~31 km/l × 2,21 kg CO₂/l',
+      lifecycle: { fuel: 'gasolina', embodied: 0.015 }
+    },
+    metro: {
+      label: 'metrô',
+      icon: '🚇',
+      color: '#6366f1',
+      factor: 0.007,
+      source: 'Metrô elétrico, energia do grid brasileiro por passageiro-km',
+      lifecycle: { fuel: 'eletrico', embodied: 0.02 }
+    },
+    trem: {
+      label: 'trem',
+      icon: '🚆',
+      color: '#14b8a6',
+      factor: 0.041,
+      source: 'Trem de passageiros, fator médio por passageiro-km',
+      lifecycle: { fuel: 'diesel', embodied: 0.015 }
+    },
+    aviao: {
+      label: 'avião',
+      icon: '✈️',
+      color: '#8b5cf6',
+      factor: 0.156,
+      source: 'Aviação por passageiro-km, faixas por distância no estilo DEFRA (UK GHG Conversion Factors)',
+      lifecycle: { fuel: 'querosene', embodied: 0.003 },
+      bands: [
+        { maxKm: 500, factor: 0.255, label: 'voo curto' },
+        { maxKm: 1500, factor: 0.156, label: 'voo médio' },
+        { factor: 0.15, label: 'voo longo' }
+      ]
+    }
+  },
+
+  // Mode selected by default in the transport grid and extra legs
+  DEFAULT_MODE: 'carro',
+
+  // Emission coefficients per unit of energy consumed (tailpipe CO2).
+  // Liquid fuels in kg CO2 per litre, GNV per m³, electricity per kWh
+  // (average Brazilian grid). 'flex' assumes a 50/50 gasolina/etanol mix and
+  // 'hibrido' burns gasolina with a much higher km/l.
+  //   upstreamRatio: production and distribution of the fuel (well-to-tank),
+  //     as a fraction of its combustion emission
+  //   tailpipe: false when nothing is emitted by the vehicle itself (grid
+  //     electricity is generated elsewhere, so the lifecycle counts it as
+  //     energy instead of direct emission)
+  FUELS: {
+    gasolina: { label: 'gasolina', kgCO2PerUnit: 2.21, unit: 'l', upstreamRatio: 0.24 },
+    etanol: { label: 'etanol', kgCO2PerUnit: 1.46, unit: 'l', upstreamRatio: 0.3 },
+    flex: { label: 'flex', kgCO2PerUnit: 1.835, unit: 'l', upstreamRatio: 0.27 },
+    diesel: { label: 'diesel', kgCO2PerUnit: 2.6, unit: 'l', upstreamRatio: 0.2 },
+    gnv: { label: 'GNV', kgCO2PerUnit: 1.99, unit: 'm3', upstreamRatio: 0.18 },
+    hibrido: { label: 'híbrido', kgCO2PerUnit: 2.21, unit: 'l', upstreamRatio: 0.24 },
+    querosene: { label: 'querosene de aviação', kgCO2PerUnit: 2.52, unit: 'l', upstreamRatio: 0.21 },
+    eletrico: { label: 'elétrico', kgCO2PerUnit: 0.0385, unit: 'kwh', upstreamRatio: 0.1, tailpipe: false }
+  },
+
+  // Source of the FUELS coefficients, cited in the printed report
+  FUELS_SOURCE: 'Coeficientes de combustão por combustível (CO₂ do escapamento); eletricidade: fator médio do Sistema Interligado Nacional (MCTI)',
+
+  // Source of the TRANSPORT_MODES lifecycle estimates, cited in the printed report
+  LIFECYCLE_SOURCE: 'Ciclo de vida: produção e distribuição de cada combustível (fatores well-to-tank no estilo DEFRA), geração da eletricidade de veículos elétricos (contada como energia, sem emissão direta) e fabricação de veículos e infraestrutura amortizadas por km (estimativas de literatura de ACV)',
+
+  // Vehicle profiles per transport mode, selectable as a sub-option of each
+  // mode. consumption is in km per unit (km/l, km/m³) or, for electricity,
+  // in kWh/100km. Without a profile the TRANSPORT_MODES factor is used.
+  // Consumption is per vehicle; occupancy (optional) is the typical number of
+  // passengers sharing it, for modes whose registry factor is per
+  // passenger-km (onibus), so the derived factor stays per passenger-km.
+  VEHICLE_PROFILES: {
+    bicicleta: {
+      eletrica: { label: 'bicicleta elétrica', fuel: 'eletrico', consumption: 1 }
+    },
+    carro: {
+      gasolina: { label: 'compacto a gasolina', fuel: 'gasolina', consumption: 12 },
+      etanol: { label: 'compacto a etanol', fuel: 'etanol', consumption: 8.5 },
+      flex: { label: 'flex (gasolina/etanol)', fuel: 'flex', consumption: 10.5 },
+      diesel: { label: 'SUV/picape diesel', fuel: 'diesel', consumption: 10 },
+      gnv: { label: 'GNV', fuel: 'gnv', consumption: 13 },
+      hibrido: { label: 'híbrido', fuel: 'hibrido', consumption: 18 },
+      eletrico: { label: 'elétrico', fuel: 'eletrico', consumption: 16 }
+    },
+    onibus: {
+      diesel: { label: 'urbano diesel', fuel: 'diesel', consumption: 2.5, occupancy: 12 },
+      eletrico: { label: 'urbano elétrico', fuel: 'eletrico', consumption: 120, occupancy: 12 }
+    },
+    caminhao: {
+      diesel: { label: 'carreta diesel', fuel: 'diesel', consumption: 2.7 },
+      gnv: { label: 'GNV', fuel: 'gnv', consumption: 2.2 }
+    },
+    moto: {
+      gasolina: { label: '150 cc a gasolina', fuel: 'gasolina', consumption: 40 },
+      eletrica: { label: 'elétrica', fuel: 'eletrico', consumption: 4 }
+    }
+  },
+
+  // Occupancy/load used to allocate a vehicle's emission per passenger
+  // (type 'passengers') or per tonne-km of cargo (type 'cargo').
+  // perSeat: the factor is already per passenger-km, so each person carries
+  // it and the group's emission grows with the count instead of being shared.
+  // Modes not listed here carry a single person.
+  OCCUPANCY: {
+    carro: { type: 'passengers', defaultValue: 1, max: 7 },
+    onibus: { type: 'passengers', defaultValue: 1, max: 60, perSeat: true },
+    moto: { type: 'passengers', defaultValue: 1, max: 2 },
+    caminhao: { type: 'cargo', defaultValue: 0, max: 45 }
+  },
+
+  // Everyday equivalences of an emission (Calculator.calculateEquivalences):
+  // how many of each ITEMS unit emit (or absorb) the same CO2. Items are
+  // listed by priority; the ones reaching MIN_VALUE units are shown first,
+  // MIN_ITEMS..MAX_ITEMS per emission. kind 'distance' values are km and
+  // follow the unit system of the interface. Labels are pt-BR; I18n
+  // translates them under "equivalence.<key>".
+  EQUIVALENCES: {
+    MIN_ITEMS: 2,
+    MAX_ITEMS: 3,
+    MIN_VALUE: 1,
+    ITEMS: {
+      // Average CO2 a growing tree absorbs in a year
+      arvores: { label: 'árvores absorvendo o CO₂ por um ano', icon: '🌳', kgCO2PerUnit: 22, decimals: 1 },
+      // Same factor as TRANSPORT_MODES.carro
+      carro: { label: '{unit} rodados por um carro médio', icon: '🚗', kgCO2PerUnit: 0.12, decimals: 0, kind: 'distance' },
+      // Same factor as FUELS.eletrico (average Brazilian grid)
+      energia: { label: 'kWh da rede elétrica brasileira', icon: '💡', kgCO2PerUnit: 0.0385, decimals: 0 },
+      // 13 kg of LPG at ~2.93 kg CO2/kg
+      botijao: { label: 'botijões de gás de cozinha (13 kg)', icon: '🔥', kgCO2PerUnit: 38.1, decimals: 1 },
+      // ~0.0146 kWh per full charge on the Brazilian grid
+      smartphone: { label: 'cargas completas de smartphone', icon: '📱', kgCO2PerUnit: 0.000562, decimals: 0 }
     }
   },
 
   // Carbon credits pricing and conversion
+  // PURCHASE_UNIT: smallest number of credits a provider sells (orders are rounded up)
+  // PRICE_MIN_BRL/PRICE_MAX_BRL/PRICE_AS_OF: built-in price table used until
+  // CreditPrices loads a dated one from PRICES (and when it cannot)
   CARBON_CREDIT: {
     KG_PER_CREDIT: 1000,
     PRICE_MIN_BRL: 50,
-    PRICE_MAX_BRL: 150
+    PRICE_MAX_BRL: 150,
+    PRICE_AS_OF: '2025-01-01',
+    PURCHASE_UNIT: 1
+  },
+
+  // Dated credit price tables (CreditPrices). URL is a JSON file or endpoint
+  // returning { source, tables: [ { asOf, min, max, rates } ] } with prices in
+  // BRL per credit and rates in units of each currency per BRL. The last table
+  // loaded is cached in localStorage under CACHE_KEY.
+  PRICES: {
+    URL: 'data/credit-prices.json',
+    CACHE_KEY: 'calculadoraCO2.creditPrices',
+    DEFAULT_CURRENCY: 'BRL',
+    // Fallback conversion rates (per BRL) for the built-in table
+    RATES: { BRL: 1, USD: 0.18, EUR: 0.165 },
+    CURRENCIES: {
+      BRL: 'Real (R$)',
+      USD: 'Dólar (US$)',
+      EUR: 'Euro (€)'
+    }
+  },
+
+  // Compensation checkout (Offset): project types offered in the flow, with a
+  // price per credit inside CARBON_CREDIT.PRICE_MIN_BRL..PRICE_MAX_BRL, and the
+  // provider orders are sent to. PROVIDER is an Offset adapter name: 'http'
+  // posts the order as JSON to ENDPOINT, 'mock' confirms it locally.
+  OFFSET: {
+    PROVIDER: 'mock',
+    ENDPOINT: '',
+    PROJECTS: {
+      reflorestamento: {
+        label: 'Reflorestamento',
+        icon: '🌳',
+        description: 'Plantio e restauração de floresta nativa na Mata Atlântica.',
+        priceBRL: 120
+      },
+      energia_renovavel: {
+        label: 'Energia renovável',
+        icon: '☀️',
+        description: 'Geração eólica e solar que substitui energia fóssil.',
+        priceBRL: 60
+      },
+      redd: {
+        label: 'Conservação florestal (REDD+)',
+        icon: '🌿',
+        description: 'Desmatamento evitado na Amazônia.',
+        priceBRL: 85
+      },
+      metano: {
+        label: 'Captura de metano',
+        icon: '♻️',
+        description: 'Aproveitamento de biogás em aterros sanitários.',
+        priceBRL: 70
+      }
+    }
+  },
+
+  // Trip history kept in localStorage by TripHistory
+  HISTORY: {
+    STORAGE_KEY: 'calculadoraCO2.history',
+    MAX_ENTRIES: 500
+  },
+
+  // User-defined routes kept in localStorage by CustomRoutes
+  CUSTOM_ROUTES: {
+    STORAGE_KEY: 'calculadoraCO2.customRoutes'
+  },
+
+  // Interface language (I18n): default and localStorage key of the user's choice
+  I18N: {
+    DEFAULT_LANGUAGE: 'pt-BR',
+    STORAGE_KEY: 'calculadoraCO2.language'
+  },
+
+  // Unit system of the interface (Units): 'metric' or 'imperial'
+  UNITS: {
+    DEFAULT_SYSTEM: 'metric',
+    STORAGE_KEY: 'calculadoraCO2.units'
+  },
+
+  // Printable report (UI.renderReport): I18n catalog keys of the
+  // methodology paragraphs and footnotes, in print order
+  REPORT: {
+    METHODOLOGY: ['report.methodology.factor', 'report.methodology.profile', 'report.methodology.distance', 'report.methodology.sharing'],
+    FOOTNOTES: ['report.footnote.estimates', 'report.footnote.tailpipe', 'report.footnote.prices']
+  },
+
+  // Routes dataset loaded by RoutesDB.load() at startup:
+  // { version, updated, source, cities, routes } (see data/routes.json)
+  ROUTES: {
+    URL: 'data/routes.json'
+  },
+
+  // Great-circle fallback used by RoutesDB when no catalogued route exists.
+  // Straight-line distance is multiplied by WINDING_FACTOR to approximate roads.
+  ROUTE_ESTIMATE: {
+    WINDING_FACTOR: 1.3,
+    EARTH_RADIUS_KM: 6371
+  },
+
+  // City suggestion dropdown of the origin/destination inputs (CONFIG.bindCitySearch)
+  CITY_SEARCH: {
+    MAX_SUGGESTIONS: 8
+  },
+
+  // Recurring trips: defaults and calendar constants used to annualize emissions
+  FREQUENCY: {
+    WORKING_DAYS_PER_MONTH: 22,
+    WEEKS_PER_MONTH: 52 / 12,
+    MONTHS_PER_YEAR: 12
   },
 
   /**
-   * populateDatalist()
-   * Retrieves all cities from RoutesDB, creates option elements,
-   * and appends them to the datalist with id="city-list".
+   * registerMode(key, definition)
+   * Adds (or replaces) a transport mode in the registry and keeps
+   * EMISSION_FACTORS in sync. definition = { label, icon, color, factor, bands, source, lifecycle }.
+   * Returns true when registered, false when the definition is invalid.
    */
-  populateDatalist: function () {
-    if (typeof RoutesDB === 'undefined' || !RoutesDB.getAllCities) {
-      console.error('RoutesDB is not defined or missing getAllCities method');
-      return;
+  registerMode: function (key, definition) {
+    var mode = String(key).trim().toLowerCase();
+    if (!mode || !definition || typeof definition.factor !== 'number' || definition.factor < 0) {
+      console.error('Invalid transport mode definition: ' + key);
+      return false;
     }
 
-    var datalist = document.getElementById('city-list');
-    if (!datalist) {
-      console.error('Datalist element with id="city-list" not found');
+    this.TRANSPORT_MODES[mode] = {
+      label: definition.label || mode,
+      icon: definition.icon || '',
+      color: definition.color || '#6b7280',
+      factor: definition.factor,
+      bands: Array.isArray(definition.bands) ? definition.bands : undefined,
+      source: definition.source || '',
+      lifecycle: definition.lifecycle || undefined
+    };
+    this.EMISSION_FACTORS[mode] = definition.factor;
+    return true;
+  },
+
+  /**
+   * populateTransportGrid()
+   * Renders one radio option per registered transport mode into the
+   * fieldset with id="transport-grid", checking DEFAULT_MODE.
+   */
+  populateTransportGrid: function () {
+    var grid = document.getElementById('transport-grid');
+    if (!grid) {
+      console.error('Fieldset with id="transport-grid" not found');
       return;
     }
 
-    // Clear existing options
-    datalist.innerHTML = '';
+    grid.innerHTML = '<legend data-i18n="form.transport">' + I18n.t('form.transport') + '</legend>' + UI.renderTransportGrid(this.DEFAULT_MODE);
+  },
+
+  /**
+   * setupCitySearch()
+   * Attaches the city suggestion dropdown to the main form's #origem and
+   * #destino inputs.
+   */
+  setupCitySearch: function () {
+    if (typeof RoutesDB === 'undefined' || !RoutesDB.searchCities) {
+      console.error('RoutesDB is not defined or missing searchCities method');
+      return;
+    }
 
-    // Get all cities and create option elements
-    var cities = RoutesDB.getAllCities();
-    for (var i = 0; i < cities.length; i++) {
-      var option = document.createElement('option');
-      option.value = cities[i];
-      datalist.appendChild(option);
+    var origemInput = document.getElementById('origem');
+    var destinoInput = document.getElementById('destino');
+    if (!origemInput || !destinoInput) {
+      console.error('Required form elements not found');
+      return;
     }
 
-    console.log('Datalist populated with ' + cities.length + ' cities');
+    this.bindCitySearch(origemInput);
+    this.bindCitySearch(destinoInput);
+  },
+
+  /**
+   * bindCitySearch(input)
+   * Turns a text input into a combobox: while typing, the best matches of
+   * RoutesDB.searchCities are listed below it (UI.renderCitySuggestions).
+   * Arrow keys move through the list, Enter or a click picks a city and
+   * Escape closes it. On change, a value RoutesDB.resolveCity recognizes
+   * ("sao paulo", "Florianopolis") is replaced with the catalogued name;
+   * misspelled names are only offered as suggestions.
+   * Picking a city fires a 'change' event so the distance auto-fill runs.
+   */
+  bindCitySearch: function (input) {
+    var self = this;
+    var listId = input.id + '-suggestions';
+    var suggestions = [];
+    var active = -1;
+
+    input.insertAdjacentHTML('afterend', '<ul id="' + listId + '" class="city-suggest hidden" role="listbox"></ul>');
+    var list = document.getElementById(listId);
+    // The list is positioned under the input, inside its .field wrapper
+    if (input.parentElement) input.parentElement.classList.add('field--city');
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listId);
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('autocomplete', 'off');
+
+    var render = function () {
+      if (!suggestions.length) {
+        close();
+        return;
+      }
+      list.innerHTML = UI.renderCitySuggestions(suggestions, active, input.id);
+      list.classList.remove('hidden');
+      input.setAttribute('aria-expanded', 'true');
+      if (active >= 0) {
+        input.setAttribute('aria-activedescendant', input.id + '-suggestion-' + active);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    };
+
+    var close = function () {
+      suggestions = [];
+      active = -1;
+      list.innerHTML = '';
+      list.classList.add('hidden');
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    };
+
+    var pick = function (index) {
+      var name = suggestions[index] && suggestions[index].name;
+      close();
+      if (!name) return;
+      input.value = name;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    input.addEventListener('input', function () {
+      suggestions = RoutesDB.searchCities(input.value, self.CITY_SEARCH.MAX_SUGGESTIONS);
+      active = -1;
+      render();
+    });
+
+    input.addEventListener('keydown', function (e) {
+      if (!suggestions.length) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        var step = e.key === 'ArrowDown' ? 1 : -1;
+        active = (active + step + suggestions.length + 1) % (suggestions.length + 1);
+        if (active === suggestions.length) active = -1;
+        render();
+      } else if (e.key === 'Enter' && active >= 0) {
+        // Pick the highlighted city instead of submitting the form
+        e.preventDefault();
+        pick(active);
+      } else if (e.key === 'Escape') {
+        close();
+      }
+    });
+
+    // mousedown (not click) so the input does not lose focus first
+    list.addEventListener('mousedown', function (e) {
+      var option = e.target.closest('[role="option"]');
+      if (!option) return;
+      e.preventDefault();
+      pick(Number(option.dataset.index));
+    });
+
+    input.addEventListener('blur', close);
+
+    // Typed values are replaced with the catalogued "City, ST" name
+    input.addEventListener('change', function () {
+      var name = RoutesDB.resolveCity(input.value);
+      if (name && name !== input.value) input.value = name;
+    });
   },
 
   /**
    * setupDistanceAutoFill()
-   * Sets up event listeners for origin/destination inputs and manual checkbox.
-   * Automatically fills distance when both cities are selected.
-   * Allows manual entry when checkbox is checked.
+   * Sets up distance auto-fill for the main form fields
+   * (#origem, #destino, #distancia and #manual).
    */
   setupDistanceAutoFill: function () {
     var origemInput = document.getElementById('origem');
@@ -93,6 +493,21 @@ var CONFIG = {
       return;
     }
 
+    this.bindDistanceAutoFill(origemInput, destinoInput, distanciaInput, manualCheckbox);
+
+    console.log('Distance auto-fill setup complete');
+  },
+
+  /**
+   * bindDistanceAutoFill(origemInput, destinoInput, distanciaInput, manualCheckbox)
+   * Sets up event listeners for one set of origin/destination inputs and
+   * manual checkbox (used by the main form and by each extra trip leg).
+   * Automatically fills distance when both cities are selected.
+   * Allows manual entry when checkbox is checked, and then shows the
+   * .save-route button next to the checkbox.
+   * Returns the auto-fill function so callers can trigger it directly.
+   */
+  bindDistanceAutoFill: function (origemInput, destinoInput, distanciaInput, manualCheckbox) {
     // Helper function to attempt auto-fill distance
     var autoFillDistance = function () {
       var origem = origemInput.value.trim();
@@ -101,36 +516,59 @@ var CONFIG = {
       if (!origem || !destino) {
         // Clear distance if either field is empty
         distanciaInput.value = '';
+        delete distanciaInput.dataset.source;
+        delete distanciaInput.dataset.km;
         return;
       }
 
-      // Find distance via RoutesDB
-      if (typeof RoutesDB === 'undefined' || !RoutesDB.findDistance) {
-        console.error('RoutesDB is not defined or missing findDistance method');
+      // Find route (direct or chained) via RoutesDB
+      if (typeof RoutesDB === 'undefined' || !RoutesDB.findRoute) {
+        console.error('RoutesDB is not defined or missing findRoute method');
         return;
       }
 
-      var distance = RoutesDB.findDistance(origem, destino);
+      var route = RoutesDB.findRoute(origem, destino);
 
-      if (distance !== null) {
-        // Distance found: fill input and set readonly
-        distanciaInput.value = distance;
+      if (route !== null) {
+        // Distance found: fill input (in the interface unit) and set readonly;
+        // the exact km is kept so unit conversions do not round it
+        distanciaInput.value = Math.round(Units.fromKm(route.distanceKM) * 10) / 10;
+        distanciaInput.dataset.km = route.distanceKM;
         distanciaInput.setAttribute('readonly', '');
+        // Remember whether the distance is catalogued or estimated
+        distanciaInput.dataset.source = route.source;
         
         // Show success (helper text would be styled green if present)
         var helperText = distanciaInput.parentElement.querySelector('.field-helper');
-        if (helperText) {
-          helperText.textContent = '✓ Distância encontrada automaticamente';
+        if (helperText && route.source === 'custom') {
+          // User-defined route (CustomRoutes): say so, and what it replaces
+          helperText.textContent = route.overrides !== null
+            ? I18n.t('distance.customOverrides', { distance: UI.formatDistance(route.overrides, 1) })
+            : I18n.t('distance.custom');
+          helperText.style.color = '#10b981';
+        } else if (helperText && route.source === 'estimated') {
+          // Estimated distance: flag it so it is not mistaken for a catalogued route
+          helperText.textContent = I18n.t('distance.estimated', { factor: UI.formatNumber(CONFIG.ROUTE_ESTIMATE.WINDING_FACTOR, 1) });
+          helperText.style.color = '#f59e0b';
+        } else if (helperText) {
+          if (route.via.length > 0) {
+            // Chained route: show the full path through intermediate cities
+            helperText.textContent = I18n.t('distance.via', { via: route.via.join(', '), path: route.path.join(' → ') });
+          } else {
+            helperText.textContent = I18n.t('distance.found');
+          }
           helperText.style.color = '#10b981';
         }
       } else {
         // Distance not found: clear and show suggestion
         distanciaInput.value = '';
         distanciaInput.setAttribute('readonly', '');
+        delete distanciaInput.dataset.source;
+        delete distanciaInput.dataset.km;
         
         var helperText = distanciaInput.parentElement.querySelector('.field-helper');
         if (helperText) {
-          helperText.textContent = 'Rota não encontrada. Marque "Inserir distância manualmente" para continuar.';
+          helperText.textContent = I18n.t('distance.notFound');
           helperText.style.color = '#ef4444';
         }
       }
@@ -150,15 +588,21 @@ var CONFIG = {
       }
     });
 
+    // "Save as custom route" button next to the checkbox, only for manual distances
+    var saveRouteButton = manualCheckbox.parentElement.querySelector('.save-route');
+
     // Event listener for manual checkbox
     manualCheckbox.addEventListener('change', function () {
+      if (saveRouteButton) saveRouteButton.classList.toggle('hidden', !this.checked);
       if (this.checked) {
         // Allow manual entry: remove readonly
         distanciaInput.removeAttribute('readonly');
         distanciaInput.value = '';
+        distanciaInput.dataset.source = 'manual';
+        delete distanciaInput.dataset.km;
         var helperText = distanciaInput.parentElement.querySelector('.field-helper');
         if (helperText) {
-          helperText.textContent = 'Digite a distância em km';
+          helperText.textContent = I18n.t('distance.manual', { unit: Units.distanceUnit() });
           helperText.style.color = '#6b7280';
         }
       } else {
@@ -167,6 +611,19 @@ var CONFIG = {
       }
     });
 
-    console.log('Distance auto-fill setup complete');
+    return autoFillDistance;
   }
 };
+
+// Register the built-in modes so EMISSION_FACTORS mirrors the registry
+(function () {
+  var modes = CONFIG.TRANSPORT_MODES;
+  for (var key in modes) {
+    if (modes.hasOwnProperty(key)) CONFIG.registerMode(key, modes[key]);
+  }
+})();
+
+// CommonJS export for Node (tests, CLI); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CONFIG;
+}
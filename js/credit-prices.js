@@ -0,0 +1,182 @@
+/*
+  credit-prices.js
+
+  Defines the global `CreditPrices` object, the carbon credit price provider.
+  It loads dated price tables (JSON file or endpoint from CONFIG.PRICES.URL),
+  picks the table in effect today and converts BRL prices to the supported
+  currencies with the rates of that same table.
+
+  Structure:
+    CreditPrices = {
+      load: function() -> Promise of the table in use (never rejects),
+      getTable: function() -> { asOf, min, max, rates, source, origin },
+      getCurrencies: function() -> [ { code, label } ] with a known rate,
+      convert: function(amountBRL, currency) -> amount in currency
+    }
+
+  Notes:
+  - min/max are BRL per credit; rates are units of currency per BRL.
+  - Fallback order when loading: fetched table, then the table cached in
+    localStorage (CONFIG.PRICES.CACHE_KEY), then the built-in table from
+    CONFIG.CARBON_CREDIT (PRICE_MIN_BRL, PRICE_MAX_BRL, PRICE_AS_OF).
+  - origin tells where the table in use came from: 'remote' | 'cache' | 'builtin'.
+*/
+
+var CreditPrices = (function () {
+  var current = null;
+
+  function _settings() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.PRICES) || {};
+  }
+
+  // Private helper: table built from the CONFIG constants
+  function _builtinTable() {
+    var credit = CONFIG.CARBON_CREDIT;
+    return {
+      asOf: credit.PRICE_AS_OF || '',
+      min: credit.PRICE_MIN_BRL,
+      max: credit.PRICE_MAX_BRL,
+      rates: _settings().RATES || { BRL: 1 },
+      source: 'Valores padrão da calculadora',
+      origin: 'builtin'
+    };
+  }
+
+  // Private helper: true for a { asOf, min, max, rates } entry with sane values
+  function _isValidTable(t) {
+    if (!t || !/^\d{4}-\d{2}-\d{2}$/.test(String(t.asOf))) return false;
+    if (typeof t.min !== 'number' || typeof t.max !== 'number' || t.min < 0 || t.min > t.max) return false;
+    if (!t.rates || typeof t.rates !== 'object') return false;
+    for (var code in t.rates) {
+      if (t.rates.hasOwnProperty(code) && !(typeof t.rates[code] === 'number' && t.rates[code] > 0)) return false;
+    }
+    return true;
+  }
+
+  // Private helper: picks the newest valid table dated on or before today
+  // (the oldest one when every table is in the future). Returns null when
+  // the payload has no valid table.
+  function _selectTable(data, today) {
+    var tables = (data && Array.isArray(data.tables) ? data.tables : []).filter(_isValidTable);
+    if (!tables.length) return null;
+
+    tables.sort(function (a, b) { return a.asOf < b.asOf ? -1 : 1; });
+    var selected = tables[0];
+    for (var i = 0; i < tables.length; i++) {
+      if (tables[i].asOf <= today) selected = tables[i];
+    }
+
+    var rates = { BRL: 1 };
+    for (var code in selected.rates) {
+      if (selected.rates.hasOwnProperty(code)) rates[code] = selected.rates[code];
+    }
+    return {
+      asOf: selected.asOf,
+      min: selected.min,
+      max: selected.max,
+      rates: rates,
+      source: data.source || ''
+    };
+  }
+
+  // Private helper: local "YYYY-MM-DD"
+  function _today() {
+    var d = new Date();
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  function _readCache() {
+    try {
+      var raw = window.localStorage.getItem(_settings().CACHE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function _writeCache(data) {
+    try {
+      window.localStorage.setItem(_settings().CACHE_KEY, JSON.stringify(data));
+    } catch (err) {
+      console.error('Could not cache credit prices', err);
+    }
+  }
+
+  // Private helper: cached table, or the built-in one
+  function _fallback() {
+    var cached = _selectTable(_readCache(), _today());
+    if (cached) {
+      cached.origin = 'cache';
+      return cached;
+    }
+    return _builtinTable();
+  }
+
+  return {
+    /**
+     * load()
+     * Fetches the price tables from CONFIG.PRICES.URL and selects the one in
+     * effect today. On any failure the cached/built-in table is used.
+     * Returns a Promise of the table in use.
+     */
+    load: function () {
+      var url = _settings().URL;
+      if (!url || typeof fetch !== 'function') {
+        current = _fallback();
+        return Promise.resolve(current);
+      }
+
+      return fetch(url, { cache: 'no-cache' }).then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      }).then(function (data) {
+        var table = _selectTable(data, _today());
+        if (!table) throw new Error('No valid price table in ' + url);
+        _writeCache(data);
+        table.origin = 'remote';
+        current = table;
+        return current;
+      }).catch(function (err) {
+        console.error('Could not load credit prices, using fallback', err);
+        current = _fallback();
+        return current;
+      });
+    },
+
+    /**
+     * getTable()
+     * Returns the table in use ({ asOf, min, max, rates, source, origin }).
+     * Before load() resolves this is the cached or built-in table.
+     */
+    getTable: function () {
+      if (!current) current = _fallback();
+      return current;
+    },
+
+    /**
+     * getCurrencies()
+     * Returns the CONFIG.PRICES.CURRENCIES the current table has a rate for.
+     */
+    getCurrencies: function () {
+      var labels = _settings().CURRENCIES || { BRL: 'Real (R$)' };
+      var rates = this.getTable().rates;
+      return Object.keys(labels).filter(function (code) {
+        return typeof rates[code] === 'number';
+      }).map(function (code) {
+        return { code: code, label: labels[code] };
+      });
+    },
+
+    /**
+     * convert(amountBRL, currency)
+     * Converts a BRL amount with the current table's rate (rounded to 2
+     * decimals). Unknown currencies are left in BRL.
+     */
+    convert: function (amountBRL, currency) {
+      var rate = this.getTable().rates[currency];
+      if (typeof rate !== 'number') rate = 1;
+      return Math.round(amountBRL * rate * 100) / 100;
+    }
+  };
+})();
@@ -0,0 +1,234 @@
+/*
+  custom-routes.js
+
+  Defines the global `CustomRoutes` object which keeps user-defined routes
+  (distances entered manually and saved by the user) in localStorage and
+  feeds them to RoutesDB, where they take precedence over the built-in
+  dataset.
+
+  Structure:
+    CustomRoutes = {
+      getAll: function() -> returns routes, newest first,
+      save: function(route) -> stores (or replaces) the route between two cities,
+      update: function(id, changes) -> returns the updated route or null,
+      remove: function(id) -> returns true if a route was deleted,
+      clear: function() -> deletes every route,
+      sync: function() -> hands the stored routes to RoutesDB.setCustomRoutes
+    }
+
+  Route shape:
+    { id, origin, destination, distanceKM, updated (ISO string) }
+
+  Notes:
+  - The storage key comes from CONFIG.CUSTOM_ROUTES.
+  - There is at most one route per pair of cities, in either direction and
+    regardless of accents or case: saving A → B again replaces B → A.
+  - City names are stored in their canonical "City, ST" form when RoutesDB
+    knows them (RoutesDB.resolveCity); other names are kept as typed.
+  - When localStorage is unavailable (private mode, quota) routes are kept
+    in memory for the current page only.
+*/
+
+// Node (CommonJS): load what the browser gets from config.js and routes-data.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+  var CONFIG = require('./config.js');
+}
+if (typeof RoutesDB === 'undefined' && typeof require === 'function') {
+  var RoutesDB = require('./routes-data.js');
+}
+
+var CustomRoutes = (function () {
+  // In-memory copy used when localStorage cannot be read or written
+  var memoryRoutes = [];
+
+  function _storageKey() {
+    var settings = (typeof CONFIG !== 'undefined' && CONFIG.CUSTOM_ROUTES) || {};
+    return settings.STORAGE_KEY || 'calculadoraCO2.customRoutes';
+  }
+
+  // Private helper: reads routes from localStorage (falls back to memory)
+  function _load() {
+    try {
+      var raw = window.localStorage.getItem(_storageKey());
+      if (!raw) return memoryRoutes.slice();
+      var parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.error('Could not read custom routes', err);
+      return memoryRoutes.slice();
+    }
+  }
+
+  // Private helper: writes routes to localStorage (and memory) and syncs RoutesDB
+  function _save(list) {
+    memoryRoutes = list.slice();
+    try {
+      window.localStorage.setItem(_storageKey(), JSON.stringify(list));
+    } catch (err) {
+      console.error('Could not save custom routes', err);
+    }
+    _sync(list);
+  }
+
+  // Private helper: hands routes to RoutesDB; returns how many it accepted
+  function _sync(list) {
+    if (typeof RoutesDB === 'undefined' || !RoutesDB.setCustomRoutes) return 0;
+    return RoutesDB.setCustomRoutes(list);
+  }
+
+  // Private helper: canonical "City, ST" name when RoutesDB knows the city
+  function _cityName(name) {
+    var trimmed = String(name || '').trim();
+    var resolved = typeof RoutesDB !== 'undefined' && RoutesDB.resolveCity ? RoutesDB.resolveCity(trimmed) : null;
+    return resolved || trimmed;
+  }
+
+  // Private helper: city name without accents, case or punctuation, as
+  // RoutesDB compares them ("Ilhéus, BA" -> "ilheus ba")
+  function _normalize(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  // Private helper: unordered pair key of two city names
+  function _pairKey(origin, destination) {
+    var a = _normalize(origin);
+    var b = _normalize(destination);
+    return a < b ? a + '|' + b : b + '|' + a;
+  }
+
+  // Private helper: checked copy of a route, or null when it is incomplete
+  function _clean(route) {
+    var origin = _cityName(route.origin);
+    var destination = _cityName(route.destination);
+    var distanceKM = Math.round(Number(route.distanceKM) * 10) / 10;
+
+    if (!origin || !destination || _normalize(origin) === _normalize(destination)) return null;
+    if (!isFinite(distanceKM) || distanceKM <= 0) return null;
+
+    return { origin: origin, destination: destination, distanceKM: distanceKM };
+  }
+
+  return {
+    /**
+     * getAll()
+     * Returns every stored route, newest first.
+     */
+    getAll: function () {
+      return _load();
+    },
+
+    /**
+     * save(route)
+     * route = { origin, destination, distanceKM }. Stores the route, replacing
+     * any route between the same two cities (its id is kept). Returns the
+     * stored route, or null when the cities are missing/equal or the
+     * distance is not positive.
+     */
+    save: function (route) {
+      var clean = _clean(route || {});
+      if (!clean) {
+        console.error('Invalid custom route', route);
+        return null;
+      }
+
+      var key = _pairKey(clean.origin, clean.destination);
+      var list = _load();
+      var previous = null;
+      var remaining = list.filter(function (r) {
+        if (_pairKey(r.origin, r.destination) !== key) return true;
+        previous = r;
+        return false;
+      });
+
+      var stored = {
+        id: previous ? previous.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        origin: clean.origin,
+        destination: clean.destination,
+        distanceKM: clean.distanceKM,
+        updated: new Date().toISOString()
+      };
+      remaining.unshift(stored);
+      _save(remaining);
+      return stored;
+    },
+
+    /**
+     * update(id, changes)
+     * changes = { origin, destination, distanceKM } (any subset). Returns the
+     * updated route, or null when the id is unknown or the result is
+     * invalid. Changing the cities onto a pair that already has a route
+     * replaces that route.
+     */
+    update: function (id, changes) {
+      var list = _load();
+      var current = null;
+      for (var i = 0; i < list.length; i++) {
+        if (list[i].id === id) current = list[i];
+      }
+      if (!current) return null;
+
+      var c = changes || {};
+      var clean = _clean({
+        origin: c.origin !== undefined ? c.origin : current.origin,
+        destination: c.destination !== undefined ? c.destination : current.destination,
+        distanceKM: c.distanceKM !== undefined ? c.distanceKM : current.distanceKM
+      });
+      if (!clean) {
+        console.error('Invalid custom route', changes);
+        return null;
+      }
+
+      var key = _pairKey(clean.origin, clean.destination);
+      var updated = {
+        id: id,
+        origin: clean.origin,
+        destination: clean.destination,
+        distanceKM: clean.distanceKM,
+        updated: new Date().toISOString()
+      };
+      var result = [];
+      for (var j = 0; j < list.length; j++) {
+        if (list[j].id === id) result.push(updated);
+        else if (_pairKey(list[j].origin, list[j].destination) !== key) result.push(list[j]);
+      }
+      _save(result);
+      return updated;
+    },
+
+    /**
+     * remove(id)
+     * Deletes one route. Returns true if it existed.
+     */
+    remove: function (id) {
+      var list = _load();
+      var remaining = list.filter(function (r) { return r.id !== id; });
+      if (remaining.length === list.length) return false;
+      _save(remaining);
+      return true;
+    },
+
+    /**
+     * clear()
+     * Deletes every route.
+     */
+    clear: function () {
+      _save([]);
+    },
+
+    /**
+     * sync()
+     * Hands the stored routes to RoutesDB (called once at startup; every
+     * change made through this object syncs by itself). Returns the number
+     * of routes RoutesDB accepted.
+     */
+    sync: function () {
+      return _sync(_load());
+    }
+  };
+})();
+
+// CommonJS export for Node (tests); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CustomRoutes;
+}
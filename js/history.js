@@ -0,0 +1,210 @@
+/*
+  history.js
+
+  Defines the global `TripHistory` object which keeps a log of calculated
+  trips in localStorage and aggregates it for the emissions dashboard.
+
+  Structure:
+    TripHistory = {
+      getAll: function() -> returns entries, newest first,
+      add: function(entry) -> stores an entry and returns it with id/date,
+      remove: function(id) -> returns true if an entry was deleted,
+      clear: function() -> deletes every entry,
+      filter: function(entries, criteria) -> returns matching entries,
+      totalsByMonth: function(entries) -> [ { month, trips, distance, emission, credits } ],
+      totalsByMode: function(entries) -> [ { mode, trips, distance, emission, credits } ],
+      totalsByDay: function(entries) -> [ { day, trips, distance, emission, credits } ]
+    }
+
+  Entry shape:
+    { id, date (ISO string), origin, destination, route, mode, modes,
+      distance (km), emission (kg CO2), credits }
+
+  Notes:
+  - The storage key and size limit come from CONFIG.HISTORY.
+  - When localStorage is unavailable (private mode, quota) entries are kept
+    in memory for the current page only.
+*/
+
+var TripHistory = (function () {
+  // In-memory copy used when localStorage cannot be read or written
+  var memoryEntries = [];
+
+  function _settings() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.HISTORY) || {};
+  }
+
+  function _storageKey() {
+    return _settings().STORAGE_KEY || 'calculadoraCO2.history';
+  }
+
+  // Private helper: reads entries from localStorage (falls back to memory)
+  function _load() {
+    try {
+      var raw = window.localStorage.getItem(_storageKey());
+      if (!raw) return memoryEntries.slice();
+      var parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.error('Could not read trip history', err);
+      return memoryEntries.slice();
+    }
+  }
+
+  // Private helper: writes entries to localStorage (and memory)
+  function _save(entries) {
+    memoryEntries = entries.slice();
+    try {
+      window.localStorage.setItem(_storageKey(), JSON.stringify(entries));
+    } catch (err) {
+      console.error('Could not save trip history', err);
+    }
+  }
+
+  // Private helper: "YYYY-MM-DD" (local date) of an ISO date string
+  function _dayOf(isoDate) {
+    var d = new Date(isoDate);
+    if (isNaN(d.getTime())) return String(isoDate).slice(0, 10);
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+  }
+
+  // Private helper: "YYYY-MM" (local month, like the listed date) of an ISO date string
+  function _monthOf(isoDate) {
+    return _dayOf(isoDate).slice(0, 7);
+  }
+
+  // Private helper: groups entries by key and sums their figures
+  function _aggregate(entries, keyName, keyOf) {
+    var groups = {};
+    var order = [];
+    for (var i = 0; i < entries.length; i++) {
+      var key = keyOf(entries[i]);
+      if (!groups[key]) {
+        groups[key] = { trips: 0, distance: 0, emission: 0, credits: 0 };
+        groups[key][keyName] = key;
+        order.push(key);
+      }
+      groups[key].trips++;
+      groups[key].distance += Number(entries[i].distance) || 0;
+      groups[key].emission += Number(entries[i].emission) || 0;
+      groups[key].credits += Number(entries[i].credits) || 0;
+    }
+
+    return order.map(function (key) {
+      var g = groups[key];
+      g.distance = Math.round(g.distance * 10) / 10;
+      g.emission = Math.round(g.emission * 100) / 100;
+      g.credits = Math.round(g.credits * 10000) / 10000;
+      return g;
+    });
+  }
+
+  return {
+    /**
+     * getAll()
+     * Returns every stored entry, newest first.
+     */
+    getAll: function () {
+      return _load();
+    },
+
+    /**
+     * add(entry)
+     * Stores a calculated trip. id and date are generated when missing.
+     * The log is capped at CONFIG.HISTORY.MAX_ENTRIES (oldest dropped).
+     * Returns the stored entry.
+     */
+    add: function (entry) {
+      var stored = {
+        id: entry.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        date: entry.date || new Date().toISOString(),
+        origin: entry.origin || '',
+        destination: entry.destination || '',
+        route: entry.route || (entry.origin || '') + ' → ' + (entry.destination || ''),
+        mode: entry.mode || '',
+        modes: Array.isArray(entry.modes) ? entry.modes : [entry.mode],
+        distance: Number(entry.distance) || 0,
+        emission: Number(entry.emission) || 0,
+        credits: Number(entry.credits) || 0
+      };
+
+      var entries = _load();
+      entries.unshift(stored);
+
+      var max = _settings().MAX_ENTRIES;
+      if (typeof max === 'number' && entries.length > max) {
+        entries = entries.slice(0, max);
+      }
+
+      _save(entries);
+      return stored;
+    },
+
+    /**
+     * remove(id)
+     * Deletes one entry. Returns true if it existed.
+     */
+    remove: function (id) {
+      var entries = _load();
+      var remaining = entries.filter(function (e) { return e.id !== id; });
+      if (remaining.length === entries.length) return false;
+      _save(remaining);
+      return true;
+    },
+
+    /**
+     * clear()
+     * Deletes every entry.
+     */
+    clear: function () {
+      _save([]);
+    },
+
+    /**
+     * filter(entries, criteria)
+     * criteria = { mode, month ("YYYY-MM"), text } — empty values are ignored.
+     * mode matches any mode used in the trip; text matches the route
+     * (case-insensitive).
+     */
+    filter: function (entries, criteria) {
+      var c = criteria || {};
+      var text = c.text ? String(c.text).trim().toLowerCase() : '';
+      return entries.filter(function (e) {
+        if (c.mode && e.mode !== c.mode && (e.modes || []).indexOf(c.mode) === -1) return false;
+        if (c.month && _monthOf(e.date) !== c.month) return false;
+        if (text && String(e.route).toLowerCase().indexOf(text) === -1) return false;
+        return true;
+      });
+    },
+
+    /**
+     * totalsByMonth(entries)
+     * Returns [ { month: "YYYY-MM", trips, distance, emission, credits } ], newest month first.
+     */
+    totalsByMonth: function (entries) {
+      var totals = _aggregate(entries, 'month', function (e) { return _monthOf(e.date); });
+      return totals.sort(function (a, b) { return a.month < b.month ? 1 : -1; });
+    },
+
+    /**
+     * totalsByMode(entries)
+     * Returns [ { mode, trips, distance, emission, credits } ], highest emission first.
+     * Multimodal trips are grouped under their mode ('multimodal').
+     */
+    totalsByMode: function (entries) {
+      var totals = _aggregate(entries, 'mode', function (e) { return e.mode; });
+      return totals.sort(function (a, b) { return b.emission - a.emission; });
+    },
+
+    /**
+     * totalsByDay(entries)
+     * Returns [ { day: "YYYY-MM-DD", trips, distance, emission, credits } ], newest day first.
+     * Used by the history line chart.
+     */
+    totalsByDay: function (entries) {
+      var totals = _aggregate(entries, 'day', function (e) { return _dayOf(e.date); });
+      return totals.sort(function (a, b) { return a.day < b.day ? 1 : -1; });
+    }
+  };
+})();
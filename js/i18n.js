@@ -0,0 +1,999 @@
+/*
+  i18n.js
+
+  Defines the global `I18n` object: the message catalog of the interface in
+  Portuguese (pt-BR), English (en) and Spanish (es), the current language
+  and the locale used to format numbers, currencies and dates.
+
+  Structure:
+    I18n = {
+      LANGUAGES: { code: { label, locale } },
+      MESSAGES: { code: { key: template } },
+      getLanguages: function() -> [ { code, label } ],
+      getLanguage: function() -> current language code,
+      getLocale: function() -> Intl locale of the current language,
+      setLanguage: function(code) -> true if the language exists (persisted),
+      t: function(key, params) -> translated message,
+      modeLabel: function(mode) -> translated transport mode label,
+      equivalenceLabel: function(key, params) -> translated equivalence label,
+      projectText: function(id, field) -> translated offset project label or description,
+      bandLabel: function(mode, label) -> translated distance band label,
+      profileLabel: function(mode, profileId) -> translated vehicle profile label,
+      referenceText: function(name) -> translated factor source cited in the report,
+      currencyLabel: function(code) -> translated credit price currency label,
+      translatePage: function(root) -> applies the catalog to data-i18n elements
+    }
+
+  Notes:
+  - Templates use {name} placeholders filled from params, like Validation.
+  - Keys missing from a language fall back to pt-BR, then to the key itself.
+  - Static markup is tagged with data-i18n (text), data-i18n-placeholder and
+    data-i18n-aria-label; translatePage rewrites those attributes so the
+    pt-BR markup stays readable without JavaScript.
+  - Transport mode labels come from CONFIG.TRANSPORT_MODES in pt-BR; the
+    other languages translate them under "mode.<key>" (modes registered at
+    runtime keep their own label). Equivalence labels work the same way
+    with CONFIG.EQUIVALENCES under "equivalence.<key>", offset projects
+    with CONFIG.OFFSET.PROJECTS under "project.<id>.<field>", distance bands
+    under "band.<mode>.<index>", CONFIG.VEHICLE_PROFILES under
+    "vehicle.<mode>.<id>", factor sources (mode source, FUELS_SOURCE,
+    LIFECYCLE_SOURCE) under "reference.<mode>" / "reference.fuels" /
+    "reference.lifecycle" and CONFIG.PRICES.CURRENCIES
+    under "currency.<code>".
+  - Modules that report errors (TripIO, Offset) return codes; their messages
+    live here under "import.error.<CODE>" and "checkout.error.<CODE>".
+  - The chosen language is kept in localStorage (CONFIG.I18N.STORAGE_KEY);
+    the default is CONFIG.I18N.DEFAULT_LANGUAGE.
+*/
+
+// Node (CommonJS): load the CONFIG the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+  var CONFIG = require('./config.js');
+}
+
+var I18n = (function () {
+  var LANGUAGES = {
+    'pt-BR': { label: 'Português', locale: 'pt-BR' },
+    en: { label: 'English', locale: 'en-US' },
+    es: { label: 'Español', locale: 'es-ES' }
+  };
+
+  var MESSAGES = {
+    'pt-BR': {
+      'page.title': 'Calculadora de emissão de CO₂',
+      'header.title': '🌱 Calculadora de emissão de CO₂',
+      'header.lead': 'Calcule estimativas de emissão de CO₂ por viagem entre duas cidades.',
+      'language.label': 'Idioma',
+      'units.label': 'Unidades',
+      'units.metric': 'Métrico (km, kg)',
+      'units.imperial': 'Imperial (mi, lb)',
+
+      'form.legend': 'Dados da viagem',
+      'form.origin': 'Origem',
+      'form.originPlaceholder': 'Cidade de origem',
+      'form.destination': 'Destino',
+      'form.destinationPlaceholder': 'Cidade de destino',
+      'form.distance': 'Distância',
+      'form.manual': 'Inserir distância manualmente',
+      'form.saveRoute': '💾 Salvar como rota personalizada',
+      'form.transport': 'Meio de transporte',
+      'form.profile': 'Perfil do veículo',
+      'form.addLeg': '➕ Adicionar trecho',
+      'form.load': 'Ocupação e carga',
+      'form.passengers': 'Pessoas no veículo',
+      'form.passengersHelp': 'Carro e moto: a emissão do veículo é dividida entre os ocupantes. Ônibus: cada passageiro tem a sua própria emissão.',
+      'form.cargo': 'Carga transportada (t)',
+      'form.cargoHelp': 'Caminhão: emissão por tonelada-quilômetro.',
+      'form.frequency': 'Frequência',
+      'form.roundTrip': 'Ida e volta',
+      'form.repeat': 'Repetir',
+      'form.periodOnce': 'Viagem única',
+      'form.periodDay': 'Por dia útil',
+      'form.periodWeek': 'Por semana',
+      'form.periodMonth': 'Por mês',
+      'form.tripsPerPeriod': 'Viagens por período',
+      'form.workingDays': 'Dias úteis por mês',
+      'form.submit': 'Calcular Emissão',
+      'form.calculating': 'Calculando...',
+
+      'leg.title': 'Trecho',
+      'leg.remove': 'Remover trecho',
+
+      'profile.default': 'padrão',
+      'profile.byBand': 'por faixa de distância',
+
+      'routes.loading': 'Carregando base de rotas...',
+      'routes.error': '⚠️ Não foi possível carregar a base de rotas. Informe a distância manualmente ou tente novamente.',
+      'routes.retry': 'Tentar novamente',
+      'routes.ready': 'Base de rotas v{version} · {cities} cidades · {routes} rotas',
+      'routes.updated': ' · atualizada em {date}',
+
+      'distance.found': '✓ Distância encontrada automaticamente',
+      'distance.via': '✓ Rota encontrada via {via}: {path}',
+      'distance.estimated': '≈ Distância estimada em linha reta × {factor} (nenhuma rota catalogada)',
+      'distance.custom': '✓ Rota personalizada',
+      'distance.customOverrides': '✓ Rota personalizada (substitui {distance} da base)',
+      'distance.customSaved': '✓ Rota personalizada salva: {route}',
+      'distance.notFound': 'Rota não encontrada. Marque "Inserir distância manualmente" para continuar.',
+      'distance.manual': 'Digite a distância em {unit}',
+
+      'source.catalogued': 'Rota catalogada',
+      'source.estimated': '≈ Estimada (linha reta)',
+      'source.custom': 'Rota personalizada',
+      'source.manual': 'Informada manualmente',
+
+      'results.route': 'Rota',
+      'results.roundTrip': '⇄ Ida e volta',
+      'results.distance': 'Distância',
+      'results.distanceTotal': 'Distância total',
+      'results.emission': 'Emissão estimada',
+      'results.emissionTotal': 'Emissão total',
+      'results.perTrip': 'por viagem',
+      'results.transport': 'Transporte',
+      'results.defaultProfile': 'perfil padrão',
+      'results.multimodal': 'multimodal',
+      'results.legsCount': '{count} trechos',
+      'results.savings': 'Economia',
+      'results.vsCar': '{percent}% vs carro',
+      'results.recurring': 'Emissão recorrente',
+      'results.perYear': '{value}/ano',
+      'results.perMonth': '{value}/mês · {trips} viagens/mês',
+      'results.allocation': 'Emissão por ocupação',
+      'results.perPerson': '{value}/pessoa',
+      'results.people': '{count} pessoas no veículo',
+      'results.cargo': '{value} t de carga',
+      'results.exportCsv': '⬇️ Exportar CSV',
+      'results.exportJson': '⬇️ Exportar JSON',
+      'results.report': '🖨️ Gerar relatório',
+
+      'legs.title': 'Trechos',
+      'legs.leg': 'Trecho',
+      'legs.transport': 'Transporte',
+      'legs.distance': 'Distância',
+      'legs.emission': 'Emissão',
+      'legs.share': '% do total',
+      'legs.total': 'Total',
+
+      'comparison.chartTitle': 'Emissão por pessoa de cada meio de transporte',
+      'comparison.tooltip': '{label}: {value} CO₂ por pessoa · {percent} % vs carro',
+      'comparison.perPerson': '{value}/pessoa ({count})',
+      'comparison.chartTitleLifecycle': 'Emissão por pessoa de cada meio de transporte, em ciclo de vida',
+      'comparison.view': 'Emissões consideradas',
+      'comparison.tailpipe': 'Só escapamento',
+      'comparison.lifecycle': 'Ciclo de vida (combustível e fabricação)',
+      'comparison.breakdown': 'direta {direct} · combustível/energia {upstream} · fabricação {embodied}',
+
+      'credits.currency': 'Moeda',
+      'credits.pricesAsOf': 'Preços de {date}',
+      'credits.needed': 'Créditos necessários',
+      'credits.neededYear': 'Créditos necessários por ano',
+      'credits.unit': '1 crédito = {mass} CO₂',
+      'credits.price': 'Preço estimado',
+      'credits.priceYear': 'Preço estimado por ano',
+      'credits.range': 'Faixa: {range}',
+      'credits.info': 'Créditos de carbono são certificados que representam a redução ou remoção de 1 tonelada de CO₂ equivalente — podem ser comprados para compensar emissões.',
+      'credits.compensate': '🌱 Compensar Emissões',
+      'equivalences.title': 'Equivale a',
+      'equivalences.titleYear': 'Por ano, equivale a',
+      'equivalences.credits': 'Essa compensação equivale a',
+
+      'customRoutes.title': 'Rotas personalizadas',
+      'customRoutes.intro': 'Distâncias salvas por você. Elas têm prioridade sobre a base de rotas e ficam guardadas neste navegador.',
+      'customRoutes.empty': 'Nenhuma rota personalizada. Marque "Inserir distância manualmente" e use "Salvar como rota personalizada" para guardar uma distância.',
+      'customRoutes.overrides': 'substitui {distance} da base',
+      'customRoutes.distance': 'Distância de {route} ({unit})',
+      'customRoutes.save': 'Salvar',
+      'customRoutes.delete': 'Excluir rota {route}',
+
+      'history.title': 'Histórico de viagens',
+      'history.mode': 'Transporte',
+      'history.allModes': 'Todos',
+      'history.month': 'Mês',
+      'history.search': 'Buscar rota',
+      'history.searchPlaceholder': 'Cidade',
+      'history.exportCsv': '⬇️ Histórico CSV',
+      'history.exportJson': '⬇️ Histórico JSON',
+      'history.clear': 'Limpar histórico',
+      'history.clearConfirm': 'Excluir todas as viagens do histórico?',
+      'history.import': 'Importar viagens (CSV com colunas origem, destino, modo, distancia)',
+      'history.empty': 'Nenhuma viagem encontrada.',
+      'history.credits': '{value} créditos',
+      'history.delete': 'Excluir viagem',
+      'history.total': 'Total registrado',
+      'history.totalSub': '{trips} viagens · {credits} créditos',
+      'history.byMonth': 'Por mês',
+      'history.byMode': 'Por meio de transporte',
+      'history.trips': 'Viagens',
+      'history.distance': 'Distância',
+      'history.emission': 'Emissão',
+      'history.chartCard': 'Emissões ao longo do tempo',
+      'history.chartTitle': 'Emissão diária registrada no histórico',
+      'history.chartTooltip': '{label}: {value} CO₂ em {trips} viagens',
+      'history.chartTooltipOne': '{label}: {value} CO₂ em 1 viagem',
+      'import.summary': '✓ {count} viagens importadas',
+      'import.rejected': ' · ⚠️ {count} linhas rejeitadas',
+      'import.row': 'Linha {row}: {message}',
+      'import.error.EMPTY_FILE': 'Arquivo vazio.',
+      'import.error.MISSING_COLUMNS': 'Cabeçalho deve conter as colunas origem, destino e modo.',
+      'import.error.MISSING_CITY': 'Origem e destino são obrigatórios.',
+      'import.error.UNKNOWN_MODE': 'Meio de transporte desconhecido: "{mode}".',
+      'import.error.NO_ROUTE': 'Rota não encontrada e distância não informada.',
+      'import.error.INVALID_DISTANCE': 'Distância inválida: "{distance}".',
+
+      'checkout.project': 'Escolha o projeto de compensação',
+      'checkout.perCredit': '{price} / crédito',
+      'checkout.needed': 'Créditos necessários',
+      'checkout.units': 'Créditos a comprar',
+      'checkout.unitPrice': 'Preço por crédito',
+      'checkout.total': 'Total',
+      'checkout.confirm': 'Confirmar compensação',
+      'checkout.cancel': 'Cancelar',
+      'checkout.sending': 'Enviando pedido...',
+      'checkout.error': 'Não foi possível concluir a compensação: {message}',
+      'checkout.unknownError': 'erro desconhecido',
+      'checkout.success': '✅ Pedido {order} confirmado: {units} crédito(s) em {project} por {total}.',
+      'checkout.error.NO_ENDPOINT': 'Nenhum endpoint de compensação configurado.',
+      'checkout.error.PROVIDER_REJECTED': 'O provedor recusou o pedido (HTTP {status}).',
+      'checkout.error.EMPTY_ORDER': 'Pedido sem créditos.',
+      'checkout.error.UNKNOWN_PROVIDER': 'Provedor de compensação desconhecido: {provider}.',
+      'checkout.notice.MOCK_ORDER': 'Pedido simulado — nenhuma cobrança foi feita.',
+
+      'report.title': 'Relatório de emissão de CO₂',
+      'report.generatedAt': 'Gerado em {date}',
+      'report.results': 'Resultado',
+      'report.comparison': 'Comparação entre meios de transporte',
+      'report.credits': 'Compensação',
+      'report.methodology': 'Metodologia',
+      'report.factors': 'Fatores de emissão e fontes',
+      'report.transport': 'Transporte',
+      'report.source': 'Fonte',
+      'report.profiles': 'Perfis de veículo: {source}.',
+      'report.estimated': 'Distância estimada: nenhuma rota catalogada entre as cidades informadas.',
+      'report.methodology.factor': 'A emissão é calculada multiplicando a distância de cada trecho pelo fator de emissão do meio de transporte (kg CO₂ por km).',
+      'report.methodology.profile': 'Quando um perfil de veículo é informado, o fator é derivado do consumo do veículo e do coeficiente de emissão do combustível.',
+      'report.methodology.distance': 'Distâncias vêm do catálogo de rotas; quando não há rota catalogada são estimadas pela distância em linha reta multiplicada por um fator de sinuosidade.',
+      'report.methodology.sharing': 'Em viagens compartilhadas a emissão do veículo é dividida entre os passageiros; no transporte de carga é informada por tonelada-km.',
+      'report.footnote.estimates': 'Valores estimados para fins informativos; não substituem um inventário de emissões auditado.',
+      'report.footnote.tailpipe': 'Considera apenas o CO₂ da operação do veículo.',
+      'report.footnote.prices': 'O preço dos créditos de carbono é uma faixa de referência e varia conforme o mercado e o projeto.',
+      'report.footnote.lifecycle': 'A comparação entre meios de transporte inclui o ciclo de vida: produção do combustível e fabricação de veículos e infraestrutura. {source}',
+
+      'alert.calculation': 'Ocorreu um erro ao calcular as emissões. Tente novamente.',
+      'alert.fileRead': 'Não foi possível ler o arquivo.'
+    },
+
+    en: {
+      'page.title': 'CO₂ emissions calculator',
+      'header.title': '🌱 CO₂ emissions calculator',
+      'header.lead': 'Estimate the CO₂ emissions of a trip between two cities.',
+      'language.label': 'Language',
+      'units.label': 'Units',
+      'units.metric': 'Metric (km, kg)',
+      'units.imperial': 'Imperial (mi, lb)',
+
+      'form.legend': 'Trip details',
+      'form.origin': 'Origin',
+      'form.originPlaceholder': 'Origin city',
+      'form.destination': 'Destination',
+      'form.destinationPlaceholder': 'Destination city',
+      'form.distance': 'Distance',
+      'form.manual': 'Enter distance manually',
+      'form.saveRoute': '💾 Save as custom route',
+      'form.transport': 'Transport mode',
+      'form.profile': 'Vehicle profile',
+      'form.addLeg': '➕ Add leg',
+      'form.load': 'Occupancy and cargo',
+      'form.passengers': 'People in the vehicle',
+      'form.passengersHelp': 'Car and motorcycle: the vehicle emissions are split among the occupants. Bus: each passenger has their own emissions.',
+      'form.cargo': 'Cargo carried (t)',
+      'form.cargoHelp': 'Truck: emissions per tonne-kilometre.',
+      'form.frequency': 'Frequency',
+      'form.roundTrip': 'Round trip',
+      'form.repeat': 'Repeat',
+      'form.periodOnce': 'Single trip',
+      'form.periodDay': 'Per working day',
+      'form.periodWeek': 'Per week',
+      'form.periodMonth': 'Per month',
+      'form.tripsPerPeriod': 'Trips per period',
+      'form.workingDays': 'Working days per month',
+      'form.submit': 'Calculate emissions',
+      'form.calculating': 'Calculating...',
+
+      'leg.title': 'Leg',
+      'leg.remove': 'Remove leg',
+
+      'profile.default': 'default',
+      'profile.byBand': 'by distance band',
+
+      'routes.loading': 'Loading route database...',
+      'routes.error': '⚠️ The route database could not be loaded. Enter the distance manually or try again.',
+      'routes.retry': 'Try again',
+      'routes.ready': 'Route database v{version} · {cities} cities · {routes} routes',
+      'routes.updated': ' · updated on {date}',
+
+      'distance.found': '✓ Distance found automatically',
+      'distance.via': '✓ Route found via {via}: {path}',
+      'distance.estimated': '≈ Straight-line distance × {factor} (no catalogued route)',
+      'distance.custom': '✓ Custom route',
+      'distance.customOverrides': '✓ Custom route (replaces {distance} from the database)',
+      'distance.customSaved': '✓ Custom route saved: {route}',
+      'distance.notFound': 'Route not found. Check "Enter distance manually" to continue.',
+      'distance.manual': 'Type the distance in {unit}',
+
+      'source.catalogued': 'Catalogued route',
+      'source.estimated': '≈ Estimated (straight line)',
+      'source.custom': 'Custom route',
+      'source.manual': 'Entered manually',
+
+      'results.route': 'Route',
+      'results.roundTrip': '⇄ Round trip',
+      'results.distance': 'Distance',
+      'results.distanceTotal': 'Total distance',
+      'results.emission': 'Estimated emissions',
+      'results.emissionTotal': 'Total emissions',
+      'results.perTrip': 'per trip',
+      'results.transport': 'Transport',
+      'results.defaultProfile': 'default profile',
+      'results.multimodal': 'multimodal',
+      'results.legsCount': '{count} legs',
+      'results.savings': 'Savings',
+      'results.vsCar': '{percent}% vs car',
+      'results.recurring': 'Recurring emissions',
+      'results.perYear': '{value}/year',
+      'results.perMonth': '{value}/month · {trips} trips/month',
+      'results.allocation': 'Emissions per occupant',
+      'results.perPerson': '{value}/person',
+      'results.people': '{count} people in the vehicle',
+      'results.cargo': '{value} t of cargo',
+      'results.exportCsv': '⬇️ Export CSV',
+      'results.exportJson': '⬇️ Export JSON',
+      'results.report': '🖨️ Generate report',
+
+      'legs.title': 'Legs',
+      'legs.leg': 'Leg',
+      'legs.transport': 'Transport',
+      'legs.distance': 'Distance',
+      'legs.emission': 'Emissions',
+      'legs.share': '% of total',
+      'legs.total': 'Total',
+
+      'comparison.chartTitle': 'Emissions per person of each transport mode',
+      'comparison.tooltip': '{label}: {value} CO₂ per person · {percent} % vs car',
+      'comparison.perPerson': '{value}/person ({count})',
+      'comparison.chartTitleLifecycle': 'Lifecycle emissions per person of each transport mode',
+      'comparison.view': 'Emissions included',
+      'comparison.tailpipe': 'Tailpipe only',
+      'comparison.lifecycle': 'Lifecycle (fuel and manufacturing)',
+      'comparison.breakdown': 'direct {direct} · fuel/energy {upstream} · manufacturing {embodied}',
+
+      'credits.currency': 'Currency',
+      'credits.pricesAsOf': 'Prices as of {date}',
+      'credits.needed': 'Credits needed',
+      'credits.neededYear': 'Credits needed per year',
+      'credits.unit': '1 credit = {mass} CO₂',
+      'credits.price': 'Estimated price',
+      'credits.priceYear': 'Estimated price per year',
+      'credits.range': 'Range: {range}',
+      'credits.info': 'Carbon credits are certificates representing the reduction or removal of 1 tonne of CO₂ equivalent — they can be bought to offset emissions.',
+      'credits.compensate': '🌱 Offset emissions',
+      'equivalences.title': 'Equivalent to',
+      'equivalences.titleYear': 'Per year, equivalent to',
+      'equivalences.credits': 'This offset is equivalent to',
+
+      'customRoutes.title': 'Custom routes',
+      'customRoutes.intro': 'Distances you saved. They take precedence over the routes dataset and are kept in this browser.',
+      'customRoutes.empty': 'No custom routes. Check "Enter distance manually" and use "Save as custom route" to keep a distance.',
+      'customRoutes.overrides': 'replaces {distance} from the dataset',
+      'customRoutes.distance': 'Distance of {route} ({unit})',
+      'customRoutes.save': 'Save',
+      'customRoutes.delete': 'Delete route {route}',
+
+      'history.title': 'Trip history',
+      'history.mode': 'Transport',
+      'history.allModes': 'All',
+      'history.month': 'Month',
+      'history.search': 'Search route',
+      'history.searchPlaceholder': 'City',
+      'history.exportCsv': '⬇️ History CSV',
+      'history.exportJson': '⬇️ History JSON',
+      'history.clear': 'Clear history',
+      'history.clearConfirm': 'Delete all trips from the history?',
+      'history.import': 'Import trips (CSV with columns origem, destino, modo, distancia)',
+      'history.empty': 'No trips found.',
+      'history.credits': '{value} credits',
+      'history.delete': 'Delete trip',
+      'history.total': 'Recorded total',
+      'history.totalSub': '{trips} trips · {credits} credits',
+      'history.byMonth': 'By month',
+      'history.byMode': 'By transport mode',
+      'history.trips': 'Trips',
+      'history.distance': 'Distance',
+      'history.emission': 'Emissions',
+      'history.chartCard': 'Emissions over time',
+      'history.chartTitle': 'Daily emissions recorded in the history',
+      'history.chartTooltip': '{label}: {value} CO₂ in {trips} trips',
+      'history.chartTooltipOne': '{label}: {value} CO₂ in 1 trip',
+      'import.summary': '✓ {count} trips imported',
+      'import.rejected': ' · ⚠️ {count} rows rejected',
+      'import.row': 'Row {row}: {message}',
+      'import.error.EMPTY_FILE': 'Empty file.',
+      'import.error.MISSING_COLUMNS': 'The header must contain the columns origem, destino and modo.',
+      'import.error.MISSING_CITY': 'Origin and destination are required.',
+      'import.error.UNKNOWN_MODE': 'Unknown transport mode: "{mode}".',
+      'import.error.NO_ROUTE': 'Route not found and no distance given.',
+      'import.error.INVALID_DISTANCE': 'Invalid distance: "{distance}".',
+
+      'checkout.project': 'Choose the offset project',
+      'checkout.perCredit': '{price} / credit',
+      'checkout.needed': 'Credits needed',
+      'checkout.units': 'Credits to buy',
+      'checkout.unitPrice': 'Price per credit',
+      'checkout.total': 'Total',
+      'checkout.confirm': 'Confirm offset',
+      'checkout.cancel': 'Cancel',
+      'checkout.sending': 'Sending order...',
+      'checkout.error': 'The offset could not be completed: {message}',
+      'checkout.unknownError': 'unknown error',
+      'checkout.success': '✅ Order {order} confirmed: {units} credit(s) in {project} for {total}.',
+      'checkout.error.NO_ENDPOINT': 'No offset endpoint is configured.',
+      'checkout.error.PROVIDER_REJECTED': 'The provider rejected the order (HTTP {status}).',
+      'checkout.error.EMPTY_ORDER': 'The order has no credits.',
+      'checkout.error.UNKNOWN_PROVIDER': 'Unknown offset provider: {provider}.',
+      'checkout.notice.MOCK_ORDER': 'Simulated order — nothing was charged.',
+
+      'report.title': 'CO₂ emissions report',
+      'report.generatedAt': 'Generated on {date}',
+      'report.results': 'Result',
+      'report.comparison': 'Transport mode comparison',
+      'report.credits': 'Offsetting',
+      'report.methodology': 'Methodology',
+      'report.factors': 'Emission factors and sources',
+      'report.transport': 'Transport',
+      'report.source': 'Source',
+      'report.profiles': 'Vehicle profiles: {source}.',
+      'report.estimated': 'Estimated distance: no catalogued route between the given cities.',
+      'report.methodology.factor': 'Emissions are calculated by multiplying the distance of each leg by the emission factor of the transport mode (kg CO₂ per km).',
+      'report.methodology.profile': 'When a vehicle profile is given, the factor is derived from the vehicle consumption and the emission coefficient of the fuel.',
+      'report.methodology.distance': 'Distances come from the routes catalogue; when there is no catalogued route they are estimated from the straight-line distance multiplied by a winding factor.',
+      'report.methodology.sharing': 'On shared trips the vehicle emissions are split between the passengers; for freight they are given per tonne-km.',
+      'report.footnote.estimates': 'Estimated values for information only; they do not replace an audited emissions inventory.',
+      'report.footnote.tailpipe': 'Only the CO₂ from operating the vehicle is considered.',
+      'report.footnote.prices': 'The carbon credit price is a reference range and varies with the market and the project.',
+      'report.footnote.lifecycle': 'The transport mode comparison includes the lifecycle: fuel production and the manufacturing of vehicles and infrastructure. {source}',
+
+      'alert.calculation': 'Something went wrong while calculating the emissions. Please try again.',
+      'alert.fileRead': 'The file could not be read.',
+
+      'mode.bicicleta': 'bicycle',
+      'mode.carro': 'car',
+      'mode.onibus': 'bus',
+      'mode.caminhao': 'truck',
+      'mode.moto': 'motorcycle',
+      'mode.metro': 'subway',
+      'mode.trem': 'train',
+      'mode.aviao': 'plane',
+      'equivalence.arvores': 'trees absorbing the CO₂ for a year',
+      'equivalence.carro': '{unit} driven by an average car',
+      'equivalence.energia': 'kWh of Brazilian grid electricity',
+      'equivalence.botijao': 'cooking gas cylinders (13 kg)',
+      'equivalence.smartphone': 'full smartphone charges',
+      'project.reflorestamento.label': 'Reforestation',
+      'project.reflorestamento.description': 'Planting and restoring native Atlantic Forest.',
+      'project.energia_renovavel.label': 'Renewable energy',
+      'project.energia_renovavel.description': 'Wind and solar generation replacing fossil energy.',
+      'project.redd.label': 'Forest conservation (REDD+)',
+      'project.redd.description': 'Avoided deforestation in the Amazon.',
+      'project.metano.label': 'Methane capture',
+      'project.metano.description': 'Biogas recovery at landfills.',
+      'band.aviao.0': 'short-haul flight',
+      'band.aviao.1': 'medium-haul flight',
+      'band.aviao.2': 'long-haul flight',
+      'vehicle.bicicleta.eletrica': 'e-bike',
+      'vehicle.carro.gasolina': 'petrol compact',
+      'vehicle.carro.etanol': 'ethanol compact',
+      'vehicle.carro.flex': 'flex (petrol/ethanol)',
+      'vehicle.carro.diesel': 'diesel SUV/pickup',
+      'vehicle.carro.gnv': 'CNG',
+      'vehicle.carro.hibrido': 'hybrid',
+      'vehicle.carro.eletrico': 'electric',
+      'vehicle.onibus.diesel': 'diesel city bus',
+      'vehicle.onibus.eletrico': 'electric city bus',
+      'vehicle.caminhao.diesel': 'diesel semi-trailer',
+      'vehicle.caminhao.gnv': 'CNG',
+      'vehicle.moto.gasolina': '150 cc petrol',
+      'vehicle.moto.eletrica': 'electric',
+      'reference.bicicleta': 'No direct emission (human-powered)',
+      'reference.carro': 'Passenger car, fleet average (petrol and flex)',
+      'reference.onibus': 'Intercity bus, average factor per passenger-km',
+      'reference.caminhao': 'Heavy diesel truck, ~2.7 km/l × 2.6 kg CO₂/l',
+      'reference.moto': '150 cc motorcycle, ~31 km/l × 2.21 kg CO₂/l',
+      'reference.metro': 'Electric subway, Brazilian grid electricity per passenger-km',
+      'reference.trem': 'Passenger train, average factor per passenger-km',
+      'reference.aviao': 'Aviation per passenger-km, DEFRA-style distance bands (UK GHG Conversion Factors)',
+      'reference.fuels': 'Combustion coefficients per fuel (tailpipe CO₂); electricity: average factor of the Brazilian National Interconnected System (MCTI)',
+      'reference.lifecycle': 'Lifecycle: production and distribution of each fuel (DEFRA-style well-to-tank factors), generation of the electricity of electric vehicles (counted as energy, with no direct emission) and manufacturing of vehicles and infrastructure amortized per km (LCA literature estimates)',
+      'currency.BRL': 'Real (R$)',
+      'currency.USD': 'Dollar (US$)',
+      'currency.EUR': 'Euro (€)'
+    },
+
+    es: {
+      'page.title': 'Calculadora de emisiones de CO₂',
+      'header.title': '🌱 Calculadora de emisiones de CO₂',
+      'header.lead': 'Calcula estimaciones de emisiones de CO₂ por viaje entre dos ciudades.',
+      'language.label': 'Idioma',
+      'units.label': 'Unidades',
+      'units.metric': 'Métrico (km, kg)',
+      'units.imperial': 'Imperial (mi, lb)',
+
+      'form.legend': 'Datos del viaje',
+      'form.origin': 'Origen',
+      'form.originPlaceholder': 'Ciudad de origen',
+      'form.destination': 'Destino',
+      'form.destinationPlaceholder': 'Ciudad de destino',
+      'form.distance': 'Distancia',
+      'form.manual': 'Introducir la distancia manualmente',
+      'form.saveRoute': '💾 Guardar como ruta personalizada',
+      'form.transport': 'Medio de transporte',
+      'form.profile': 'Perfil del vehículo',
+      'form.addLeg': '➕ Añadir tramo',
+      'form.load': 'Ocupación y carga',
+      'form.passengers': 'Personas en el vehículo',
+      'form.passengersHelp': 'Coche y moto: la emisión del vehículo se divide entre los ocupantes. Autobús: cada pasajero tiene su propia emisión.',
+      'form.cargo': 'Carga transportada (t)',
+      'form.cargoHelp': 'Camión: emisión por tonelada-kilómetro.',
+      'form.frequency': 'Frecuencia',
+      'form.roundTrip': 'Ida y vuelta',
+      'form.repeat': 'Repetir',
+      'form.periodOnce': 'Viaje único',
+      'form.periodDay': 'Por día laborable',
+      'form.periodWeek': 'Por semana',
+      'form.periodMonth': 'Por mes',
+      'form.tripsPerPeriod': 'Viajes por periodo',
+      'form.workingDays': 'Días laborables por mes',
+      'form.submit': 'Calcular emisiones',
+      'form.calculating': 'Calculando...',
+
+      'leg.title': 'Tramo',
+      'leg.remove': 'Eliminar tramo',
+
+      'profile.default': 'predeterminado',
+      'profile.byBand': 'por franja de distancia',
+
+      'routes.loading': 'Cargando la base de rutas...',
+      'routes.error': '⚠️ No se pudo cargar la base de rutas. Introduce la distancia manualmente o inténtalo de nuevo.',
+      'routes.retry': 'Reintentar',
+      'routes.ready': 'Base de rutas v{version} · {cities} ciudades · {routes} rutas',
+      'routes.updated': ' · actualizada el {date}',
+
+      'distance.found': '✓ Distancia encontrada automáticamente',
+      'distance.via': '✓ Ruta encontrada vía {via}: {path}',
+      'distance.estimated': '≈ Distancia estimada en línea recta × {factor} (ninguna ruta catalogada)',
+      'distance.custom': '✓ Ruta personalizada',
+      'distance.customOverrides': '✓ Ruta personalizada (sustituye {distance} de la base)',
+      'distance.customSaved': '✓ Ruta personalizada guardada: {route}',
+      'distance.notFound': 'Ruta no encontrada. Marca "Introducir la distancia manualmente" para continuar.',
+      'distance.manual': 'Escribe la distancia en {unit}',
+
+      'source.catalogued': 'Ruta catalogada',
+      'source.estimated': '≈ Estimada (línea recta)',
+      'source.custom': 'Ruta personalizada',
+      'source.manual': 'Introducida manualmente',
+
+      'results.route': 'Ruta',
+      'results.roundTrip': '⇄ Ida y vuelta',
+      'results.distance': 'Distancia',
+      'results.distanceTotal': 'Distancia total',
+      'results.emission': 'Emisión estimada',
+      'results.emissionTotal': 'Emisión total',
+      'results.perTrip': 'por viaje',
+      'results.transport': 'Transporte',
+      'results.defaultProfile': 'perfil predeterminado',
+      'results.multimodal': 'multimodal',
+      'results.legsCount': '{count} tramos',
+      'results.savings': 'Ahorro',
+      'results.vsCar': '{percent}% vs coche',
+      'results.recurring': 'Emisión recurrente',
+      'results.perYear': '{value}/año',
+      'results.perMonth': '{value}/mes · {trips} viajes/mes',
+      'results.allocation': 'Emisión por ocupante',
+      'results.perPerson': '{value}/persona',
+      'results.people': '{count} personas en el vehículo',
+      'results.cargo': '{value} t de carga',
+      'results.exportCsv': '⬇️ Exportar CSV',
+      'results.exportJson': '⬇️ Exportar JSON',
+      'results.report': '🖨️ Generar informe',
+
+      'legs.title': 'Tramos',
+      'legs.leg': 'Tramo',
+      'legs.transport': 'Transporte',
+      'legs.distance': 'Distancia',
+      'legs.emission': 'Emisión',
+      'legs.share': '% del total',
+      'legs.total': 'Total',
+
+      'comparison.chartTitle': 'Emisión por persona de cada medio de transporte',
+      'comparison.tooltip': '{label}: {value} CO₂ por persona · {percent} % vs coche',
+      'comparison.perPerson': '{value}/persona ({count})',
+      'comparison.chartTitleLifecycle': 'Emisión por persona de cada medio de transporte, en ciclo de vida',
+      'comparison.view': 'Emisiones consideradas',
+      'comparison.tailpipe': 'Solo escape',
+      'comparison.lifecycle': 'Ciclo de vida (combustible y fabricación)',
+      'comparison.breakdown': 'directa {direct} · combustible/energía {upstream} · fabricación {embodied}',
+
+      'credits.currency': 'Moneda',
+      'credits.pricesAsOf': 'Precios del {date}',
+      'credits.needed': 'Créditos necesarios',
+      'credits.neededYear': 'Créditos necesarios por año',
+      'credits.unit': '1 crédito = {mass} CO₂',
+      'credits.price': 'Precio estimado',
+      'credits.priceYear': 'Precio estimado por año',
+      'credits.range': 'Rango: {range}',
+      'credits.info': 'Los créditos de carbono son certificados que representan la reducción o eliminación de 1 tonelada de CO₂ equivalente — se pueden comprar para compensar emisiones.',
+      'credits.compensate': '🌱 Compensar emisiones',
+      'equivalences.title': 'Equivale a',
+      'equivalences.titleYear': 'Por año, equivale a',
+      'equivalences.credits': 'Esta compensación equivale a',
+
+      'customRoutes.title': 'Rutas personalizadas',
+      'customRoutes.intro': 'Distancias guardadas por ti. Tienen prioridad sobre la base de rutas y se guardan en este navegador.',
+      'customRoutes.empty': 'Ninguna ruta personalizada. Marca "Introducir la distancia manualmente" y usa "Guardar como ruta personalizada" para guardar una distancia.',
+      'customRoutes.overrides': 'sustituye {distance} de la base',
+      'customRoutes.distance': 'Distancia de {route} ({unit})',
+      'customRoutes.save': 'Guardar',
+      'customRoutes.delete': 'Eliminar ruta {route}',
+
+      'history.title': 'Historial de viajes',
+      'history.mode': 'Transporte',
+      'history.allModes': 'Todos',
+      'history.month': 'Mes',
+      'history.search': 'Buscar ruta',
+      'history.searchPlaceholder': 'Ciudad',
+      'history.exportCsv': '⬇️ Historial CSV',
+      'history.exportJson': '⬇️ Historial JSON',
+      'history.clear': 'Borrar historial',
+      'history.clearConfirm': '¿Eliminar todos los viajes del historial?',
+      'history.import': 'Importar viajes (CSV con columnas origem, destino, modo, distancia)',
+      'history.empty': 'No se encontraron viajes.',
+      'history.credits': '{value} créditos',
+      'history.delete': 'Eliminar viaje',
+      'history.total': 'Total registrado',
+      'history.totalSub': '{trips} viajes · {credits} créditos',
+      'history.byMonth': 'Por mes',
+      'history.byMode': 'Por medio de transporte',
+      'history.trips': 'Viajes',
+      'history.distance': 'Distancia',
+      'history.emission': 'Emisión',
+      'history.chartCard': 'Emisiones a lo largo del tiempo',
+      'history.chartTitle': 'Emisión diaria registrada en el historial',
+      'history.chartTooltip': '{label}: {value} CO₂ en {trips} viajes',
+      'history.chartTooltipOne': '{label}: {value} CO₂ en 1 viaje',
+      'import.summary': '✓ {count} viajes importados',
+      'import.rejected': ' · ⚠️ {count} filas rechazadas',
+      'import.row': 'Fila {row}: {message}',
+      'import.error.EMPTY_FILE': 'Archivo vacío.',
+      'import.error.MISSING_COLUMNS': 'El encabezado debe contener las columnas origem, destino y modo.',
+      'import.error.MISSING_CITY': 'Origen y destino son obligatorios.',
+      'import.error.UNKNOWN_MODE': 'Medio de transporte desconocido: "{mode}".',
+      'import.error.NO_ROUTE': 'Ruta no encontrada y distancia no informada.',
+      'import.error.INVALID_DISTANCE': 'Distancia no válida: "{distance}".',
+
+      'checkout.project': 'Elige el proyecto de compensación',
+      'checkout.perCredit': '{price} / crédito',
+      'checkout.needed': 'Créditos necesarios',
+      'checkout.units': 'Créditos a comprar',
+      'checkout.unitPrice': 'Precio por crédito',
+      'checkout.total': 'Total',
+      'checkout.confirm': 'Confirmar compensación',
+      'checkout.cancel': 'Cancelar',
+      'checkout.sending': 'Enviando pedido...',
+      'checkout.error': 'No se pudo completar la compensación: {message}',
+      'checkout.unknownError': 'error desconocido',
+      'checkout.success': '✅ Pedido {order} confirmado: {units} crédito(s) en {project} por {total}.',
+      'checkout.error.NO_ENDPOINT': 'No hay ningún endpoint de compensación configurado.',
+      'checkout.error.PROVIDER_REJECTED': 'El proveedor rechazó el pedido (HTTP {status}).',
+      'checkout.error.EMPTY_ORDER': 'El pedido no tiene créditos.',
+      'checkout.error.UNKNOWN_PROVIDER': 'Proveedor de compensación desconocido: {provider}.',
+      'checkout.notice.MOCK_ORDER': 'Pedido simulado — no se realizó ningún cobro.',
+
+      'report.title': 'Informe de emisiones de CO₂',
+      'report.generatedAt': 'Generado el {date}',
+      'report.results': 'Resultado',
+      'report.comparison': 'Comparación entre medios de transporte',
+      'report.credits': 'Compensación',
+      'report.methodology': 'Metodología',
+      'report.factors': 'Factores de emisión y fuentes',
+      'report.transport': 'Transporte',
+      'report.source': 'Fuente',
+      'report.profiles': 'Perfiles de vehículo: {source}.',
+      'report.estimated': 'Distancia estimada: ninguna ruta catalogada entre las ciudades indicadas.',
+      'report.methodology.factor': 'La emisión se calcula multiplicando la distancia de cada tramo por el factor de emisión del medio de transporte (kg CO₂ por km).',
+      'report.methodology.profile': 'Cuando se indica un perfil de vehículo, el factor se deriva del consumo del vehículo y del coeficiente de emisión del combustible.',
+      'report.methodology.distance': 'Las distancias vienen del catálogo de rutas; cuando no hay ruta catalogada se estiman con la distancia en línea recta multiplicada por un factor de sinuosidad.',
+      'report.methodology.sharing': 'En viajes compartidos la emisión del vehículo se divide entre los pasajeros; en el transporte de carga se indica por tonelada-km.',
+      'report.footnote.estimates': 'Valores estimados con fines informativos; no sustituyen un inventario de emisiones auditado.',
+      'report.footnote.tailpipe': 'Considera solo el CO₂ de la operación del vehículo.',
+      'report.footnote.prices': 'El precio de los créditos de carbono es un rango de referencia y varía según el mercado y el proyecto.',
+      'report.footnote.lifecycle': 'La comparación entre medios de transporte incluye el ciclo de vida: producción del combustible y fabricación de vehículos e infraestructura. {source}',
+
+      'alert.calculation': 'Se produjo un error al calcular las emisiones. Inténtalo de nuevo.',
+      'alert.fileRead': 'No se pudo leer el archivo.',
+
+      'mode.bicicleta': 'bicicleta',
+      'mode.carro': 'coche',
+      'mode.onibus': 'autobús',
+      'mode.caminhao': 'camión',
+      'mode.moto': 'moto',
+      'mode.metro': 'metro',
+      'mode.trem': 'tren',
+      'mode.aviao': 'avión',
+      'equivalence.arvores': 'árboles absorbiendo el CO₂ durante un año',
+      'equivalence.carro': '{unit} recorridos por un coche medio',
+      'equivalence.energia': 'kWh de la red eléctrica brasileña',
+      'equivalence.botijao': 'bombonas de gas de cocina (13 kg)',
+      'equivalence.smartphone': 'cargas completas de smartphone',
+      'project.reflorestamento.label': 'Reforestación',
+      'project.reflorestamento.description': 'Plantación y restauración de bosque nativo en la Mata Atlántica.',
+      'project.energia_renovavel.label': 'Energía renovable',
+      'project.energia_renovavel.description': 'Generación eólica y solar que sustituye energía fósil.',
+      'project.redd.label': 'Conservación forestal (REDD+)',
+      'project.redd.description': 'Deforestación evitada en la Amazonía.',
+      'project.metano.label': 'Captura de metano',
+      'project.metano.description': 'Aprovechamiento de biogás en vertederos.',
+      'band.aviao.0': 'vuelo corto',
+      'band.aviao.1': 'vuelo medio',
+      'band.aviao.2': 'vuelo largo',
+      'vehicle.bicicleta.eletrica': 'bicicleta eléctrica',
+      'vehicle.carro.gasolina': 'compacto de gasolina',
+      'vehicle.carro.etanol': 'compacto de etanol',
+      'vehicle.carro.flex': 'flex (gasolina/etanol)',
+      'vehicle.carro.diesel': 'SUV/pickup diésel',
+      'vehicle.carro.gnv': 'GNV',
+      'vehicle.carro.hibrido': 'híbrido',
+      'vehicle.carro.eletrico': 'eléctrico',
+      'vehicle.onibus.diesel': 'urbano diésel',
+      'vehicle.onibus.eletrico': 'urbano eléctrico',
+      'vehicle.caminhao.diesel': 'tractocamión diésel',
+      'vehicle.caminhao.gnv': 'GNV',
+      'vehicle.moto.gasolina': '150 cc de gasolina',
+      'vehicle.moto.eletrica': 'eléctrica',
+      'reference.bicicleta': 'Sin emisión directa (propulsión humana)',
+      'reference.carro': 'Automóvil de pasajeros, promedio de la flota (gasolina y flex)',
+      'reference.onibus': 'Autobús de carretera, factor medio por pasajero-km',
+      'reference.caminhao': 'Camión pesado diésel, ~2,7 km/l × 2,6 kg CO₂/l',
+      'reference.moto': 'Motocicleta 150 cc, ~31 km/l × 2,21 kg CO₂/l',
+      'reference.metro': 'Metro eléctrico, energía de la red brasileña por pasajero-km',
+      'reference.trem': 'Tren de pasajeros, factor medio por pasajero-km',
+      'reference.aviao': 'Aviación por pasajero-km, tramos por distancia al estilo DEFRA (UK GHG Conversion Factors)',
+      'reference.fuels': 'Coeficientes de combustión por combustible (CO₂ del escape); electricidad: factor medio del Sistema Interconectado Nacional de Brasil (MCTI)',
+      'reference.lifecycle': 'Ciclo de vida: producción y distribución de cada combustible (factores well-to-tank al estilo DEFRA), generación de la electricidad de los vehículos eléctricos (contada como energía, sin emisión directa) y fabricación de vehículos e infraestructura amortizadas por km (estimaciones de la literatura de ACV)',
+      'currency.BRL': 'Real (R$)',
+      'currency.USD': 'Dólar (US$)',
+      'currency.EUR': 'Euro (€)'
+    }
+  };
+
+  function _settings() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.I18N) || {};
+  }
+
+  function _defaultLanguage() {
+    return LANGUAGES[_settings().DEFAULT_LANGUAGE] ? _settings().DEFAULT_LANGUAGE : 'pt-BR';
+  }
+
+  function _storageKey() {
+    return _settings().STORAGE_KEY || 'calculadoraCO2.language';
+  }
+
+  // Private helper: language saved by setLanguage, or null
+  function _loadStored() {
+    try {
+      var stored = window.localStorage.getItem(_storageKey());
+      return stored && LANGUAGES[stored] ? stored : null;
+    } catch (err) {
+      // No localStorage (Node, private mode): keep the default
+      return null;
+    }
+  }
+
+  // Private helper: fills {name} placeholders
+  function _format(template, params) {
+    return template.replace(/\{(\w+)\}/g, function (match, name) {
+      return params && params[name] !== undefined ? String(params[name]) : match;
+    });
+  }
+
+  var current = _loadStored() || _defaultLanguage();
+
+  return {
+    LANGUAGES: LANGUAGES,
+    MESSAGES: MESSAGES,
+
+    /**
+     * getLanguages()
+     * Returns the supported languages for the switcher: [ { code, label } ].
+     */
+    getLanguages: function () {
+      return Object.keys(LANGUAGES).map(function (code) {
+        return { code: code, label: LANGUAGES[code].label };
+      });
+    },
+
+    /**
+     * getLanguage()
+     * Returns the current language code ('pt-BR', 'en' or 'es').
+     */
+    getLanguage: function () {
+      return current;
+    },
+
+    /**
+     * getLocale()
+     * Returns the Intl locale of the current language (e.g. 'en-US'), used
+     * by UI.formatNumber, UI.formatCurrency and UI.formatDate.
+     */
+    getLocale: function () {
+      return LANGUAGES[current].locale;
+    },
+
+    /**
+     * setLanguage(code)
+     * Switches the interface language and remembers it. Returns false (and
+     * keeps the current language) for unsupported codes. Callers re-render
+     * what is on screen (see APP._setupLanguage).
+     */
+    setLanguage: function (code) {
+      if (!LANGUAGES[code]) {
+        console.error('Unsupported language: ' + code);
+        return false;
+      }
+      current = code;
+      try {
+        window.localStorage.setItem(_storageKey(), code);
+      } catch (err) {
+        // Not persisted (Node, private mode): the choice lasts for this page
+      }
+      return true;
+    },
+
+    /**
+     * t(key, params)
+     * Returns the message for key in the current language with {name}
+     * placeholders filled from params.
+     */
+    t: function (key, params) {
+      var template = MESSAGES[current][key];
+      if (template === undefined) template = MESSAGES['pt-BR'][key];
+      if (template === undefined) return key;
+      return _format(template, params);
+    },
+
+    /**
+     * modeLabel(mode)
+     * Returns the label of a transport mode in the current language
+     * (CONFIG.TRANSPORT_MODES label when there is no translation).
+     */
+    modeLabel: function (mode) {
+      var translated = MESSAGES[current]['mode.' + mode];
+      if (translated !== undefined) return translated;
+      var meta = (typeof CONFIG !== 'undefined' && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[mode]) || {};
+      return meta.label || mode;
+    },
+
+    /**
+     * equivalenceLabel(key, params)
+     * Returns the label of a CONFIG.EQUIVALENCES item in the current
+     * language with {name} placeholders filled from params (the CONFIG
+     * label when there is no translation).
+     */
+    equivalenceLabel: function (key, params) {
+      var translated = MESSAGES[current]['equivalence.' + key];
+      if (translated !== undefined) return _format(translated, params);
+      var items = (typeof CONFIG !== 'undefined' && CONFIG.EQUIVALENCES && CONFIG.EQUIVALENCES.ITEMS) || {};
+      return _format(items[key] ? items[key].label : key, params);
+    },
+
+    /**
+     * projectText(id, field)
+     * Returns the 'label' or 'description' of a CONFIG.OFFSET.PROJECTS
+     * entry in the current language (the CONFIG text when there is no
+     * translation).
+     */
+    projectText: function (id, field) {
+      var translated = MESSAGES[current]['project.' + id + '.' + field];
+      if (translated !== undefined) return translated;
+      var projects = (typeof CONFIG !== 'undefined' && CONFIG.OFFSET && CONFIG.OFFSET.PROJECTS) || {};
+      return projects[id] && projects[id][field] !== undefined ? projects[id][field] : id;
+    },
+
+    /**
+     * bandLabel(mode, label)
+     * Returns a distance band label of a mode (the CONFIG label, as
+     * Calculator reports it) in the current language.
+     */
+    bandLabel: function (mode, label) {
+      var meta = (typeof CONFIG !== 'undefined' && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[mode]) || {};
+      var bands = meta.bands || [];
+      for (var i = 0; i < bands.length; i++) {
+        if (bands[i].label === label) {
+          var translated = MESSAGES[current]['band.' + mode + '.' + i];
+          return translated !== undefined ? translated : label;
+        }
+      }
+      return label;
+    },
+
+    /**
+     * profileLabel(mode, profileId)
+     * Returns the label of a CONFIG.VEHICLE_PROFILES entry in the current
+     * language, or '' for unknown profiles.
+     */
+    profileLabel: function (mode, profileId) {
+      var translated = MESSAGES[current]['vehicle.' + mode + '.' + profileId];
+      if (translated !== undefined) return translated;
+      var profiles = (typeof CONFIG !== 'undefined' && CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[mode]) || {};
+      return profiles[profileId] ? profiles[profileId].label : '';
+    },
+
+    /**
+     * referenceText(name)
+     * Returns a factor source cited in the printed report in the current
+     * language: the source of a transport mode, CONFIG.FUELS_SOURCE for
+     * 'fuels' or CONFIG.LIFECYCLE_SOURCE for 'lifecycle'. '' when there is
+     * none.
+     */
+    referenceText: function (name) {
+      var translated = MESSAGES[current]['reference.' + name];
+      if (translated !== undefined) return translated;
+      if (typeof CONFIG === 'undefined') return '';
+      if (name === 'fuels') return CONFIG.FUELS_SOURCE || '';
+      if (name === 'lifecycle') return CONFIG.LIFECYCLE_SOURCE || '';
+      var meta = (CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[name]) || {};
+      return meta.source || '';
+    },
+
+    /**
+     * currencyLabel(code)
+     * Returns the label of a CONFIG.PRICES.CURRENCIES entry in the current
+     * language (the code itself when it is unknown).
+     */
+    currencyLabel: function (code) {
+      var translated = MESSAGES[current]['currency.' + code];
+      if (translated !== undefined) return translated;
+      var currencies = (typeof CONFIG !== 'undefined' && CONFIG.PRICES && CONFIG.PRICES.CURRENCIES) || {};
+      return currencies[code] || code;
+    },
+
+    /**
+     * translatePage(root)
+     * Rewrites the text of [data-i18n] elements and the placeholder /
+     * aria-label of [data-i18n-placeholder] / [data-i18n-aria-label]
+     * elements inside root (the whole document by default, which also
+     * updates <title> and <html lang>).
+     */
+    translatePage: function (root) {
+      var scope = root || document;
+      var self = this;
+      var each = function (attribute, apply) {
+        var elements = scope.querySelectorAll('[' + attribute + ']');
+        for (var i = 0; i < elements.length; i++) {
+          apply(elements[i], self.t(elements[i].getAttribute(attribute)));
+        }
+      };
+
+      each('data-i18n', function (el, text) { el.textContent = text; });
+      each('data-i18n-placeholder', function (el, text) { el.setAttribute('placeholder', text); });
+      each('data-i18n-aria-label', function (el, text) { el.setAttribute('aria-label', text); });
+
+      if (scope === document) {
+        document.title = this.t('page.title');
+        document.documentElement.lang = current;
+      }
+    }
+  };
+})();
+
+// CommonJS export for Node (tests); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
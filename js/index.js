@@ -0,0 +1,16 @@
+/*
+  index.js
+
+  CommonJS entry point for Node: the calculation core without the browser
+  UI. The browser keeps loading the same files as globals from index.html.
+
+    var co2 = require('calculadora-co2');
+    co2.Calculator.calculateEmission(co2.RoutesDB.findDistance('São Paulo, SP', 'Campinas, SP'), 'carro');
+*/
+
+module.exports = {
+  CONFIG: require('./config.js'),
+  Calculator: require('./calculator.js'),
+  Validation: require('./validation.js'),
+  RoutesDB: require('./routes-data.js')
+};
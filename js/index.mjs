@@ -0,0 +1,15 @@
+/*
+  index.mjs
+
+  ES module entry point for Node, re-exporting the CommonJS core (index.js).
+
+    import { Calculator, RoutesDB } from 'calculadora-co2';
+*/
+
+import core from './index.js';
+
+export var CONFIG = core.CONFIG;
+export var Calculator = core.Calculator;
+export var Validation = core.Validation;
+export var RoutesDB = core.RoutesDB;
+export default core;
@@ -0,0 +1,202 @@
+/*
+  offset.js
+
+  Defines the global `Offset` object behind the "Compensar Emissões"
+  checkout: offset project types, order building and the provider adapters
+  orders are submitted to.
+
+  Structure:
+    Offset = {
+      getProjects: function() -> [ { id, label, icon, description, priceBRL } ],
+      buildOrder: function(credits, projectId) -> order or null,
+      registerProvider: function(name, adapter) -> boolean,
+      getProvider: function(name) -> adapter,
+      submitOrder: function(order, providerName) -> Promise of a confirmation
+    }
+
+  Order shape:
+    { projectId, projectLabel, credits (needed), units (credits purchased),
+      unitPriceBRL, totalBRL, currency: 'BRL', createdAt (ISO string) }
+
+  Provider adapter interface:
+    { submit: function(order) -> Promise resolving to
+        { orderId, status, provider, notice, message } }
+    Adapters reject with an Error when the order cannot be placed.
+
+  Error and notice codes:
+    Rejections carry err.code (NO_ENDPOINT, PROVIDER_REJECTED, EMPTY_ORDER,
+    UNKNOWN_PROVIDER) and err.params; notice is a code for the built-in
+    adapters (MOCK_ORDER). The interface shows them through the I18n
+    catalog (checkout.error.<CODE>, checkout.notice.<CODE>); message is the
+    provider's own text, passed through untranslated.
+
+  Notes:
+  - Projects, the active provider and its endpoint come from CONFIG.OFFSET;
+    unit rounding comes from CONFIG.CARBON_CREDIT.PURCHASE_UNIT.
+  - Project prices outside the market range (CreditPrices table, or
+    CARBON_CREDIT.PRICE_MIN_BRL..PRICE_MAX_BRL) are clamped.
+*/
+
+var Offset = (function () {
+  var providers = {};
+
+  function _settings() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.OFFSET) || {};
+  }
+
+  // Private helper: Error with a code (and params) the interface translates
+  function _error(code, message, params) {
+    var err = new Error(message);
+    err.code = code;
+    err.params = params || {};
+    return err;
+  }
+
+  // Private helper: price per credit kept inside the current market range
+  // (CreditPrices table when loaded, CONFIG.CARBON_CREDIT otherwise)
+  function _clampPrice(price) {
+    var credit = CONFIG.CARBON_CREDIT;
+    var range = typeof CreditPrices !== 'undefined'
+      ? CreditPrices.getTable()
+      : { min: credit.PRICE_MIN_BRL, max: credit.PRICE_MAX_BRL };
+    return Math.min(Math.max(price, range.min), range.max);
+  }
+
+  // Built-in adapter: posts the order as JSON to CONFIG.OFFSET.ENDPOINT
+  providers.http = {
+    submit: function (order) {
+      var endpoint = _settings().ENDPOINT;
+      if (!endpoint) {
+        return Promise.reject(_error('NO_ENDPOINT', 'No offset endpoint configured'));
+      }
+
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(order)
+      }).then(function (response) {
+        return response.json().catch(function () { return {}; }).then(function (body) {
+          if (!response.ok) {
+            throw _error('PROVIDER_REJECTED', body.message || 'Provider rejected the order (HTTP ' + response.status + ')', { status: response.status });
+          }
+          return {
+            orderId: body.orderId || body.id || '',
+            status: body.status || 'confirmed',
+            provider: 'http',
+            notice: '',
+            message: body.message || ''
+          };
+        });
+      });
+    }
+  };
+
+  // Built-in adapter: confirms orders locally (development and demos)
+  providers.mock = {
+    submit: function (order) {
+      return new Promise(function (resolve, reject) {
+        setTimeout(function () {
+          if (!order.units || order.units <= 0) {
+            reject(_error('EMPTY_ORDER', 'Order without credits'));
+            return;
+          }
+          resolve({
+            orderId: 'MOCK-' + Date.now().toString(36).toUpperCase(),
+            status: 'confirmed',
+            provider: 'mock',
+            notice: 'MOCK_ORDER',
+            message: ''
+          });
+        }, 300);
+      });
+    }
+  };
+
+  return {
+    /**
+     * getProjects()
+     * Returns the offset project types from CONFIG.OFFSET.PROJECTS with
+     * their price per credit clamped to the market range.
+     */
+    getProjects: function () {
+      var projects = _settings().PROJECTS || {};
+      return Object.keys(projects).map(function (id) {
+        var p = projects[id];
+        return {
+          id: id,
+          label: p.label || id,
+          icon: p.icon || '',
+          description: p.description || '',
+          priceBRL: _clampPrice(Number(p.priceBRL) || 0)
+        };
+      });
+    },
+
+    /**
+     * buildOrder(credits, projectId)
+     * Rounds the credits up to whole purchase units (at least one unit) and
+     * prices them with the project. Returns null for an unknown project.
+     */
+    buildOrder: function (credits, projectId) {
+      var project = null;
+      var projects = this.getProjects();
+      for (var i = 0; i < projects.length; i++) {
+        if (projects[i].id === projectId) project = projects[i];
+      }
+      if (!project) return null;
+
+      var needed = typeof credits === 'number' && credits > 0 ? credits : 0;
+      var unit = CONFIG.CARBON_CREDIT.PURCHASE_UNIT || 1;
+      // Round the quotient first so 2.0000001 units from float noise stay 2
+      var units = Math.max(Math.ceil(Math.round(needed / unit * 1e6) / 1e6), 1) * unit;
+
+      return {
+        projectId: project.id,
+        projectLabel: project.label,
+        credits: needed,
+        units: units,
+        unitPriceBRL: project.priceBRL,
+        totalBRL: Math.round(units * project.priceBRL * 100) / 100,
+        currency: 'BRL',
+        createdAt: new Date().toISOString()
+      };
+    },
+
+    /**
+     * registerProvider(name, adapter)
+     * Adds (or replaces) a provider adapter. adapter must have submit(order).
+     * Returns true when registered.
+     */
+    registerProvider: function (name, adapter) {
+      if (!name || !adapter || typeof adapter.submit !== 'function') {
+        console.error('Invalid offset provider: ' + name);
+        return false;
+      }
+      providers[name] = adapter;
+      return true;
+    },
+
+    /**
+     * getProvider(name)
+     * Returns the named adapter, or the one selected in CONFIG.OFFSET.PROVIDER.
+     */
+    getProvider: function (name) {
+      return providers[name || _settings().PROVIDER || 'mock'] || null;
+    },
+
+    /**
+     * submitOrder(order, providerName)
+     * Sends the order through the provider adapter. Returns a Promise of
+     * { orderId, status, provider, notice, message }; rejects with an
+     * UNKNOWN_PROVIDER error when there is no such adapter.
+     */
+    submitOrder: function (order, providerName) {
+      var provider = this.getProvider(providerName);
+      if (!provider) {
+        var name = providerName || _settings().PROVIDER;
+        return Promise.reject(_error('UNKNOWN_PROVIDER', 'Unknown offset provider: ' + name, { provider: name }));
+      }
+      return provider.submit(order);
+    }
+  };
+})();
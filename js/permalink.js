@@ -0,0 +1,114 @@
+/*
+  permalink.js
+
+  Defines the global `Permalink` object which converts the calculator form
+  state to and from URL query parameters, so a calculation can be shared
+  as a link and revisited with the browser's back/forward buttons.
+
+  Structure:
+    Permalink = {
+      encode: function(state) -> query string (without '?'),
+      decode: function(search) -> state or null when there is no trip
+    }
+
+  State shape:
+    { origin, destination, distance, manual, transport, profile,
+      roundTrip, period, tripsPerPeriod, workingDays, passengers, cargoTonnes,
+      legs: [ { origin, destination, distance, manual, mode, profile } ] }
+
+  Query parameters:
+    origem, destino, distancia, manual=1, transport, perfil, ida_volta=1,
+    frequencia, viagens, dias_uteis, pessoas, carga and one repeated
+    `trecho` per extra leg ("origem|destino|distancia|manual|modo|perfil").
+    Optional values are only written when they differ from the form defaults.
+*/
+
+var Permalink = (function () {
+  var LEG_SEPARATOR = '|';
+
+  // Private helper: number from a query value, or undefined
+  function _number(value) {
+    if (value === null || value === '') return undefined;
+    var n = Number(value);
+    return isNaN(n) ? undefined : n;
+  }
+
+  return {
+    /**
+     * encode(state)
+     * Returns the query string for a form state.
+     */
+    encode: function (state) {
+      var params = new URLSearchParams();
+      params.set('origem', state.origin || '');
+      params.set('destino', state.destination || '');
+      if (state.distance) params.set('distancia', String(state.distance));
+      if (state.manual) params.set('manual', '1');
+      if (state.transport) params.set('transport', state.transport);
+      if (state.profile) params.set('perfil', state.profile);
+
+      if (state.roundTrip) params.set('ida_volta', '1');
+      if (state.period && state.period !== 'unica') {
+        params.set('frequencia', state.period);
+        if (state.tripsPerPeriod) params.set('viagens', String(state.tripsPerPeriod));
+        if (state.period === 'dia' && state.workingDays) params.set('dias_uteis', String(state.workingDays));
+      }
+      if (state.passengers && state.passengers !== 1) params.set('pessoas', String(state.passengers));
+      if (state.cargoTonnes) params.set('carga', String(state.cargoTonnes));
+
+      var legs = state.legs || [];
+      for (var i = 0; i < legs.length; i++) {
+        params.append('trecho', [
+          legs[i].origin || '',
+          legs[i].destination || '',
+          legs[i].distance || '',
+          legs[i].manual ? '1' : '',
+          legs[i].mode || '',
+          legs[i].profile || ''
+        ].join(LEG_SEPARATOR));
+      }
+
+      return params.toString();
+    },
+
+    /**
+     * decode(search)
+     * Parses a query string (with or without '?'). Returns null when it does
+     * not describe a trip (origem and destino are required).
+     */
+    decode: function (search) {
+      var params = new URLSearchParams(String(search || '').replace(/^\?/, ''));
+      var origin = (params.get('origem') || '').trim();
+      var destination = (params.get('destino') || '').trim();
+      if (!origin || !destination) return null;
+
+      var legs = params.getAll('trecho').map(function (value) {
+        var parts = value.split(LEG_SEPARATOR);
+        return {
+          origin: (parts[0] || '').trim(),
+          destination: (parts[1] || '').trim(),
+          distance: _number(parts[2]),
+          manual: parts[3] === '1',
+          mode: parts[4] || '',
+          profile: parts[5] || ''
+        };
+      });
+
+      return {
+        origin: origin,
+        destination: destination,
+        distance: _number(params.get('distancia')),
+        manual: params.get('manual') === '1',
+        transport: params.get('transport') || '',
+        profile: params.get('perfil') || '',
+        roundTrip: params.get('ida_volta') === '1',
+        period: params.get('frequencia') || 'unica',
+        tripsPerPeriod: _number(params.get('viagens')),
+        workingDays: _number(params.get('dias_uteis')),
+        passengers: _number(params.get('pessoas')),
+        cargoTonnes: _number(params.get('carga')),
+        legs: legs
+      };
+    }
+  };
+})();
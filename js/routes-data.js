@@ -1,112 +1,678 @@
 /*
 	routes-data.js
 
-	Defines a single global object `RoutesDB` which contains a collection
-	of pre-defined routes between Brazilian cities and helper methods to
-	query that data.
+	Defines a single global object `RoutesDB` which holds the routes dataset
+	(routes between Brazilian cities and city coordinates, versioned in
+	data/routes.json) and helper methods to query that data.
 
 	Structure:
 		RoutesDB = {
-			routes: [ { origin: string, destination: string, distanceKM: number }, ... ],
+			routes: [ { origin: string, destination: string, distanceKM: number, estimated?: true }, ... ],
+			cities: { "City, ST": { lat: number, lon: number }, ... },
+			validateDataset: function(data) -> returns { valid, errors: [ { code, index, message } ] },
+			setDataset: function(data) -> validates and loads a dataset object,
+			load: function(url) -> Promise of getInfo() once the JSON dataset is loaded,
+			getInfo: function() -> returns { version, updated, source, routes, cities } or null,
+			setCustomRoutes: function(list) -> replaces the user-defined routes merged into lookups,
 			getAllCities: function() -> returns unique sorted array of city names,
+			resolveCity: function(query) -> returns the "City, ST" name a query refers to, or null,
+			searchCities: function(query, limit) -> returns ranked [ { name, city, state, score } ],
+			hasCity: function(city) -> returns true if the city is known,
+			getCoordinates: function(city) -> returns { lat, lon } or null,
+			estimateDistance: function(origin, destination) -> returns estimated km or null,
+			findRoute: function(origin, destination) -> returns { distanceKM, path, via, source } or null,
 			findDistance: function(origin, destination) -> returns distanceKM or null
 		}
 
 	Notes:
+	- The dataset is { version, updated, source, cities, routes }. In the
+	  browser it is fetched by load() (CONFIG.ROUTES.URL) at startup and the
+	  lookups return nothing until then; in Node it is read when the module
+	  is required. Invalid datasets are rejected (see validateDataset).
+	- Routes flagged `estimated` (pairs without a surveyed road distance) are
+	  only used when no chain of surveyed routes connects the cities; routes
+	  using them are reported with source 'estimated'. data/routes.json has
+	  none: cities it does not connect fall back to the coordinate estimate.
+	- User-defined routes (setCustomRoutes, stored by CustomRoutes) override the
+	  dataset route between the same cities and add their cities to the lookups;
+	  findRoute reports them with source 'custom'.
 	- City names are stored as "City, ST" (e.g. "São Paulo, SP").
-	- `findDistance` performs a case-insensitive search and checks both directions.
-	- This file defines exactly one global variable: `RoutesDB`.
+	- City lookups are accent-, case- and punctuation-insensitive ("sao paulo sp"
+	  is "São Paulo, SP") and accept the city without the state when only one
+	  state has it. Small typos (edit distance) are only tolerated by
+	  searchCities suggestions: a lookup never turns an uncatalogued city
+	  into a different, similar one.
+	- `findDistance` checks both directions.
+	- When there is no direct surveyed route, `routes` is treated as an undirected
+	  weighted graph and the shortest chained route is returned (Dijkstra).
+	- When no route connects the cities, a great-circle (haversine) distance
+	  multiplied by CONFIG.ROUTE_ESTIMATE.WINDING_FACTOR is returned and the
+	  result is flagged with `source: 'estimated'` instead of 'catalogued'.
+	- This file defines exactly one global variable: `RoutesDB`. In Node the
+	  object is the CommonJS export (require('./routes-data.js')).
 */
 
 var RoutesDB = (function () {
-	// Private helper to normalize strings for comparison
+	// Private helper to normalize strings for comparison: lower case without
+	// diacritics, punctuation and repeated spaces ("São Paulo, SP" -> "sao paulo sp")
 	function _normalize(s) {
-		return String(s).trim().toLowerCase();
-	}
-
-	// Sample routes covering multiple regions of Brazil (30+ entries)
-	var routes = [
-		{ origin: 'São Paulo, SP', destination: 'Rio de Janeiro, RJ', distanceKM: 430 },
-		{ origin: 'São Paulo, SP', destination: 'Brasília, DF', distanceKM: 1015 },
-		{ origin: 'Rio de Janeiro, RJ', destination: 'Brasília, DF', distanceKM: 1148 },
-		{ origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 },
-		{ origin: 'Rio de Janeiro, RJ', destination: 'Niterói, RJ', distanceKM: 13 },
-		{ origin: 'Belo Horizonte, MG', destination: 'Ouro Preto, MG', distanceKM: 100 },
-		{ origin: 'Porto Alegre, RS', destination: 'Florianópolis, SC', distanceKM: 460 },
-		{ origin: 'Porto Alegre, RS', destination: 'Curitiba, PR', distanceKM: 710 },
-		{ origin: 'Curitiba, PR', destination: 'Florianópolis, SC', distanceKM: 300 },
-		{ origin: 'Salvador, BA', destination: 'Feira de Santana, BA', distanceKM: 100 },
-		{ origin: 'Salvador, BA', destination: 'Recife, PE', distanceKM: 800 },
-		{ origin: 'Recife, PE', destination: 'João Pessoa, PB', distanceKM: 120 },
-		{ origin: 'Fortaleza, CE', destination: 'Natal, RN', distanceKM: 530 },
-		{ origin: 'Fortaleza, CE', destination: 'São Luís, MA', distanceKM: 870 },
-		{ origin: 'Manaus, AM', destination: 'Belém, PA', distanceKM: 1740 },
-		{ origin: 'Belém, PA', destination: 'Macapá, AP', distanceKM: 520 },
-		{ origin: 'Goiânia, GO', destination: 'Brasília, DF', distanceKM: 200 },
-		{ origin: 'Goiânia, GO', destination: 'Uberlândia, MG', distanceKM: 450 },
-		{ origin: 'Uberlândia, MG', destination: 'Ribeirão Preto, SP', distanceKM: 320 },
-		{ origin: 'Ribeirão Preto, SP', destination: 'São José do Rio Preto, SP', distanceKM: 220 },
-		{ origin: 'Maceió, AL', destination: 'Aracaju, SE', distanceKM: 270 },
-		{ origin: 'Teresina, PI', destination: 'São Luís, MA', distanceKM: 320 },
-		{ origin: 'Campo Grande, MS', destination: 'Cuiabá, MT', distanceKM: 700 },
-		{ origin: 'Cuiabá, MT', destination: 'Porto Velho, RO', distanceKM: 780 },
-		{ origin: 'Belém, PA', destination: 'Manaus, AM', distanceKM: 1740 },
-		{ origin: 'Belo Horizonte, MG', destination: 'Rio de Janeiro, RJ', distanceKM: 440 },
-		{ origin: 'Belo Horizonte, MG', destination: 'São Paulo, SP', distanceKM: 586 },
-		{ origin: 'Porto Alegre, RS', destination: 'São Paulo, SP', distanceKM: 1120 },
-		{ origin: 'Recife, PE', destination: 'Fortaleza, CE', distanceKM: 815 },
-		{ origin: 'São Paulo, SP', destination: 'Santos, SP', distanceKM: 75 },
-		{ origin: 'Campina Grande, PB', destination: 'João Pessoa, PB', distanceKM: 120 },
-		{ origin: 'Natal, RN', destination: 'Fortaleza, CE', distanceKM: 535 },
-		{ origin: 'Caxias do Sul, RS', destination: 'Porto Alegre, RS', distanceKM: 130 },
-		{ origin: 'Vitória, ES', destination: 'Belo Horizonte, MG', distanceKM: 520 },
-		{ origin: 'Campos dos Goytacazes, RJ', destination: 'Rio de Janeiro, RJ', distanceKM: 280 },
-		{ origin: 'Petrolina, PE', destination: 'Juazeiro, BA', distanceKM: 10 }
-	];
+		return String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+	}
+
+	// Private helper: normalized city part of a "City, ST" name
+	function _cityPart(name) {
+		return _normalize(String(name).split(',')[0]);
+	}
+
+	// Private helper: edit distance (optimal string alignment: insertions,
+	// deletions, substitutions and transpositions of adjacent letters)
+	function _editDistance(a, b) {
+		var d = [];
+		for (var i = 0; i <= a.length; i++) {
+			d[i] = [i];
+			for (var j = 1; j <= b.length; j++) {
+				if (i === 0) {
+					d[i][j] = j;
+					continue;
+				}
+				var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+				if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+					d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+				}
+			}
+		}
+		return d[a.length][b.length];
+	}
+
+	// Private helper: typos tolerated for a normalized query (none for very
+	// short queries, one per 4 letters, at most 3)
+	function _maxTypos(query) {
+		return Math.min(Math.floor(query.length / 4), 3);
+	}
+
+	// Private helper: fewest typos between a query and a name (full or city part)
+	function _typos(query, name) {
+		return Math.min(_editDistance(query, _normalize(name)), _editDistance(query, _cityPart(name)));
+	}
+
+	// Private helper: returns the direct surveyed route between two normalized
+	// names (estimated routes too when includeEstimated is true), or null
+	function _findDirect(oNorm, dNorm, includeEstimated) {
+		for (var i = 0; i < routes.length; i++) {
+			var r = routes[i];
+			if (r.estimated && !includeEstimated) continue;
+			var rOrigin = _normalize(r.origin);
+			var rDestination = _normalize(r.destination);
+			if ((rOrigin === oNorm && rDestination === dNorm) || (rOrigin === dNorm && rDestination === oNorm)) {
+				return r;
+			}
+		}
+		return null;
+	}
+
+	// Private helper: returns the coordinates of a city by normalized name, or null
+	function _findCoordinates(norm) {
+		for (var name in cities) {
+			if (cities.hasOwnProperty(name) && _normalize(name) === norm) {
+				return { name: name, lat: cities[name].lat, lon: cities[name].lon };
+			}
+		}
+		return null;
+	}
+
+	// Private helper: great-circle distance in km between two { lat, lon } points
+	function _haversine(a, b, earthRadiusKm) {
+		var toRad = Math.PI / 180;
+		var dLat = (b.lat - a.lat) * toRad;
+		var dLon = (b.lon - a.lon) * toRad;
+		var h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+			Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) *
+			Math.sin(dLon / 2) * Math.sin(dLon / 2);
+		return 2 * earthRadiusKm * Math.asin(Math.min(1, Math.sqrt(h)));
+	}
+
+	// Private helper: returns the custom route between two normalized names, or null
+	function _findCustom(oNorm, dNorm) {
+		for (var i = 0; i < customRoutes.length; i++) {
+			var r = customRoutes[i];
+			var rOrigin = _normalize(r.origin);
+			var rDestination = _normalize(r.destination);
+			if ((rOrigin === oNorm && rDestination === dNorm) || (rOrigin === dNorm && rDestination === oNorm)) {
+				return r;
+			}
+		}
+		return null;
+	}
+
+	// Private helper: builds an adjacency map { normName: [ { to, distanceKM, kind } ] }
+	// (kind: 'catalogued' | 'estimated' | 'custom') and a lookup of normalized
+	// name -> display name from the routes and custom routes. A custom route
+	// replaces the dataset route between the same cities.
+	// Rebuilt on every call so changes to `routes` are always reflected.
+	function _buildGraph() {
+		var adjacency = {};
+		var names = {};
+		var addEdge = function (r, kind) {
+			var o = _normalize(r.origin);
+			var d = _normalize(r.destination);
+			names[o] = names[o] || r.origin;
+			names[d] = names[d] || r.destination;
+			(adjacency[o] = adjacency[o] || []).push({ to: d, distanceKM: r.distanceKM, kind: kind });
+			(adjacency[d] = adjacency[d] || []).push({ to: o, distanceKM: r.distanceKM, kind: kind });
+		};
+		for (var i = 0; i < routes.length; i++) {
+			if (_findCustom(_normalize(routes[i].origin), _normalize(routes[i].destination))) continue;
+			addEdge(routes[i], routes[i].estimated ? 'estimated' : 'catalogued');
+		}
+		for (var j = 0; j < customRoutes.length; j++) {
+			addEdge(customRoutes[j], 'custom');
+		}
+		return { adjacency: adjacency, names: names };
+	}
+
+	// Private helper: Dijkstra shortest path between two normalized names,
+	// ignoring estimated routes when skipEstimated is true.
+	// Returns { distanceKM, path: [normName, ...], source } or null when
+	// unreachable; source is 'estimated' when the path uses an estimated
+	// route, otherwise 'custom' when it uses a custom one, else 'catalogued'.
+	function _shortestPath(graph, oNorm, dNorm, skipEstimated) {
+		if (!graph.adjacency[oNorm] || !graph.adjacency[dNorm]) return null;
+
+		var dist = {};
+		var prev = {};
+		var prevKind = {};
+		var visited = {};
+		var queue = [oNorm];
+		dist[oNorm] = 0;
+
+		while (queue.length) {
+			// Pick the unvisited node with the smallest known distance
+			var bestIndex = 0;
+			for (var q = 1; q < queue.length; q++) {
+				if (dist[queue[q]] < dist[queue[bestIndex]]) bestIndex = q;
+			}
+			var current = queue.splice(bestIndex, 1)[0];
+			if (visited[current]) continue;
+			visited[current] = true;
+			if (current === dNorm) break;
+
+			var edges = graph.adjacency[current];
+			for (var e = 0; e < edges.length; e++) {
+				if (skipEstimated && edges[e].kind === 'estimated') continue;
+				var next = edges[e].to;
+				var candidate = dist[current] + edges[e].distanceKM;
+				if (!visited[next] && (dist[next] === undefined || candidate < dist[next])) {
+					dist[next] = candidate;
+					prev[next] = current;
+					prevKind[next] = edges[e].kind;
+					queue.push(next);
+				}
+			}
+		}
+
+		if (dist[dNorm] === undefined) return null;
+
+		var path = [dNorm];
+		var kinds = {};
+		while (path[0] !== oNorm) {
+			kinds[prevKind[path[0]]] = true;
+			path.unshift(prev[path[0]]);
+		}
+		var source = kinds.estimated ? 'estimated' : (kinds.custom ? 'custom' : 'catalogued');
+		return { distanceKM: dist[dNorm], path: path, source: source };
+	}
+
+	// Loaded dataset (see load / setDataset). routes and cities are filled in
+	// place so the public references below stay valid after a reload.
+	//   routes: [ { origin, destination, distanceKM, estimated (optional) } ]
+	//   cities: approximate city-center coordinates (decimal degrees)
+	var routes = [];
+	var cities = {};
+	var info = null;
+
+	// User-defined routes (setCustomRoutes): { id, origin, destination, distanceKM }.
+	// They take precedence over the dataset and may use cities it lacks.
+	var customRoutes = [];
+
+	// Private helper: true for "City, ST" names
+	function _isCityName(name) {
+		return typeof name === 'string' && /^[^,]+, [A-Z]{2}$/.test(name.trim());
+	}
+
+	// Private helper: dataset validation (see validateDataset)
+	function _validate(data) {
+		var errors = [];
+		var fail = function (code, index, message) {
+			errors.push({ code: code, index: index, message: message });
+		};
+
+		if (!data || typeof data !== 'object' || Array.isArray(data)) {
+			fail('INVALID_DATASET', null, 'Dataset must be an object');
+			return errors;
+		}
+		if (typeof data.version !== 'string' || !data.version.trim()) {
+			fail('MISSING_VERSION', null, 'Dataset has no version');
+		}
+
+		var known = {};
+		if (!data.cities || typeof data.cities !== 'object' || Array.isArray(data.cities)) {
+			fail('INVALID_DATASET', null, 'cities must be an object');
+		} else {
+			for (var name in data.cities) {
+				if (!data.cities.hasOwnProperty(name)) continue;
+				var c = data.cities[name];
+				if (!_isCityName(name)) {
+					fail('INVALID_CITY_NAME', null, 'City "' + name + '" is not "City, ST"');
+				} else if (!c || typeof c.lat !== 'number' || typeof c.lon !== 'number' ||
+					Math.abs(c.lat) > 90 || Math.abs(c.lon) > 180) {
+					fail('INVALID_COORDINATES', null, 'City "' + name + '" has invalid coordinates');
+				}
+				known[_normalize(name)] = true;
+			}
+		}
+
+		if (!Array.isArray(data.routes)) {
+			fail('INVALID_DATASET', null, 'routes must be an array');
+			return errors;
+		}
+
+		// Normalized "a|b" pair -> first route index listing it
+		var pairs = {};
+		for (var i = 0; i < data.routes.length; i++) {
+			var r = data.routes[i];
+			if (!r || !_isCityName(r.origin) || !_isCityName(r.destination)) {
+				fail('INVALID_ROUTE', i, 'Route ' + i + ' needs "City, ST" origin and destination');
+				continue;
+			}
+			var o = _normalize(r.origin);
+			var d = _normalize(r.destination);
+			var label = r.origin + ' → ' + r.destination;
+
+			if (o === d) fail('SAME_CITY', i, 'Route ' + i + ' (' + label + ') starts and ends in the same city');
+			if (typeof r.distanceKM !== 'number' || !isFinite(r.distanceKM) || r.distanceKM <= 0) {
+				fail('INVALID_DISTANCE', i, 'Route ' + i + ' (' + label + ') must have a positive distanceKM');
+			}
+			if (r.estimated !== undefined && typeof r.estimated !== 'boolean') {
+				fail('INVALID_ROUTE', i, 'Route ' + i + ' (' + label + '): estimated must be a boolean');
+			}
+			[r.origin, r.destination].forEach(function (city) {
+				if (!known[_normalize(city)]) fail('UNKNOWN_CITY', i, 'Route ' + i + ': "' + city + '" has no coordinates');
+			});
+
+			var forward = pairs[o + '|' + d];
+			var reverse = pairs[d + '|' + o];
+			if (forward !== undefined) {
+				fail('DUPLICATE_ROUTE', i, 'Route ' + i + ' (' + label + ') repeats route ' + forward);
+			} else if (reverse !== undefined) {
+				if (data.routes[reverse].distanceKM === r.distanceKM) {
+					fail('DUPLICATE_ROUTE', i, 'Route ' + i + ' (' + label + ') repeats route ' + reverse + ' in the other direction');
+				} else {
+					fail('ASYMMETRIC_ROUTE', i, 'Route ' + i + ' (' + label + ') has ' + r.distanceKM +
+						' km but route ' + reverse + ' has ' + data.routes[reverse].distanceKM + ' km in the other direction');
+				}
+			} else {
+				pairs[o + '|' + d] = i;
+			}
+		}
+
+		return errors;
+	}
+
+	// Private helper: replaces the loaded data with a validated dataset
+	function _apply(data) {
+		routes.length = 0;
+		for (var i = 0; i < data.routes.length; i++) {
+			var r = data.routes[i];
+			var route = { origin: r.origin, destination: r.destination, distanceKM: r.distanceKM };
+			if (r.estimated) route.estimated = true;
+			routes.push(route);
+		}
+		for (var old in cities) {
+			if (cities.hasOwnProperty(old)) delete cities[old];
+		}
+		for (var name in data.cities) {
+			if (data.cities.hasOwnProperty(name)) cities[name] = { lat: data.cities[name].lat, lon: data.cities[name].lon };
+		}
+		info = {
+			version: data.version,
+			updated: data.updated || '',
+			source: data.source || '',
+			routes: routes.length,
+			cities: Object.keys(cities).length
+		};
+		return info;
+	}
+
+	function _settings() {
+		return (typeof CONFIG !== 'undefined' && CONFIG.ROUTES) || {};
+	}
+
+	// Private helper: unique, alphabetically sorted names from routes and coordinates
+	function _allNames() {
+		var citiesSet = new Set();
+		for (var i = 0; i < routes.length; i++) {
+			citiesSet.add(routes[i].origin);
+			citiesSet.add(routes[i].destination);
+		}
+		for (var name in cities) {
+			if (cities.hasOwnProperty(name)) citiesSet.add(name);
+		}
+		for (var j = 0; j < customRoutes.length; j++) {
+			citiesSet.add(customRoutes[j].origin);
+			citiesSet.add(customRoutes[j].destination);
+		}
+		// Not named `cities`: a local var would shadow the coordinate map above
+		var names = Array.from(citiesSet);
+		names.sort(function (a, b) {
+			return a.localeCompare(b, 'pt-BR');
+		});
+		return names;
+	}
+
+	// Private helper: the name a query refers to (see resolveCity), or null
+	function _resolveName(query) {
+		var q = _normalize(query || '');
+		if (!q) return null;
+
+		var names = _allNames();
+		var sameCity = [];
+		for (var i = 0; i < names.length; i++) {
+			if (_normalize(names[i]) === q) return names[i];
+			if (_cityPart(names[i]) === q) sameCity.push(names[i]);
+		}
+		// City without state: only when a single state has it
+		if (sameCity.length) return sameCity.length === 1 ? sameCity[0] : null;
+
+		return null;
+	}
+
+	// Private helper: normalized name of the city a query refers to (the
+	// normalized query itself when it cannot be resolved)
+	function _resolve(query) {
+		var name = _resolveName(query);
+		return _normalize(name !== null ? name : query);
+	}
 
 	return {
 		routes: routes,
+		cities: cities,
+
+		/**
+		 * validateDataset(data)
+		 * Checks a routes dataset ({ version, updated, source, cities, routes }).
+		 * Returns { valid, errors: [ { code, index, message } ] } where index is
+		 * the offending route (null for dataset-level errors). Rejected:
+		 * missing version, "City, ST" violations, invalid coordinates, routes
+		 * to cities without coordinates, same-city routes, non-positive
+		 * distances, duplicates (in either direction) and asymmetric
+		 * conflicts (A → B and B → A with different distances).
+		 */
+		validateDataset: function (data) {
+			var errors = _validate(data);
+			return { valid: errors.length === 0, errors: errors };
+		},
+
+		/**
+		 * setDataset(data)
+		 * Validates a dataset and, when valid, replaces the loaded routes and
+		 * cities with it. Returns the validateDataset result.
+		 */
+		setDataset: function (data) {
+			var result = this.validateDataset(data);
+			if (result.valid) _apply(data);
+			return result;
+		},
+
+		/**
+		 * load(url)
+		 * Fetches the dataset (url, or CONFIG.ROUTES.URL) and loads it with
+		 * setDataset. Returns a Promise of getInfo(); rejects when the file
+		 * cannot be fetched or fails validation (err.errors has the details).
+		 */
+		load: function (url) {
+			var self = this;
+			var source = url || _settings().URL;
+			if (!source || typeof fetch !== 'function') {
+				return Promise.reject(new Error('No routes dataset URL'));
+			}
+
+			return fetch(source, { cache: 'no-cache' }).then(function (response) {
+				if (!response.ok) throw new Error('HTTP ' + response.status + ' loading ' + source);
+				return response.json();
+			}).then(function (data) {
+				var result = self.setDataset(data);
+				if (!result.valid) {
+					var err = new Error('Invalid routes dataset ' + source + ': ' + result.errors[0].message);
+					err.errors = result.errors;
+					throw err;
+				}
+				return self.getInfo();
+			});
+		},
+
+		/**
+		 * getInfo()
+		 * Returns { version, updated, source, routes, cities } of the loaded
+		 * dataset (routes/cities are counts), or null before it is loaded.
+		 */
+		getInfo: function () {
+			return info;
+		},
+
+		/**
+		 * setCustomRoutes(list)
+		 * Replaces the user-defined routes ([ { id, origin, destination, distanceKM } ])
+		 * merged into every lookup (see CustomRoutes). Entries without two
+		 * different cities and a positive distance are ignored. Returns the
+		 * number of routes kept.
+		 */
+		setCustomRoutes: function (list) {
+			customRoutes.length = 0;
+			(Array.isArray(list) ? list : []).forEach(function (r) {
+				if (!r || !r.origin || !r.destination || _normalize(r.origin) === _normalize(r.destination)) return;
+				if (typeof r.distanceKM !== 'number' || !isFinite(r.distanceKM) || r.distanceKM <= 0) return;
+				customRoutes.push({ id: r.id, origin: String(r.origin).trim(), destination: String(r.destination).trim(), distanceKM: r.distanceKM });
+			});
+			return customRoutes.length;
+		},
 
 		/**
 		 * getAllCities
 		 * Returns a unique, alphabetically sorted array with all city names
-		 * present in the routes dataset (from both origin and destination).
+		 * present in the routes dataset (from both origin and destination)
+		 * and in the coordinates table.
 		 */
 		getAllCities: function () {
-			var citiesSet = new Set();
-			for (var i = 0; i < routes.length; i++) {
-				citiesSet.add(routes[i].origin);
-				citiesSet.add(routes[i].destination);
-			}
-			var cities = Array.from(citiesSet);
-			cities.sort(function (a, b) {
-				return a.localeCompare(b, 'pt-BR');
-			});
-			return cities;
+			return _allNames();
 		},
 
 		/**
-		 * findDistance(origin, destination)
-		 * Searches for a route between origin and destination (case-insensitive).
-		 * Checks both directions and returns the distance in KM if found,
-		 * otherwise returns null.
+		 * resolveCity(query)
+		 * Returns the "City, ST" name a free-text query refers to, or null.
+		 * Matching ignores case, accents and punctuation; "City" alone works
+		 * when only one state has that city. Typos are not corrected (see
+		 * searchCities) and ambiguous queries return null.
 		 */
-		findDistance: function (origin, destination) {
-			if (!origin || !destination) return null;
-			var oNorm = _normalize(origin);
-			var dNorm = _normalize(destination);
+		resolveCity: function (query) {
+			return _resolveName(query);
+		},
 
-			for (var i = 0; i < routes.length; i++) {
-				var r = routes[i];
-				if (_normalize(r.origin) === oNorm && _normalize(r.destination) === dNorm) {
-					return r.distanceKM;
+		/**
+		 * searchCities(query, limit)
+		 * Returns the cities matching a partial query, best first:
+		 *   [ { name: 'São Paulo, SP', city: 'São Paulo', state: 'SP', score: 1 }, ... ]
+		 * score: 0 exact, 1 prefix, 2 word prefix, 3 substring, 4+ typos (one
+		 * per 4 letters, at most 3; suggestions only, lookups need the name).
+		 * limit (optional) caps the number of results.
+		 */
+		searchCities: function (query, limit) {
+			var q = _normalize(query || '');
+			if (!q) return [];
+
+			var matches = [];
+			var names = _allNames();
+			for (var i = 0; i < names.length; i++) {
+				var full = _normalize(names[i]);
+				var city = _cityPart(names[i]);
+				var score = null;
+
+				if (full === q || city === q) {
+					score = 0;
+				} else if (city.indexOf(q) === 0 || full.indexOf(q) === 0) {
+					score = 1;
+				} else if ((' ' + city).indexOf(' ' + q) !== -1) {
+					score = 2;
+				} else if (full.indexOf(q) !== -1) {
+					score = 3;
+				} else {
+					// Typos, also while typing: compare with the start of the city
+					var typos = Math.min(_typos(q, names[i]), _editDistance(q, city.slice(0, q.length)));
+					if (typos <= _maxTypos(q)) score = 4 + typos;
 				}
-				if (_normalize(r.origin) === dNorm && _normalize(r.destination) === oNorm) {
-					return r.distanceKM;
+
+				if (score !== null) {
+					var parts = names[i].split(',');
+					matches.push({
+						name: names[i],
+						city: parts[0].trim(),
+						state: parts.length > 1 ? parts[1].trim() : '',
+						score: score
+					});
 				}
 			}
-			return null;
+
+			// names is already sorted alphabetically; the sort keeps that order within a score
+			matches.sort(function (a, b) { return a.score - b.score; });
+			return typeof limit === 'number' ? matches.slice(0, limit) : matches;
+		},
+
+		/**
+		 * hasCity(city)
+		 * Returns true when a query resolves to a city catalogued in a route
+		 * or with coordinates (see resolveCity).
+		 */
+		hasCity: function (city) {
+			return _resolveName(city) !== null;
+		},
+
+		/**
+		 * getCoordinates(city)
+		 * Returns { lat, lon } for a city (see resolveCity), or null if unknown.
+		 */
+		getCoordinates: function (city) {
+			if (!city) return null;
+			var found = _findCoordinates(_resolve(city));
+			return found ? { lat: found.lat, lon: found.lon } : null;
+		},
+
+		/**
+		 * estimateDistance(origin, destination)
+		 * Estimates the road distance between two cities as the great-circle
+		 * distance multiplied by CONFIG.ROUTE_ESTIMATE.WINDING_FACTOR.
+		 * Returns the distance in KM rounded to an integer, or null if either
+		 * city has no coordinates.
+		 */
+		estimateDistance: function (origin, destination) {
+			if (!origin || !destination) return null;
+			var a = _findCoordinates(_resolve(origin));
+			var b = _findCoordinates(_resolve(destination));
+			if (!a || !b) return null;
+
+			var settings = (typeof CONFIG !== 'undefined' && CONFIG.ROUTE_ESTIMATE) || {};
+			var windingFactor = typeof settings.WINDING_FACTOR === 'number' ? settings.WINDING_FACTOR : 1.3;
+			var earthRadiusKm = typeof settings.EARTH_RADIUS_KM === 'number' ? settings.EARTH_RADIUS_KM : 6371;
+
+			return Math.round(_haversine(a, b, earthRadiusKm) * windingFactor);
+		},
+
+		/**
+		 * findRoute(origin, destination)
+		 * Searches for a route between origin and destination (see resolveCity).
+		 * A custom route (setCustomRoutes) wins, then a direct surveyed route;
+		 * otherwise the shortest chain of surveyed and custom routes is
+		 * returned ('custom' when it uses a custom one), then the shortest
+		 * chain through estimated routes of the dataset (flagged 'estimated');
+		 * as a last resort the distance is estimated from city coordinates.
+		 * Result shape:
+		 *   { distanceKM: number, path: [origin, ..., destination], via: [intermediate cities],
+		 *     source: 'catalogued' | 'estimated' | 'custom',
+		 *     overrides: dataset km replaced by a direct custom route, or null (custom only) }
+		 * Returns null when the cities are unknown or cannot be connected.
+		 */
+		findRoute: function (origin, destination) {
+			if (!origin || !destination) return null;
+			var oNorm = _resolve(origin);
+			var dNorm = _resolve(destination);
+
+			var custom = _findCustom(oNorm, dNorm);
+			if (custom) {
+				var replaced = _findDirect(oNorm, dNorm, true);
+				return {
+					distanceKM: custom.distanceKM,
+					path: _normalize(custom.origin) === oNorm ? [custom.origin, custom.destination] : [custom.destination, custom.origin],
+					via: [],
+					source: 'custom',
+					overrides: replaced ? replaced.distanceKM : null
+				};
+			}
+
+			var direct = _findDirect(oNorm, dNorm);
+			if (direct) {
+				var forward = _normalize(direct.origin) === oNorm;
+				return {
+					distanceKM: direct.distanceKM,
+					path: forward ? [direct.origin, direct.destination] : [direct.destination, direct.origin],
+					via: [],
+					source: 'catalogued'
+				};
+			}
+
+			if (oNorm === dNorm) return null;
+
+			var graph = _buildGraph();
+			// A surveyed chain wins over a shorter one through estimated routes
+			var shortest = _shortestPath(graph, oNorm, dNorm, true) || _shortestPath(graph, oNorm, dNorm, false);
+			if (shortest) {
+				var path = shortest.path.map(function (n) { return graph.names[n]; });
+				return {
+					distanceKM: shortest.distanceKM,
+					path: path,
+					via: path.slice(1, -1),
+					source: shortest.source
+				};
+			}
+
+			var estimate = this.estimateDistance(origin, destination);
+			if (estimate === null) return null;
+			return {
+				distanceKM: estimate,
+				path: [_findCoordinates(oNorm).name, _findCoordinates(dNorm).name],
+				via: [],
+				source: 'estimated'
+			};
+		},
+
+		/**
+		 * findDistance(origin, destination)
+		 * Returns the distance in KM of the route found by findRoute
+		 * (direct, chained or estimated), otherwise returns null.
+		 */
+		findDistance: function (origin, destination) {
+			var route = this.findRoute(origin, destination);
+			return route ? route.distanceKM : null;
 		}
 	};
 })();
 
+// CommonJS export for Node (tests, CLI); browsers keep the global and load
+// the dataset with RoutesDB.load(). Node reads it synchronously here.
+if (typeof module !== 'undefined' && module.exports) {
+	(function (result) {
+		if (!result.valid) {
+			throw new Error('Invalid data/routes.json: ' + result.errors.map(function (e) { return e.message; }).join('; '));
+		}
+	})(RoutesDB.setDataset(require('../data/routes.json')));
+	module.exports = RoutesDB;
+}
@@ -0,0 +1,303 @@
+/*
+  trip-io.js
+
+  Defines the global `TripIO` object with CSV/JSON export of the current
+  result and of the trip history, and CSV import of trips that are
+  batch-calculated with `Calculator`.
+
+  Structure:
+    TripIO = {
+      toCSV: function(rows, columns) -> CSV text,
+      parseCSV: function(text) -> array of row arrays,
+      resultToJSON / resultToCSV: function(result) -> text,
+      historyToJSON / historyToCSV: function(entries) -> text,
+      importCSV: function(text) -> { trips: [...], errors: [ { row, code, params } ] },
+      download: function(filename, content, mimeType)
+    }
+
+  Notes:
+  - Exported CSV uses ',' as delimiter and '.' as decimal separator.
+  - Imported CSV may use ',' or ';' and must have a header row with
+    origin/destination/mode/distance columns (Portuguese names accepted).
+    An empty distance is looked up in RoutesDB.
+  - Import errors are codes (EMPTY_FILE, MISSING_COLUMNS, MISSING_CITY,
+    UNKNOWN_MODE, NO_ROUTE, INVALID_DISTANCE) with their params; the text
+    is the I18n message "import.error.<CODE>".
+  - In Node the object is the CommonJS export (used by the co2calc CLI);
+    CONFIG, RoutesDB and Calculator are then required from their files.
+*/
+
+// Node (CommonJS): load the globals the browser gets from other scripts
+if (typeof require === 'function' && typeof module !== 'undefined') {
+  if (typeof CONFIG === 'undefined') var CONFIG = require('./config.js');
+  if (typeof RoutesDB === 'undefined') var RoutesDB = require('./routes-data.js');
+  if (typeof Calculator === 'undefined') var Calculator = require('./calculator.js');
+}
+
+var TripIO = (function () {
+  // Header aliases accepted on import (normalized, without accents)
+  var IMPORT_COLUMNS = {
+    origin: ['origin', 'origem'],
+    destination: ['destination', 'destino'],
+    mode: ['mode', 'modo', 'transporte', 'transport'],
+    distance: ['distance', 'distancia', 'distance_km', 'distancia_km', 'km']
+  };
+
+  var HISTORY_COLUMNS = ['date', 'origin', 'destination', 'route', 'mode', 'distance', 'emission', 'credits'];
+
+  // Private helper: lower-case and strip accents from a header name
+  function _normalizeHeader(s) {
+    return String(s).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Private helper: quotes a CSV cell when needed; text starting with a
+  // formula character is prefixed with ' so spreadsheets don't evaluate it
+  function _csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    var text = String(value);
+    if (/^[=+\-@]/.test(text)) text = "'" + text;
+    if (/[",\n\r]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+    return text;
+  }
+
+  // Private helper: picks ';' when the header line has more ';' than ','
+  function _detectDelimiter(text) {
+    var firstLine = text.split(/\r?\n/)[0] || '';
+    var semicolons = firstLine.split(';').length;
+    var commas = firstLine.split(',').length;
+    return semicolons > commas ? ';' : ',';
+  }
+
+  return {
+    /**
+     * toCSV(rows, columns)
+     * Serializes an array of objects to CSV with a header row.
+     */
+    toCSV: function (rows, columns) {
+      var lines = [columns.join(',')];
+      for (var i = 0; i < rows.length; i++) {
+        var cells = [];
+        for (var c = 0; c < columns.length; c++) {
+          cells.push(_csvCell(rows[i][columns[c]]));
+        }
+        lines.push(cells.join(','));
+      }
+      return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * parseCSV(text)
+     * Parses CSV text (',' or ';' delimited, RFC 4180 quoting) into an array
+     * of row arrays. Blank lines are skipped.
+     */
+    parseCSV: function (text) {
+      var source = String(text || '').replace(/^\uFEFF/, '');
+      var delimiter = _detectDelimiter(source);
+      var rows = [];
+      var row = [];
+      var cell = '';
+      var inQuotes = false;
+
+      for (var i = 0; i < source.length; i++) {
+        var ch = source[i];
+        if (inQuotes) {
+          if (ch === '"' && source[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (ch === '"') {
+            inQuotes = false;
+          } else {
+            cell += ch;
+          }
+        } else if (ch === '"') {
+          inQuotes = true;
+        } else if (ch === delimiter) {
+          row.push(cell);
+          cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+          if (ch === '\r' && source[i + 1] === '\n') i++;
+          row.push(cell);
+          rows.push(row);
+          row = [];
+          cell = '';
+        } else {
+          cell += ch;
+        }
+      }
+      if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+      }
+
+      return rows.filter(function (r) {
+        return r.some(function (value) { return String(value).trim() !== ''; });
+      });
+    },
+
+    /**
+     * resultToJSON(result)
+     * result = { origin, destination, distance, mode, emission, credits, price, comparison }
+     * where comparison is the Calculator.calculateAllModes output.
+     */
+    resultToJSON: function (result) {
+      return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        result: {
+          origin: result.origin,
+          destination: result.destination,
+          mode: result.mode,
+          distance: result.distance,
+          emission: result.emission,
+          credits: result.credits,
+          price: result.price
+        },
+        comparison: result.comparison || []
+      }, null, 2);
+    },
+
+    /**
+     * resultToCSV(result)
+     * One 'resultado' row for the calculated trip followed by one
+     * 'comparacao' row per mode of the comparison.
+     */
+    resultToCSV: function (result) {
+      var rows = [{
+        type: 'resultado',
+        origin: result.origin,
+        destination: result.destination,
+        mode: result.mode,
+        distance: result.distance,
+        emission: result.emission,
+        credits: result.credits
+      }];
+      var comparison = result.comparison || [];
+      for (var i = 0; i < comparison.length; i++) {
+        rows.push({
+          type: 'comparacao',
+          origin: result.origin,
+          destination: result.destination,
+          mode: comparison[i].mode,
+          distance: result.distance,
+          emission: comparison[i].emission,
+          perPerson: comparison[i].perPerson,
+          percentageVsCar: comparison[i].percentageVsCar
+        });
+      }
+      return this.toCSV(rows, ['type', 'origin', 'destination', 'mode', 'distance', 'emission', 'perPerson', 'percentageVsCar', 'credits']);
+    },
+
+    /**
+     * historyToJSON(entries) / historyToCSV(entries)
+     * Serializes TripHistory entries.
+     */
+    historyToJSON: function (entries) {
+      return JSON.stringify({ exportedAt: new Date().toISOString(), trips: entries }, null, 2);
+    },
+
+    historyToCSV: function (entries) {
+      return this.toCSV(entries, HISTORY_COLUMNS);
+    },
+
+    /**
+     * importCSV(text)
+     * Parses rows of origin/destination/mode/distance and calculates each
+     * valid row with Calculator.calculateEmission and calculateCarbonCredits.
+     * Row numbers are 1-based with the header as row 1 (blank lines are not counted).
+     * Returns { trips: [ { row, origin, destination, mode, distance, emission, credits } ],
+     *           errors: [ { row, code, params } ] }
+     */
+    importCSV: function (text) {
+      var report = { trips: [], errors: [] };
+      var rows = this.parseCSV(text);
+      if (!rows.length) {
+        report.errors.push({ row: 1, code: 'EMPTY_FILE', params: {} });
+        return report;
+      }
+
+      // Map header names to column indexes
+      var header = rows[0].map(_normalizeHeader);
+      var index = {};
+      for (var key in IMPORT_COLUMNS) {
+        if (IMPORT_COLUMNS.hasOwnProperty(key)) {
+          index[key] = -1;
+          for (var a = 0; a < IMPORT_COLUMNS[key].length && index[key] === -1; a++) {
+            index[key] = header.indexOf(IMPORT_COLUMNS[key][a]);
+          }
+        }
+      }
+      if (index.origin === -1 || index.destination === -1 || index.mode === -1) {
+        report.errors.push({ row: 1, code: 'MISSING_COLUMNS', params: {} });
+        return report;
+      }
+
+      for (var i = 1; i < rows.length; i++) {
+        var cells = rows[i];
+        var rowNumber = i + 1;
+        var origin = String(cells[index.origin] || '').trim();
+        var destination = String(cells[index.destination] || '').trim();
+        var mode = _normalizeHeader(cells[index.mode] || '');
+        var distanceRaw = index.distance === -1 ? '' : String(cells[index.distance] || '').trim();
+
+        if (!origin || !destination) {
+          report.errors.push({ row: rowNumber, code: 'MISSING_CITY', params: {} });
+          continue;
+        }
+        if (!CONFIG.TRANSPORT_MODES.hasOwnProperty(mode)) {
+          report.errors.push({ row: rowNumber, code: 'UNKNOWN_MODE', params: { mode: cells[index.mode] } });
+          continue;
+        }
+
+        var distance;
+        if (distanceRaw === '') {
+          distance = RoutesDB.findDistance(origin, destination);
+          if (distance === null) {
+            report.errors.push({ row: rowNumber, code: 'NO_ROUTE', params: {} });
+            continue;
+          }
+        } else {
+          // Accept both 12.5 and 12,5
+          distance = Number(distanceRaw.replace(',', '.'));
+          if (isNaN(distance) || distance <= 0) {
+            report.errors.push({ row: rowNumber, code: 'INVALID_DISTANCE', params: { distance: distanceRaw } });
+            continue;
+          }
+        }
+
+        var emission = Calculator.calculateEmission(distance, mode);
+        report.trips.push({
+          row: rowNumber,
+          origin: origin,
+          destination: destination,
+          mode: mode,
+          distance: distance,
+          emission: emission,
+          credits: Calculator.calculateCarbonCredits(emission)
+        });
+      }
+
+      return report;
+    },
+
+    /**
+     * download(filename, content, mimeType)
+     * Triggers a browser download of text content.
+     */
+    download: function (filename, content, mimeType) {
+      var blob = new Blob([content], { type: (mimeType || 'text/plain') + ';charset=utf-8' });
+      var url = URL.createObjectURL(blob);
+      var link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+    }
+  };
+})();
+
+// CommonJS export for Node (CLI); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TripIO;
+}
@@ -6,7 +6,8 @@
 	helpers.
 
 	All methods are documented inline. Render methods return HTML strings that
-	can be injected into the DOM by the application.
+	can be injected into the DOM by the application. Texts come from the
+	I18n catalog and numbers, currencies and dates use its locale.
 */
 
 var UI = {
@@ -16,13 +17,53 @@ var UI = {
 	formatNumber: function (number, decimals) {
 		var d = typeof decimals === 'number' ? decimals : 0;
 		if (typeof number !== 'number') number = Number(number) || 0;
-		// Use toLocaleString for pt-BR formatting with fixed decimals
-		return number.toLocaleString('pt-BR', { minimumFractionDigits: d, maximumFractionDigits: d });
+		// Use toLocaleString for locale formatting with fixed decimals
+		return number.toLocaleString(I18n.getLocale(), { minimumFractionDigits: d, maximumFractionDigits: d });
 	},
 
-	formatCurrency: function (value) {
+	formatCurrency: function (value, currency) {
+		// currency (optional): ISO code, BRL by default (formatted for the interface locale)
 		var v = typeof value === 'number' ? value : Number(value) || 0;
-		return v.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+		return v.toLocaleString(I18n.getLocale(), { style: 'currency', currency: currency || 'BRL' });
+	},
+
+	formatDistance: function (km, decimals) {
+		// km in the interface unit system (Units), e.g. "267,2 mi"
+		return this.formatNumber(Units.fromKm(Number(km) || 0), decimals) + ' ' + Units.distanceUnit();
+	},
+
+	formatMass: function (kg, decimals) {
+		// kg in the interface unit system: kg, t (from 1000 kg) or lb
+		var mass = Units.mass(Number(kg) || 0);
+		return this.formatNumber(mass.value, decimals) + ' ' + mass.unit;
+	},
+
+	formatFactor: function (kgPerKm, decimals) {
+		// Emission factor in kg CO₂/km or lb CO₂/mi
+		return this.formatNumber(Units.factor(kgPerKm), decimals) + ' ' + Units.massUnit() + ' CO₂/' + Units.distanceUnit();
+	},
+
+	formatDate: function (isoDate) {
+		// "YYYY-MM-DD" -> date in the interface locale, e.g. "DD/MM/YYYY" (local date, no timezone shift)
+		var parts = String(isoDate || '').split('-');
+		if (parts.length !== 3) return isoDate || '';
+		return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])).toLocaleDateString(I18n.getLocale());
+	},
+
+	escapeHtml: function (value) {
+		// Escapes user-provided text (city names from the form, URL or imports)
+		// before it is concatenated into rendered HTML
+		return String(value === null || value === undefined ? '' : value)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;')
+			.replace(/'/g, '&#39;');
+	},
+
+	getProfileLabel: function (mode, profileId) {
+		// Label of a CONFIG.VEHICLE_PROFILES entry (I18n.profileLabel), or '' for the flat default
+		return profileId ? I18n.profileLabel(mode, profileId) : '';
 	},
 
 	showElement: function (elementId) {
@@ -54,15 +95,26 @@ var UI = {
 		 ====================== */
 	renderResults: function (data) {
 		/*
-			data = { origin, destination, distance, emission, mode, savings }
+			data = { origin, destination, distance, distanceSource, emission, mode, profile, savings, legs, roundTrip, recurrence, allocation }
+			profile (optional): CONFIG.VEHICLE_PROFILES key within data.mode
+			distanceSource: 'catalogued' | 'estimated' | 'custom' | 'manual'
+			roundTrip (optional): distance/emission already include the way back
+			recurrence (optional): Calculator.calculateRecurrence(...) result
+			allocation (optional): { passengers, perPassenger, cargoTonnes, perTonneKm }
+			legs (optional): Calculator.calculateTrip(...).legs — when there is more
+			than one leg, distance/emission are the trip totals and a leg table
+			is appended.
 
 			Output structure (HTML string):
 			<div class="results">
 				<div class="results__card results__card--route">Origin → Destination</div>
 				<div class="results__card results__card--distance">Distance</div>
-				<div class="results__card results__card--emission">Emission</div>
+				<div class="results__card results__card--emission">Emission + equivalences</div>
 				<div class="results__card results__card--transport">Transport icon + label</div>
 				<div class="results__card results__card--savings">Savings (if any)</div>
+				<div class="results__card results__card--recurrence">Monthly/annual + annual equivalences (if recurring)</div>
+				<div class="results__card results__card--allocation">Per passenger / per t·km (if shared)</div>
+				<div class="results__card results__card--legs">Leg table (multi-leg only)</div>
 			</div>
 		*/
 
@@ -70,63 +122,340 @@ var UI = {
 
 		var origin = data.origin || '';
 		var destination = data.destination || '';
-		var distance = typeof data.distance === 'number' ? this.formatNumber(data.distance, 1) : (data.distance || '—');
-		var emission = typeof data.emission === 'number' ? this.formatNumber(data.emission, 2) : (data.emission || '—');
+		var distance = typeof data.distance === 'number' ? this.formatDistance(data.distance, 1) : (data.distance || '—');
+		var emission = typeof data.emission === 'number' ? this.formatMass(data.emission, 2) : (data.emission || '—');
+
+		var distanceSources = ['catalogued', 'estimated', 'custom', 'manual'];
+		var distanceSourceHtml = distanceSources.indexOf(data.distanceSource) !== -1
+			? '<div class="results__card-sub">' + I18n.t('source.' + data.distanceSource) + '</div>'
+			: '';
 
 		var transportIcon = modeMeta.icon || '';
-		var transportLabel = modeMeta.label || data.mode || '';
+		var transportLabel = data.mode ? I18n.modeLabel(data.mode) : '';
+		// Bands are chosen by one-way distance (data.distance may include the way back)
+		var oneWayDistance = Array.isArray(data.legs) && data.legs[0] ? data.legs[0].distanceKm : data.distance;
+		var band = data.profile ? null : Calculator.getDistanceBand(data.mode, oneWayDistance);
+		var profileLabel = this.getProfileLabel(data.mode, data.profile) || (band ? I18n.bandLabel(data.mode, band.label) : '');
+		var factor = Calculator.getEmissionFactor(data.mode, data.profile, oneWayDistance);
+		var transportSub = (profileLabel || I18n.t('results.defaultProfile')) + (factor !== null ? ' · ' + this.formatFactor(factor, 3) : '');
+
+		var recurrenceHtml = '';
+		if (data.recurrence && data.recurrence.recurring) {
+			recurrenceHtml = '' +
+				'<div class="results__card results__card--recurrence">' +
+					'<div class="results__card-title">' + I18n.t('results.recurring') + '</div>' +
+					'<div class="results__card-value">' + I18n.t('results.perYear', { value: this.formatMass(data.recurrence.annual, 2) }) + '</div>' +
+					'<div class="results__card-sub">' + I18n.t('results.perMonth', { value: this.formatMass(data.recurrence.monthly, 2), trips: this.formatNumber(data.recurrence.tripsPerMonth, 1) }) + '</div>' +
+					this.renderEquivalences(data.recurrence.annual, 'equivalences.titleYear') +
+				'</div>';
+		}
+
+		var allocationHtml = '';
+		var allocation = data.allocation;
+		if (allocation && (allocation.passengers > 1 || allocation.perTonneKm !== null)) {
+			var allocationValues = '';
+			if (allocation.passengers > 1) {
+				allocationValues += '<div class="results__card-value">' + I18n.t('results.perPerson', { value: this.formatMass(allocation.perPassenger, 2) }) + '</div>' +
+					'<div class="results__card-sub">' + I18n.t('results.people', { count: allocation.passengers }) + '</div>';
+			}
+			if (allocation.perTonneKm !== null) {
+				// g/t·km (per tonne-km values are small) or lb/t·mi
+				var cargoFactor = Units.cargoFactor(allocation.perTonneKm);
+				allocationValues += '<div class="results__card-value">' + this.formatNumber(cargoFactor.value, Units.getSystem() === 'imperial' ? 3 : 1) + ' ' + cargoFactor.unit + '</div>' +
+					'<div class="results__card-sub">' + I18n.t('results.cargo', { value: this.formatNumber(allocation.cargoTonnes, 1) }) + '</div>';
+			}
+			allocationHtml = '' +
+				'<div class="results__card results__card--allocation">' +
+					'<div class="results__card-title">' + I18n.t('results.allocation') + '</div>' +
+					allocationValues +
+				'</div>';
+		}
+
+		var legsHtml = '';
+		var isMultiLeg = Array.isArray(data.legs) && data.legs.length > 1;
+		if (isMultiLeg) {
+			// Route through every leg stop and the set of modes used
+			var stops = [data.legs[0].origin];
+			var icons = [];
+			for (var i = 0; i < data.legs.length; i++) {
+				stops.push(data.legs[i].destination);
+				var legMeta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[data.legs[i].mode]) || {};
+				var legIcon = legMeta.icon || data.legs[i].mode;
+				if (icons.indexOf(legIcon) === -1) icons.push(legIcon);
+			}
+			origin = stops.slice(0, -1).join(' → ');
+			destination = stops[stops.length - 1];
+			transportIcon = icons.join(' ');
+			transportLabel = I18n.t('results.multimodal');
+			transportSub = I18n.t('results.legsCount', { count: data.legs.length });
+			legsHtml = this.renderLegTable(data.legs, { distance: data.distance, emission: data.emission });
+		}
 
 		var savingsHtml = '';
 		if (data.savings && typeof data.savings.savedKg === 'number' && data.savings.savedKg > 0) {
-			savingsHtml = '\n      <div class="results__card results__card--savings">\n        <div class="results__card-title">Economia</div>\n        <div class="results__card-value">' + this.formatNumber(data.savings.savedKg, 2) + ' kg</div>\n        <div class="results__card-sub">' + this.formatNumber(data.savings.percentage, 2) + '% vs carro</div>\n      </div>';
+			savingsHtml = '\n      <div class="results__card results__card--savings">\n        <div class="results__card-title">' + I18n.t('results.savings') + '</div>\n        <div class="results__card-value">' + this.formatMass(data.savings.savedKg, 2) + '</div>\n        <div class="results__card-sub">' + I18n.t('results.vsCar', { percent: this.formatNumber(data.savings.percentage, 2) }) + '</div>\n      </div>';
 		}
 
 		var html = '' +
 			'<div class="results">' +
 				'<div class="results__card results__card--route">' +
-					'<div class="results__card-title">Rota</div>' +
-					'<div class="results__card-value">' + origin + ' → ' + destination + '</div>' +
+					'<div class="results__card-title">' + I18n.t('results.route') + '</div>' +
+					'<div class="results__card-value">' + this.escapeHtml(origin) + ' → ' + this.escapeHtml(destination) + '</div>' +
+					(data.roundTrip ? '<div class="results__card-sub">' + I18n.t('results.roundTrip') + '</div>' : '') +
 				'</div>' +
 				'<div class="results__card results__card--distance">' +
-					'<div class="results__card-title">Distância</div>' +
-					'<div class="results__card-value">' + distance + ' km</div>' +
+					'<div class="results__card-title">' + I18n.t(isMultiLeg ? 'results.distanceTotal' : 'results.distance') + '</div>' +
+					'<div class="results__card-value">' + distance + '</div>' +
+					distanceSourceHtml +
 				'</div>' +
 				'<div class="results__card results__card--emission">' +
-					'<div class="results__card-title">Emissão estimada</div>' +
-					'<div class="results__card-value">🌿 ' + emission + ' kg CO₂</div>' +
+					'<div class="results__card-title">' + I18n.t(isMultiLeg ? 'results.emissionTotal' : 'results.emission') + '</div>' +
+					'<div class="results__card-value">🌿 ' + emission + ' CO₂</div>' +
+					(recurrenceHtml ? '<div class="results__card-sub">' + I18n.t('results.perTrip') + '</div>' : '') +
+					(typeof data.emission === 'number' ? this.renderEquivalences(data.emission) : '') +
 				'</div>' +
 				'<div class="results__card results__card--transport">' +
-					'<div class="results__card-title">Transporte</div>' +
+					'<div class="results__card-title">' + I18n.t('results.transport') + '</div>' +
 					'<div class="results__card-value">' + transportIcon + ' ' + transportLabel + '</div>' +
+					'<div class="results__card-sub">' + transportSub + '</div>' +
 				'</div>' +
 				savingsHtml +
+				recurrenceHtml +
+				allocationHtml +
+				legsHtml +
 			'</div>';
 
 		return html;
 	},
 
-	renderComparison: function (modesArray, selectedMode) {
+	renderEquivalences: function (emissionKg, titleKey) {
+		/*
+			emissionKg: emission to express as Calculator.calculateEquivalences items
+			titleKey (optional): I18n key of the heading, 'equivalences.title' by default
+
+			Output structure (empty string when there is nothing to compare):
+			<div class="equivalences">
+				<div class="equivalences__title">Equivale a</div>
+				<ul class="equivalences__list">
+					<li class="equivalences__item">icon <strong>value</strong> label</li>
+				</ul>
+			</div>
+		*/
+
+		var items = typeof emissionKg === 'number' ? Calculator.calculateEquivalences(emissionKg) : [];
+		if (!items.length) return '';
+
+		var rows = '';
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			// Distance equivalences (km driven) follow the unit system
+			var value = item.kind === 'distance' ? Units.fromKm(item.value) : item.value;
+			rows += '<li class="equivalences__item">' +
+				'<span class="equivalences__icon" aria-hidden="true">' + item.icon + '</span> ' +
+				// Whole units from 10 on ("122 árvores", not "122,0")
+				'<strong>' + this.formatNumber(value, value >= 10 ? 0 : item.decimals) + '</strong> ' +
+				this.escapeHtml(I18n.equivalenceLabel(item.key, { unit: Units.distanceUnit() })) +
+			'</li>';
+		}
+
+		return '' +
+			'<div class="equivalences">' +
+				'<div class="equivalences__title">' + I18n.t(titleKey || 'equivalences.title') + '</div>' +
+				'<ul class="equivalences__list">' + rows + '</ul>' +
+			'</div>';
+	},
+
+	renderLegTable: function (legs, totals) {
+		/*
+			legs: [ { origin, destination, distanceKm, mode, emission, percentageOfTotal }, ... ]
+			totals: { distance, emission }
+
+			Output structure:
+			<div class="results__card results__card--legs">
+				<table class="legs-table"> one row per leg + totals footer </table>
+			</div>
+		*/
+
+		var rows = '';
+		for (var i = 0; i < legs.length; i++) {
+			var leg = legs[i];
+			var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[leg.mode]) || {};
+			var legBand = leg.profile ? null : Calculator.getDistanceBand(leg.mode, leg.distanceKm);
+			var legProfileLabel = this.getProfileLabel(leg.mode, leg.profile) || (legBand ? I18n.bandLabel(leg.mode, legBand.label) : '');
+			rows += '' +
+				'<tr>' +
+					'<td>' + (i + 1) + '</td>' +
+					'<td>' + this.escapeHtml(leg.origin) + ' → ' + this.escapeHtml(leg.destination) + '</td>' +
+					'<td>' + (meta.icon || '') + ' ' + (leg.mode ? I18n.modeLabel(leg.mode) : '') + (legProfileLabel ? ' (' + legProfileLabel + ')' : '') + '</td>' +
+					'<td class="legs-table__number">' + this.formatDistance(leg.distanceKm, 1) + '</td>' +
+					'<td class="legs-table__number">' + this.formatMass(leg.emission, 2) + '</td>' +
+					'<td class="legs-table__number">' + this.formatNumber(leg.percentageOfTotal || 0, 1) + '%</td>' +
+				'</tr>';
+		}
+
+		return '' +
+			'<div class="results__card results__card--legs">' +
+				'<div class="results__card-title">' + I18n.t('legs.title') + '</div>' +
+				'<table class="legs-table">' +
+					'<thead><tr><th>#</th><th>' + I18n.t('legs.leg') + '</th><th>' + I18n.t('legs.transport') + '</th><th>' + I18n.t('legs.distance') + '</th>' +
+					'<th>' + I18n.t('legs.emission') + '</th><th>' + I18n.t('legs.share') + '</th></tr></thead>' +
+					'<tbody>' + rows + '</tbody>' +
+					'<tfoot><tr>' +
+						'<td colspan="3">' + I18n.t('legs.total') + '</td>' +
+						'<td class="legs-table__number">' + this.formatDistance(totals.distance, 1) + '</td>' +
+						'<td class="legs-table__number">' + this.formatMass(totals.emission, 2) + '</td>' +
+						'<td class="legs-table__number">100%</td>' +
+					'</tr></tfoot>' +
+				'</table>' +
+			'</div>';
+	},
+
+	renderLegForm: function (legId, legNumber) {
+		/*
+			Form block for an extra trip leg. Field ids are suffixed with
+			legId so each leg can be wired to CONFIG.bindDistanceAutoFill.
+			Texts carry data-i18n attributes so I18n.translatePage can switch
+			them later (mode options are re-rendered by the caller).
+
+			Output structure:
+			<fieldset class="leg" data-leg-id="N">
+				legend + remove button, origin, destination, distance,
+				manual checkbox (+ save-route button) and a transport <select>
+			</fieldset>
+		*/
+
+		var options = '';
+		var modes = (CONFIG && CONFIG.TRANSPORT_MODES) || {};
+		for (var mode in modes) {
+			if (modes.hasOwnProperty(mode)) {
+				options += '<option value="' + mode + '"' + (mode === CONFIG.DEFAULT_MODE ? ' selected' : '') + '>' + modes[mode].icon + ' ' + I18n.modeLabel(mode) + '</option>';
+			}
+		}
+
+		return '' +
+			'<fieldset class="leg" data-leg-id="' + legId + '">' +
+				'<legend class="leg__title"><span data-i18n="leg.title">' + I18n.t('leg.title') + '</span> <span class="leg__number">' + legNumber + '</span></legend>' +
+				'<button type="button" class="leg__remove" aria-label="' + I18n.t('leg.remove') + '" data-i18n-aria-label="leg.remove">✕</button>' +
+				'<div class="field">' +
+					'<label for="origem-' + legId + '" data-i18n="form.origin">' + I18n.t('form.origin') + '</label>' +
+					'<input id="origem-' + legId + '" class="leg__origin" type="text" placeholder="' + I18n.t('form.originPlaceholder') + '" data-i18n-placeholder="form.originPlaceholder" />' +
+				'</div>' +
+				'<div class="field">' +
+					'<label for="destino-' + legId + '" data-i18n="form.destination">' + I18n.t('form.destination') + '</label>' +
+					'<input id="destino-' + legId + '" class="leg__destination" type="text" placeholder="' + I18n.t('form.destinationPlaceholder') + '" data-i18n-placeholder="form.destinationPlaceholder" />' +
+				'</div>' +
+				'<div class="field">' +
+					'<label for="distancia-' + legId + '"><span data-i18n="form.distance">' + I18n.t('form.distance') + '</span> (<span data-unit="distance">' + Units.distanceUnit() + '</span>)</label>' +
+					'<input id="distancia-' + legId + '" class="leg__distance" type="number" readonly step="0.1" />' +
+					'<p class="field-helper"></p>' +
+				'</div>' +
+				'<div class="field checkbox">' +
+					'<input id="manual-' + legId + '" class="leg__manual" type="checkbox" />' +
+					'<label for="manual-' + legId + '" data-i18n="form.manual">' + I18n.t('form.manual') + '</label>' +
+					'<button type="button" class="save-route hidden" data-i18n="form.saveRoute">' + I18n.t('form.saveRoute') + '</button>' +
+				'</div>' +
+				'<div class="field">' +
+					'<label for="transport-' + legId + '" data-i18n="form.transport">' + I18n.t('form.transport') + '</label>' +
+					'<select id="transport-' + legId + '" class="leg__transport">' + options + '</select>' +
+				'</div>' +
+				'<div class="field">' +
+					'<label for="profile-' + legId + '" data-i18n="form.profile">' + I18n.t('form.profile') + '</label>' +
+					'<select id="profile-' + legId + '" class="leg__profile">' + this.renderProfileOptions(CONFIG.DEFAULT_MODE) + '</select>' +
+				'</div>' +
+			'</fieldset>';
+	},
+
+	renderComparison: function (modesArray, selectedMode, lifecycle) {
 		/*
-			modesArray: [ { mode, emission, percentageVsCar }, ... ]
+			modesArray: [ { mode, band, emission, passengers, perPerson, percentageVsCar, lifecycle }, ... ]
+			percentageVsCar is per person, so the per-person line is shown
+			whenever a mode carries more than one passenger.
+			lifecycle (optional): true to compare the full-lifecycle figures of
+			each entry (Calculator.calculateAllModes) instead of the tailpipe
+			ones; items then show the direct / upstream / embodied breakdown.
 
 			Output per item:
 			<div class="comparison__item [--selected]">
 				<div class="comparison__mode">icon label</div>
+				<div class="comparison__band">distance band (if any)</div>
 				<div class="comparison__emission">X kg</div>
+				<div class="comparison__breakdown">direct · upstream · embodied (lifecycle only)</div>
+				<div class="comparison__per-person">Z kg/pessoa (if shared)</div>
 				<div class="comparison__percent">Y %</div>
 			</div>
+
+			The list is preceded by the tailpipe/lifecycle switch
+			(name="comparison-view") and an SVG bar chart of the per-person
+			emission of each mode (Charts.barChart) when charts.js is loaded.
 		*/
 
-		var html = '<div class="comparison">';
-		for (var i = 0; i < modesArray.length; i++) {
-			var item = modesArray[i];
+		var self = this;
+		// Figures of the chosen view; entries without lifecycle data keep the tailpipe ones
+		var figures = function (item) {
+			if (lifecycle && item.lifecycle) {
+				return { emission: item.lifecycle.total, perPerson: item.lifecycle.perPerson, percentageVsCar: item.lifecycle.percentageVsCar, breakdown: item.lifecycle };
+			}
+			return { emission: item.emission, perPerson: item.perPerson, percentageVsCar: item.percentageVsCar, breakdown: null };
+		};
+		var items = modesArray.slice();
+		if (lifecycle) {
+			items.sort(function (a, b) { return figures(a).perPerson - figures(b).perPerson; });
+		}
+
+		var views = ['tailpipe', 'lifecycle'];
+		var html = '<div class="comparison__view" role="radiogroup" aria-label="' + I18n.t('comparison.view') + '">' +
+			views.map(function (view) {
+				var checked = (view === 'lifecycle') === !!lifecycle;
+				return '<label class="comparison__view-option">' +
+					'<input type="radio" name="comparison-view" value="' + view + '"' + (checked ? ' checked' : '') + '> ' +
+					I18n.t('comparison.' + view) +
+				'</label>';
+			}).join('') +
+		'</div>';
+
+		if (typeof Charts !== 'undefined' && items.length) {
+			html += '<div class="comparison__chart">' + Charts.barChart(items.map(function (item) {
+				var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[item.mode]) || {};
+				var label = I18n.modeLabel(item.mode);
+				var itemFigures = figures(item);
+				return {
+					label: label,
+					value: Units.fromKg(itemFigures.perPerson),
+					color: meta.color,
+					highlighted: item.mode === selectedMode,
+					tooltip: I18n.t('comparison.tooltip', {
+						label: label + (item.band ? ' (' + I18n.bandLabel(item.mode, item.band) + ')' : ''),
+						value: self.formatMass(itemFigures.perPerson, 2),
+						percent: self.formatNumber(itemFigures.percentageVsCar, 2)
+					})
+				};
+			}), { title: I18n.t(lifecycle ? 'comparison.chartTitleLifecycle' : 'comparison.chartTitle'), unit: Units.massUnit() + ' CO₂' }) + '</div>';
+		}
+
+		html += '<div class="comparison">';
+		for (var i = 0; i < items.length; i++) {
+			var item = items[i];
+			var itemFigures = figures(item);
 			var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[item.mode]) || {};
 			var selectedClass = item.mode === selectedMode ? ' comparison__item--selected' : '';
 
 			html += '\n      <div class="comparison__item' + selectedClass + '">';
-			html += '\n        <div class="comparison__mode">' + (meta.icon || '') + ' ' + (meta.label || item.mode) + '</div>';
-			html += '\n        <div class="comparison__emission">' + this.formatNumber(item.emission, 2) + ' kg</div>';
-			html += '\n        <div class="comparison__percent">' + this.formatNumber(item.percentageVsCar, 2) + ' %</div>';
+			html += '\n        <div class="comparison__mode">' + (meta.icon || '') + ' ' + I18n.modeLabel(item.mode) + '</div>';
+			if (item.band) {
+				html += '\n        <div class="comparison__band">' + I18n.bandLabel(item.mode, item.band) + '</div>';
+			}
+			html += '\n        <div class="comparison__emission">' + this.formatMass(itemFigures.emission, 2) + '</div>';
+			if (itemFigures.breakdown) {
+				html += '\n        <div class="comparison__breakdown">' + I18n.t('comparison.breakdown', {
+					direct: this.formatMass(itemFigures.breakdown.direct, 2),
+					upstream: this.formatMass(itemFigures.breakdown.upstream, 2),
+					embodied: this.formatMass(itemFigures.breakdown.embodied, 2)
+				}) + '</div>';
+			}
+			if (item.passengers > 1) {
+				html += '\n        <div class="comparison__per-person">' + I18n.t('comparison.perPerson', { value: this.formatMass(itemFigures.perPerson, 2), count: item.passengers }) + '</div>';
+			}
+			html += '\n        <div class="comparison__percent">' + this.formatNumber(itemFigures.percentageVsCar, 2) + ' %</div>';
 			html += '\n      </div>';
 		}
 		html += '\n</div>';
@@ -135,7 +464,11 @@ var UI = {
 
 	renderCarbonCredits: function (creditsData) {
 		/*
-			creditsData: { credits: number, price: { min, max, average } }
+			creditsData: { credits: number, price: { min, max, average, currency, asOf }, annualized: boolean, emissionKg }
+			price: Calculator.estimateCreditPrice(...) — currency is shown in a
+			selector (#credit-currency) and asOf as the "price as of" date
+			annualized: credits/price refer to the annual emission of a recurring trip
+			emissionKg (optional): emission the credits offset, shown as equivalences
 
 			Output structure:
 			<div class="credits">\n  <div class="credits__grid">\n    <div class="results__card">Credits</div>\n    <div class="results__card">Price</div>\n  </div>\n  <div class="credits__info">...</div>\n  <button>Compensar Emissões</button>\n</div>
@@ -143,43 +476,534 @@ var UI = {
 
 		var credits = typeof creditsData.credits === 'number' ? creditsData.credits : 0;
 		var price = creditsData.price || { min: 0, max: 0, average: 0 };
+		var currency = price.currency || 'BRL';
 
 		var creditsFormatted = this.formatNumber(credits, 4);
-		var avgFormatted = this.formatCurrency(price.average || 0);
-		var rangeFormatted = this.formatCurrency(price.min || 0) + ' — ' + this.formatCurrency(price.max || 0);
+		var avgFormatted = this.formatCurrency(price.average || 0, currency);
+		var rangeFormatted = this.formatCurrency(price.min || 0, currency) + ' — ' + this.formatCurrency(price.max || 0, currency);
+
+		// Currency selector with the currencies the price table can convert to
+		var currencies = typeof CreditPrices !== 'undefined' ? CreditPrices.getCurrencies() : [];
+		var currencyHtml = '';
+		if (currencies.length > 1) {
+			currencyHtml = '<label class="credits__currency">' + I18n.t('credits.currency') + ' ' +
+				'<select id="credit-currency">' +
+				currencies.map(function (c) {
+					return '<option value="' + c.code + '"' + (c.code === currency ? ' selected' : '') + '>' + I18n.currencyLabel(c.code) + '</option>';
+				}).join('') +
+				'</select></label>';
+		}
+		var asOfHtml = price.asOf ? '<div class="results__card-sub credits__as-of">' + I18n.t('credits.pricesAsOf', { date: this.formatDate(price.asOf) }) + '</div>' : '';
 
 		var html = '' +
 			'<div class="credits">' +
 				'<div class="credits__grid">' +
 					'<div class="results__card results__card--credits">' +
-						'<div class="results__card-title">Créditos necessários</div>' +
+						'<div class="results__card-title">' + I18n.t(creditsData.annualized ? 'credits.neededYear' : 'credits.needed') + '</div>' +
 						'<div class="results__card-value">' + creditsFormatted + '</div>' +
-						'<div class="results__card-sub">1 crédito = ' + (CONFIG && CONFIG.CARBON_CREDIT ? CONFIG.CARBON_CREDIT.KG_PER_CREDIT + ' kg CO₂' : '1000 kg CO₂') + '</div>' +
+						'<div class="results__card-sub">' + I18n.t('credits.unit', { mass: this.formatMass(CONFIG && CONFIG.CARBON_CREDIT ? CONFIG.CARBON_CREDIT.KG_PER_CREDIT : 1000, 0) }) + '</div>' +
 					'</div>' +
 					'<div class="results__card results__card--price">' +
-						'<div class="results__card-title">Preço estimado</div>' +
+						'<div class="results__card-title">' + I18n.t(creditsData.annualized ? 'credits.priceYear' : 'credits.price') + '</div>' +
 						'<div class="results__card-value">' + avgFormatted + '</div>' +
-						'<div class="results__card-sub">Faixa: ' + rangeFormatted + '</div>' +
+						'<div class="results__card-sub">' + I18n.t('credits.range', { range: rangeFormatted }) + '</div>' +
+						asOfHtml +
+						currencyHtml +
 					'</div>' +
 				'</div>' +
-				'<div class="credits__info">Créditos de carbono são certificados que representam a redução ou remoção de 1 tonelada de CO₂ equivalente — podem ser comprados para compensar emissões.</div>' +
-				'<div class="credits__actions"><button class="btn-compensate">🌱 Compensar Emissões</button></div>' +
+				this.renderEquivalences(creditsData.emissionKg, 'equivalences.credits') +
+				'<div class="credits__info">' + I18n.t('credits.info') + '</div>' +
+				'<div class="credits__actions"><button class="btn-compensate">' + I18n.t('credits.compensate') + '</button></div>' +
+			'</div>';
+
+		return html;
+	},
+
+	renderCheckout: function (projects, order) {
+		/*
+			projects: Offset.getProjects()
+			order: Offset.buildOrder(...) for the selected project
+
+			Output structure:
+			<div class="checkout">
+				<fieldset class="checkout__projects">one radio per project (name="offset-project")</fieldset>
+				<div class="checkout__summary">credits needed, units bought, unit price, total</div>
+				<div class="checkout__actions">Confirmar / Cancelar</div>
+				<div class="checkout__status" role="status"></div>
+			</div>
+		*/
+
+		var html = '<div class="checkout">';
+		html += '<fieldset class="checkout__projects"><legend>' + I18n.t('checkout.project') + '</legend>';
+		for (var i = 0; i < projects.length; i++) {
+			var p = projects[i];
+			var id = 'offset-' + p.id;
+			html += '<div class="checkout__project">' +
+				'<input type="radio" id="' + id + '" name="offset-project" value="' + p.id + '"' + (p.id === order.projectId ? ' checked' : '') + '>' +
+				'<label for="' + id + '">' +
+					'<span class="checkout__project-name">' + (p.icon ? p.icon + ' ' : '') + this.escapeHtml(I18n.projectText(p.id, 'label')) + '</span>' +
+					'<span class="checkout__project-price">' + I18n.t('checkout.perCredit', { price: this.formatCurrency(p.priceBRL) }) + '</span>' +
+					'<span class="checkout__project-description">' + this.escapeHtml(I18n.projectText(p.id, 'description')) + '</span>' +
+				'</label>' +
+			'</div>';
+		}
+		html += '</fieldset>';
+
+		html += '<dl class="checkout__summary">' +
+			'<dt>' + I18n.t('checkout.needed') + '</dt><dd>' + this.formatNumber(order.credits, 4) + '</dd>' +
+			'<dt>' + I18n.t('checkout.units') + '</dt><dd>' + this.formatNumber(order.units, 0) + '</dd>' +
+			'<dt>' + I18n.t('checkout.unitPrice') + '</dt><dd>' + this.formatCurrency(order.unitPriceBRL) + '</dd>' +
+			'<dt class="checkout__total">' + I18n.t('checkout.total') + '</dt><dd class="checkout__total">' + this.formatCurrency(order.totalBRL) + '</dd>' +
+		'</dl>';
+
+		html += '<div class="actions checkout__actions">' +
+			'<button type="button" id="checkout-confirm">' + I18n.t('checkout.confirm') + '</button>' +
+			'<button type="button" id="checkout-cancel" class="btn-checkout-cancel">' + I18n.t('checkout.cancel') + '</button>' +
+		'</div>';
+		html += '<div id="checkout-status" class="checkout__status" role="status"></div>';
+		html += '</div>';
+		return html;
+	},
+
+	renderCheckoutResult: function (order, confirmation, error) {
+		/*
+			order: the submitted order
+			confirmation: Offset.submitOrder result, or null on failure
+			error: Error from the provider (when confirmation is null); its code
+				picks the checkout.error.<CODE> message, errors without a code
+				show their own message
+		*/
+
+		if (!confirmation) {
+			var message = error && error.code
+				? I18n.t('checkout.error.' + error.code, error.params)
+				: (error && error.message) || I18n.t('checkout.unknownError');
+			return '<div class="checkout__result checkout__result--error">' +
+				I18n.t('checkout.error', { message: this.escapeHtml(message) }) +
 			'</div>';
+		}
+
+		// Built-in adapters give a notice code; other providers send their own text
+		var note = confirmation.notice ? I18n.t('checkout.notice.' + confirmation.notice) : confirmation.message;
+
+		return '<div class="checkout__result checkout__result--success">' +
+			I18n.t('checkout.success', {
+				order: this.escapeHtml(confirmation.orderId),
+				units: this.formatNumber(order.units, 0),
+				project: this.escapeHtml(I18n.projectText(order.projectId, 'label')),
+				total: this.formatCurrency(order.totalBRL)
+			}) +
+			(note ? '<div class="checkout__result-note">' + this.escapeHtml(note) + '</div>' : '') +
+		'</div>';
+	},
+
+	renderTransportGrid: function (selectedMode) {
+		/*
+			One radio option per mode in CONFIG.TRANSPORT_MODES (registry order).
 
+			Output per mode:
+			<div class="option">
+				<input type="radio" id="transport-{mode}" name="transport" value="{mode}" [checked]>
+				<label for="transport-{mode}"><span class="emoji">icon</span><span class="transport-name">label (I18n.modeLabel)</span></label>
+			</div>
+		*/
+
+		var html = '';
+		var modes = (CONFIG && CONFIG.TRANSPORT_MODES) || {};
+		for (var mode in modes) {
+			if (modes.hasOwnProperty(mode)) {
+				html += '\n      <div class="option">' +
+					'<input type="radio" id="transport-' + mode + '" name="transport" value="' + mode + '"' + (mode === selectedMode ? ' checked' : '') + '>' +
+					'<label for="transport-' + mode + '"><span class="emoji">' + modes[mode].icon + '</span><span class="transport-name">' + I18n.modeLabel(mode) + '</span></label>' +
+					'</div>';
+			}
+		}
 		return html;
 	},
 
+	renderProfileOptions: function (mode) {
+		/*
+			<option> list for the vehicle profile <select> of a transport mode:
+			the flat default first, then every CONFIG.VEHICLE_PROFILES[mode]
+			entry with its consumption and derived factor (kg CO₂/km or lb CO₂/mi).
+		*/
+
+		var consumptionUnits = { l: 'km/l', m3: 'km/m³', kwh: 'kWh/100km' };
+		var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[mode]) || {};
+		var defaultFactor = Calculator.getEmissionFactor(mode);
+		var defaultDetail = Array.isArray(meta.bands)
+			? ' — ' + I18n.t('profile.byBand')
+			: (defaultFactor !== null ? ' — ' + this.formatFactor(defaultFactor, 3) : '');
+		var html = '<option value="">' + I18n.t('profile.default') + defaultDetail + '</option>';
+
+		var profiles = (CONFIG && CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[mode]) || {};
+		for (var id in profiles) {
+			if (profiles.hasOwnProperty(id)) {
+				var profile = profiles[id];
+				var fuel = (CONFIG.FUELS && CONFIG.FUELS[profile.fuel]) || {};
+				html += '<option value="' + id + '">' + I18n.profileLabel(mode, id) +
+					' (' + this.formatNumber(profile.consumption, 1) + ' ' + (consumptionUnits[fuel.unit] || '') + ')' +
+					' — ' + this.formatFactor(Calculator.getEmissionFactor(mode, id), 3) + '</option>';
+			}
+		}
+		return html;
+	},
+
+	renderHistory: function (entries) {
+		/*
+			entries: TripHistory entries (already filtered), newest first
+
+			Output structure:
+			<ul class="history">
+				<li class="history__item">
+					<div class="history__main">date · icons route</div>
+					<div class="history__figures">distance · emission · credits</div>
+					<button class="history__delete" data-id="...">✕</button>
+				</li>
+			</ul>
+		*/
+
+		if (!entries.length) {
+			return '<p class="history__empty">' + I18n.t('history.empty') + '</p>';
+		}
+
+		var html = '<ul class="history">';
+		for (var i = 0; i < entries.length; i++) {
+			var entry = entries[i];
+			var icons = (entry.modes || [entry.mode]).map(function (mode) {
+				var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[mode]) || {};
+				return meta.icon || UI.escapeHtml(mode);
+			}).join(' ');
+
+			html += '\n      <li class="history__item">' +
+				'<div class="history__main">' +
+					'<span class="history__date">' + new Date(entry.date).toLocaleDateString(I18n.getLocale()) + '</span> ' +
+					'<span class="history__route">' + icons + ' ' + this.escapeHtml(entry.route) + '</span>' +
+				'</div>' +
+				'<div class="history__figures">' +
+					this.formatDistance(entry.distance, 1) + ' · ' +
+					this.formatMass(entry.emission, 2) + ' CO₂ · ' +
+					I18n.t('history.credits', { value: this.formatNumber(entry.credits, 4) }) +
+				'</div>' +
+				'<button type="button" class="history__delete" data-id="' + this.escapeHtml(entry.id) + '" aria-label="' + I18n.t('history.delete') + '">✕</button>' +
+				'</li>';
+		}
+		html += '\n</ul>';
+		return html;
+	},
+
+	renderHistoryTotals: function (byMonth, byMode) {
+		/*
+			byMonth: TripHistory.totalsByMonth(...), byMode: TripHistory.totalsByMode(...)
+
+			Output structure:
+			<div class="history-totals">
+				<div class="results__card">Overall totals</div>
+				<div class="results__card">Table by month</div>
+				<div class="results__card">Table by mode</div>
+			</div>
+		*/
+
+		var self = this;
+		var sum = { trips: 0, emission: 0, credits: 0 };
+		for (var i = 0; i < byMonth.length; i++) {
+			sum.trips += byMonth[i].trips;
+			sum.emission += byMonth[i].emission;
+			sum.credits += byMonth[i].credits;
+		}
+
+		var row = function (label, t) {
+			return '<tr><td>' + label + '</td>' +
+				'<td class="legs-table__number">' + t.trips + '</td>' +
+				'<td class="legs-table__number">' + self.formatDistance(t.distance, 1) + '</td>' +
+				'<td class="legs-table__number">' + self.formatMass(t.emission, 2) + '</td></tr>';
+		};
+		var head = '<thead><tr><th></th><th>' + I18n.t('history.trips') + '</th><th>' + I18n.t('history.distance') + '</th>' +
+			'<th>' + I18n.t('history.emission') + '</th></tr></thead>';
+
+		var monthRows = byMonth.map(function (t) {
+			var parts = t.month.split('-');
+			var label = new Date(Number(parts[0]), Number(parts[1]) - 1, 1).toLocaleDateString(I18n.getLocale(), { month: 'short', year: 'numeric' });
+			return row(label, t);
+		}).join('');
+
+		var modeRows = byMode.map(function (t) {
+			var meta = (CONFIG && CONFIG.TRANSPORT_MODES && CONFIG.TRANSPORT_MODES[t.mode]) || {};
+			// Stored history is user data: unknown modes are escaped like routes
+			return row((meta.icon ? meta.icon + ' ' : '') + self.escapeHtml(meta.label ? I18n.modeLabel(t.mode) : t.mode), t);
+		}).join('');
+
+		return '' +
+			'<div class="history-totals">' +
+				'<div class="results__card results__card--history-sum">' +
+					'<div class="results__card-title">' + I18n.t('history.total') + '</div>' +
+					'<div class="results__card-value">' + this.formatMass(sum.emission, 2) + ' CO₂</div>' +
+					'<div class="results__card-sub">' + I18n.t('history.totalSub', { trips: sum.trips, credits: this.formatNumber(sum.credits, 4) }) + '</div>' +
+				'</div>' +
+				'<div class="results__card">' +
+					'<div class="results__card-title">' + I18n.t('history.byMonth') + '</div>' +
+					'<table class="legs-table">' + head + '<tbody>' + monthRows + '</tbody></table>' +
+				'</div>' +
+				'<div class="results__card">' +
+					'<div class="results__card-title">' + I18n.t('history.byMode') + '</div>' +
+					'<table class="legs-table">' + head + '<tbody>' + modeRows + '</tbody></table>' +
+				'</div>' +
+			'</div>';
+	},
+
+	renderReport: function (report) {
+		/*
+			report: { results, comparison, selectedMode, lifecycle, credits, generatedAt }
+			results/comparison/credits are the data passed to renderResults,
+			renderComparison and renderCarbonCredits for the current calculation;
+			lifecycle prints the comparison in its lifecycle view (with a footnote).
+
+			Output structure (print layout, see @media print in style.css):
+			<article class="report">
+				<div class="report__header">title, route, generation date</div>
+				<section class="report__section">results / comparison / credits</section>
+				<section class="report__section">methodology (CONFIG.REPORT.METHODOLOGY, catalog keys)</section>
+				<section class="report__section">emission factors and sources (CONFIG.TRANSPORT_MODES, CONFIG.FUELS_SOURCE)</section>
+				<div class="report__footnotes">CONFIG.REPORT.FOOTNOTES (catalog keys)</div>
+			</article>
+		*/
+
+		var self = this;
+		var settings = (CONFIG && CONFIG.REPORT) || {};
+		var results = report.results;
+		var generatedAt = report.generatedAt || new Date();
+
+		// Modes used in the trip are listed first in the factor table
+		var usedModes = [];
+		var legs = results.legs || [];
+		for (var i = 0; i < legs.length; i++) {
+			if (usedModes.indexOf(legs[i].mode) === -1) usedModes.push(legs[i].mode);
+		}
+
+		var factorRows = '';
+		var modes = CONFIG.TRANSPORT_MODES;
+		var keys = usedModes.concat(Object.keys(modes).filter(function (key) { return usedModes.indexOf(key) === -1; }));
+		for (var k = 0; k < keys.length; k++) {
+			var meta = modes[keys[k]];
+			if (!meta) continue;
+			var factor = meta.bands
+				? meta.bands.map(function (band) { return self.formatNumber(Units.factor(band.factor), 3) + ' (' + I18n.bandLabel(keys[k], band.label) + ')'; }).join('; ')
+				: this.formatNumber(Units.factor(meta.factor), 3);
+			factorRows += '<tr' + (usedModes.indexOf(keys[k]) !== -1 ? ' class="report__used"' : '') + '>' +
+				'<td>' + (meta.icon ? meta.icon + ' ' : '') + this.escapeHtml(I18n.modeLabel(keys[k])) + '</td>' +
+				'<td class="legs-table__number">' + factor + '</td>' +
+				'<td>' + this.escapeHtml(I18n.referenceText(keys[k]) || '—') + '</td></tr>';
+		}
+
+		var list = function (keys) {
+			return '<ul>' + (keys || []).map(function (key) { return '<li>' + self.escapeHtml(I18n.t(key)) + '</li>'; }).join('') + '</ul>';
+		};
+
+		var footnotes = (settings.FOOTNOTES || []).map(function (key) { return I18n.t(key); });
+		if (report.lifecycle) {
+			footnotes.push(I18n.t('report.footnote.lifecycle', { source: I18n.referenceText('lifecycle') }).trim());
+		}
+		if (results.distanceSource === 'estimated') {
+			footnotes.unshift(I18n.t('report.estimated'));
+		}
+
+		return '' +
+			'<article class="report">' +
+				'<div class="report__header">' +
+					'<h1>' + I18n.t('report.title') + '</h1>' +
+					'<p class="report__route">' + this.escapeHtml(results.origin) + ' → ' + this.escapeHtml(results.destination) + '</p>' +
+					'<p class="report__date">' + I18n.t('report.generatedAt', { date: generatedAt.toLocaleString(I18n.getLocale(), { dateStyle: 'long', timeStyle: 'short' }) }) + '</p>' +
+				'</div>' +
+				'<section class="report__section">' +
+					'<h2>' + I18n.t('report.results') + '</h2>' +
+					this.renderResults(results) +
+				'</section>' +
+				'<section class="report__section">' +
+					'<h2>' + I18n.t('report.comparison') + '</h2>' +
+					this.renderComparison(report.comparison || [], report.selectedMode, report.lifecycle) +
+				'</section>' +
+				'<section class="report__section">' +
+					'<h2>' + I18n.t('report.credits') + '</h2>' +
+					this.renderCarbonCredits(report.credits) +
+				'</section>' +
+				'<section class="report__section">' +
+					'<h2>' + I18n.t('report.methodology') + '</h2>' +
+					list(settings.METHODOLOGY) +
+				'</section>' +
+				'<section class="report__section">' +
+					'<h2>' + I18n.t('report.factors') + '</h2>' +
+					'<table class="legs-table report__factors">' +
+						'<thead><tr><th>' + I18n.t('report.transport') + '</th><th>' + Units.massUnit() + ' CO₂/' + Units.distanceUnit() + '</th><th>' + I18n.t('report.source') + '</th></tr></thead>' +
+						'<tbody>' + factorRows + '</tbody>' +
+					'</table>' +
+					(CONFIG.FUELS_SOURCE ? '<p class="report__note">' + I18n.t('report.profiles', { source: this.escapeHtml(I18n.referenceText('fuels')) }) + '</p>' : '') +
+				'</section>' +
+				'<div class="report__footnotes">' +
+					'<ol>' + footnotes.map(function (text) { return '<li>' + self.escapeHtml(text) + '</li>'; }).join('') + '</ol>' +
+				'</div>' +
+			'</article>';
+	},
+
+	renderHistoryChart: function (byDay) {
+		/*
+			byDay: TripHistory.totalsByDay(...), newest first
+
+			Output: SVG line chart (Charts.lineChart) of the emission per day,
+			oldest to newest, or '' when there is nothing to plot.
+		*/
+
+		if (typeof Charts === 'undefined' || !byDay.length) return '';
+
+		var self = this;
+		var points = byDay.slice().reverse().map(function (t) {
+			var parts = t.day.split('-');
+			var label = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])).toLocaleDateString(I18n.getLocale(), { day: '2-digit', month: 'short' });
+			return {
+				label: label,
+				value: Units.fromKg(t.emission),
+				tooltip: I18n.t(t.trips === 1 ? 'history.chartTooltipOne' : 'history.chartTooltip', {
+					label: label,
+					value: self.formatMass(t.emission, 2),
+					trips: t.trips
+				})
+			};
+		});
+
+		return '' +
+			'<div class="results__card history-chart">' +
+				'<div class="results__card-title">' + I18n.t('history.chartCard') + '</div>' +
+				Charts.lineChart(points, { title: I18n.t('history.chartTitle'), unit: Units.massUnit() + ' CO₂' }) +
+			'</div>';
+	},
+
+	renderCustomRoutes: function (routes) {
+		/*
+			routes: CustomRoutes entries, each with `overrides` added by the
+			caller (dataset km the route replaces, or null)
+
+			Output structure:
+			<ul class="custom-routes">
+				<li class="custom-routes__item" data-id="...">
+					<div class="custom-routes__main">origin → destination (+ override badge)</div>
+					<input class="custom-routes__distance" type="number"> km (or mi, see Units)
+					<button class="custom-routes__save">Salvar</button>
+					<button class="custom-routes__delete">✕</button>
+				</li>
+			</ul>
+		*/
+
+		if (!routes.length) {
+			return '<p class="custom-routes__empty">' + this.escapeHtml(I18n.t('customRoutes.empty')) + '</p>';
+		}
+
+		var html = '<ul class="custom-routes">';
+		for (var i = 0; i < routes.length; i++) {
+			var route = routes[i];
+			var id = this.escapeHtml(route.id);
+			var name = this.escapeHtml(route.origin) + ' → ' + this.escapeHtml(route.destination);
+			var badge = typeof route.overrides === 'number'
+				? ' <span class="custom-routes__override">' + I18n.t('customRoutes.overrides', { distance: this.formatDistance(route.overrides, 1) }) + '</span>'
+				: '';
+
+			html += '\n      <li class="custom-routes__item" data-id="' + id + '">' +
+				'<div class="custom-routes__main">' + name + badge + '</div>' +
+				'<label class="custom-routes__field">' +
+					'<input class="custom-routes__distance" type="number" min="0.1" step="0.1" value="' + Math.round(Units.fromKm(route.distanceKM) * 10) / 10 + '" ' +
+					'aria-label="' + I18n.t('customRoutes.distance', { route: name, unit: Units.distanceUnit() }) + '" /> ' + Units.distanceUnit() +
+				'</label>' +
+				'<button type="button" class="custom-routes__save">' + I18n.t('customRoutes.save') + '</button>' +
+				'<button type="button" class="custom-routes__delete" aria-label="' + I18n.t('customRoutes.delete', { route: name }) + '">✕</button>' +
+				'</li>';
+		}
+		html += '\n</ul>';
+		return html;
+	},
+
+	renderRoutesStatus: function (state, info) {
+		/*
+			state: 'loading' | 'ready' | 'error'
+			info: RoutesDB.getInfo() when ready
+
+			Output structure:
+			<p class="routes-status__text routes-status__text--ready">...</p>
+			(+ <button id="routes-retry"> when the dataset failed to load)
+		*/
+
+		if (state === 'loading') {
+			return '<p class="routes-status__text"><span class="spinner" aria-hidden="true"></span> ' + I18n.t('routes.loading') + '</p>';
+		}
+		if (state === 'error') {
+			return '<p class="routes-status__text routes-status__text--error">' + I18n.t('routes.error') + '</p>' +
+				'<button type="button" id="routes-retry" class="routes-status__retry">' + I18n.t('routes.retry') + '</button>';
+		}
+		return '<p class="routes-status__text routes-status__text--ready">' +
+			I18n.t('routes.ready', { version: this.escapeHtml(info.version), cities: info.cities, routes: info.routes }) +
+			(info.updated ? I18n.t('routes.updated', { date: this.formatDate(info.updated) }) : '') + '</p>';
+	},
+
+	renderCitySuggestions: function (suggestions, activeIndex, inputId) {
+		/*
+			suggestions: RoutesDB.searchCities(...) result
+			activeIndex: highlighted option (-1 for none)
+			inputId: id of the input the list belongs to (option ids)
+
+			Output structure (options of <ul class="city-suggest" role="listbox">):
+			<li id="origem-suggestion-0" class="city-suggest__option city-suggest__option--active"
+				role="option" aria-selected="true" data-index="0">
+				<span class="city-suggest__city">São Paulo</span>
+				<span class="city-suggest__state">SP</span>
+			</li>
+		*/
+
+		var html = '';
+		for (var i = 0; i < suggestions.length; i++) {
+			var isActive = i === activeIndex;
+			html += '<li id="' + inputId + '-suggestion-' + i + '" class="city-suggest__option' + (isActive ? ' city-suggest__option--active' : '') + '"' +
+				' role="option" aria-selected="' + isActive + '" data-index="' + i + '">' +
+				'<span class="city-suggest__city">' + this.escapeHtml(suggestions[i].city) + '</span>' +
+				(suggestions[i].state ? '<span class="city-suggest__state">' + this.escapeHtml(suggestions[i].state) + '</span>' : '') +
+				'</li>';
+		}
+		return html;
+	},
+
+	renderImportReport: function (report) {
+		/*
+			report: TripIO.importCSV(...) result
+
+			Output structure:
+			<div class="import-report">
+				<div class="import-report__summary">N imported · M rejected</div>
+				<ul class="import-report__errors"><li>Linha X: message</li></ul>
+			</div>
+		*/
+
+		var html = '<div class="import-report">' +
+			'<div class="import-report__summary">' + I18n.t('import.summary', { count: report.trips.length }) +
+			(report.errors.length ? I18n.t('import.rejected', { count: report.errors.length }) : '') + '</div>';
+
+		if (report.errors.length) {
+			html += '<ul class="import-report__errors">';
+			for (var i = 0; i < report.errors.length; i++) {
+				html += '<li>' + I18n.t('import.row', { row: report.errors[i].row, message: this.escapeHtml(I18n.t('import.error.' + report.errors[i].code, report.errors[i].params)) }) + '</li>';
+			}
+			html += '</ul>';
+		}
+		return html + '</div>';
+	},
+
 	/* ======================
 		 Loading helpers
 		 ====================== */
-	showLoading: function (buttonElement) {
+	showLoading: function (buttonElement, label) {
+		// label (optional): text shown next to the spinner, 'Calculando...' (form.calculating) by default
 		if (!buttonElement) return;
 		// Save original text
 		if (!buttonElement.dataset.originalText) {
 			buttonElement.dataset.originalText = buttonElement.innerHTML;
 		}
 		buttonElement.disabled = true;
-		buttonElement.innerHTML = '<span class="spinner" aria-hidden="true"></span> Calculando...';
+		buttonElement.innerHTML = '<span class="spinner" aria-hidden="true"></span> ' + (label || I18n.t('form.calculating'));
 	},
 
 	hideLoading: function (buttonElement) {
@@ -189,6 +1013,60 @@ var UI = {
 			buttonElement.innerHTML = buttonElement.dataset.originalText;
 			delete buttonElement.dataset.originalText;
 		}
+	},
+
+	/* ======================
+		 Field error helpers
+		 ====================== */
+	showFieldErrors: function (form, errors) {
+		/*
+			errors: Validation error objects whose field is the id of the
+			invalid element. Clears the previous errors, appends
+			<p class="field-error" id="<field>-error"> to each field's .field
+			wrapper (or the element itself for fieldsets) and focuses the
+			first invalid element. Returns the number of errors shown.
+		*/
+		if (!form) return 0;
+
+		var shown = form.querySelectorAll('[aria-invalid="true"]');
+		for (var i = 0; i < shown.length; i++) {
+			this.clearFieldError(shown[i]);
+		}
+
+		var first = null;
+		for (var j = 0; j < errors.length; j++) {
+			var el = document.getElementById(errors[j].field);
+			if (!el || el.getAttribute('aria-invalid') === 'true') continue;
+
+			var wrapper = el.tagName === 'FIELDSET' ? el : (el.closest('.field') || el.parentNode);
+			// Message in the interface language (pt-BR when it has no template)
+			var message = (errors[j].messages && errors[j].messages[I18n.getLanguage()]) || errors[j].message;
+			wrapper.classList.add('field--invalid');
+			wrapper.insertAdjacentHTML('beforeend',
+				'<p class="field-error" id="' + errors[j].field + '-error">' + this.escapeHtml(message) + '</p>');
+			el.setAttribute('aria-invalid', 'true');
+			el.setAttribute('aria-describedby', errors[j].field + '-error');
+			if (!first) first = el;
+		}
+
+		if (first) {
+			// Fieldsets (transport grid) are not focusable: focus their first input
+			var target = first.tagName === 'FIELDSET' ? first.querySelector('input, select') : first;
+			if (target) target.focus();
+		}
+		return errors.length;
+	},
+
+	clearFieldError: function (element) {
+		// Removes the error shown for an element by showFieldErrors
+		if (!element || element.getAttribute('aria-invalid') !== 'true') return;
+
+		var message = document.getElementById(element.id + '-error');
+		if (message) message.parentNode.removeChild(message);
+		var wrapper = element.tagName === 'FIELDSET' ? element : (element.closest('.field') || element.parentNode);
+		wrapper.classList.remove('field--invalid');
+		element.removeAttribute('aria-invalid');
+		element.removeAttribute('aria-describedby');
 	}
 
 };
@@ -0,0 +1,199 @@
+/*
+  units.js
+
+  Defines the global `Units` object: the unit system of the interface
+  (metric or imperial) and the conversions between it and the km / kg
+  used everywhere else (RoutesDB, Calculator, history, exports).
+
+  Structure:
+    Units = {
+      SYSTEMS: { system: { distance, mass } },
+      KM_PER_MILE, LB_PER_KG,
+      getSystems: function() -> [ 'metric', 'imperial' ],
+      getSystem: function() -> current system,
+      setSystem: function(system) -> true if the system exists (persisted),
+      distanceUnit: function() -> 'km' | 'mi',
+      massUnit: function() -> 'kg' | 'lb',
+      toKm: function(value, system) -> km,
+      fromKm: function(km, system) -> distance in the system,
+      fromKg: function(kg, system) -> mass in the system (kg or lb),
+      mass: function(kg, system) -> { value, unit } (t from 1000 kg in metric),
+      factor: function(kgPerKm, system) -> kg/km or lb/mi,
+      cargoFactor: function(kgPerTonneKm, system) -> { value, unit } (g/t·km or lb/t·mi),
+      applyToPage: function(root) -> writes the unit of [data-unit] elements
+    }
+
+  Notes:
+  - Only the interface converts: values are read from the form with toKm
+    and rendered with UI.formatDistance / formatMass / formatFactor.
+  - system defaults to the current one in every conversion.
+  - Cargo stays in metric tonnes (the #cargo-tonnes input).
+  - The chosen system is kept in localStorage (CONFIG.UNITS.STORAGE_KEY);
+    the default is CONFIG.UNITS.DEFAULT_SYSTEM.
+*/
+
+// Node (CommonJS): load the CONFIG the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+  var CONFIG = require('./config.js');
+}
+
+var Units = (function () {
+  var SYSTEMS = {
+    metric: { distance: 'km', mass: 'kg' },
+    imperial: { distance: 'mi', mass: 'lb' }
+  };
+
+  var KM_PER_MILE = 1.609344;
+  var LB_PER_KG = 2.20462262185;
+
+  function _settings() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.UNITS) || {};
+  }
+
+  function _storageKey() {
+    return _settings().STORAGE_KEY || 'calculadoraCO2.units';
+  }
+
+  // Private helper: system saved by setSystem, or null
+  function _loadStored() {
+    try {
+      var stored = window.localStorage.getItem(_storageKey());
+      return stored && SYSTEMS[stored] ? stored : null;
+    } catch (err) {
+      // No localStorage (Node, private mode): keep the default
+      return null;
+    }
+  }
+
+  var current = _loadStored() || (SYSTEMS[_settings().DEFAULT_SYSTEM] ? _settings().DEFAULT_SYSTEM : 'metric');
+
+  // Private helper: true when the given (or current) system is imperial
+  function _imperial(system) {
+    return (system || current) === 'imperial';
+  }
+
+  return {
+    SYSTEMS: SYSTEMS,
+    KM_PER_MILE: KM_PER_MILE,
+    LB_PER_KG: LB_PER_KG,
+
+    /**
+     * getSystems()
+     * Returns the supported unit systems, in switcher order.
+     */
+    getSystems: function () {
+      return Object.keys(SYSTEMS);
+    },
+
+    /**
+     * getSystem()
+     * Returns the current unit system ('metric' or 'imperial').
+     */
+    getSystem: function () {
+      return current;
+    },
+
+    /**
+     * setSystem(system)
+     * Switches the unit system and remembers it. Returns false (and keeps
+     * the current system) for unknown systems.
+     */
+    setSystem: function (system) {
+      if (!SYSTEMS[system]) {
+        console.error('Unsupported unit system: ' + system);
+        return false;
+      }
+      current = system;
+      try {
+        window.localStorage.setItem(_storageKey(), system);
+      } catch (err) {
+        // Not persisted (Node, private mode): the choice lasts for this page
+      }
+      return true;
+    },
+
+    /**
+     * distanceUnit() / massUnit()
+     * Symbols of the current system ('km' / 'mi', 'kg' / 'lb').
+     */
+    distanceUnit: function () {
+      return SYSTEMS[current].distance;
+    },
+
+    massUnit: function () {
+      return SYSTEMS[current].mass;
+    },
+
+    /**
+     * toKm(value, system)
+     * Converts a distance typed in the system to km.
+     */
+    toKm: function (value, system) {
+      return _imperial(system) ? value * KM_PER_MILE : value;
+    },
+
+    /**
+     * fromKm(km, system)
+     * Converts km to the system's distance unit.
+     */
+    fromKm: function (km, system) {
+      return _imperial(system) ? km / KM_PER_MILE : km;
+    },
+
+    /**
+     * fromKg(kg, system)
+     * Converts kg to the system's mass unit (kg or lb).
+     */
+    fromKg: function (kg, system) {
+      return _imperial(system) ? kg * LB_PER_KG : kg;
+    },
+
+    /**
+     * mass(kg, system)
+     * Mass in the unit best suited to display it: { value, unit } in lb
+     * (imperial), t from 1000 kg on, otherwise kg (metric).
+     */
+    mass: function (kg, system) {
+      if (_imperial(system)) return { value: kg * LB_PER_KG, unit: 'lb' };
+      if (Math.abs(kg) >= 1000) return { value: kg / 1000, unit: 't' };
+      return { value: kg, unit: 'kg' };
+    },
+
+    /**
+     * factor(kgPerKm, system)
+     * Converts an emission factor in kg CO₂/km to kg/km or lb/mi.
+     */
+    factor: function (kgPerKm, system) {
+      return _imperial(system) ? kgPerKm * LB_PER_KG * KM_PER_MILE : kgPerKm;
+    },
+
+    /**
+     * cargoFactor(kgPerTonneKm, system)
+     * Freight emission per tonne of cargo: { value, unit } in g/t·km
+     * (metric, per tonne-km values are small) or lb/t·mi (imperial).
+     */
+    cargoFactor: function (kgPerTonneKm, system) {
+      if (_imperial(system)) return { value: kgPerTonneKm * LB_PER_KG * KM_PER_MILE, unit: 'lb/t·mi' };
+      return { value: kgPerTonneKm * 1000, unit: 'g/t·km' };
+    },
+
+    /**
+     * applyToPage(root)
+     * Writes the current symbol into [data-unit="distance"] and
+     * [data-unit="mass"] elements inside root (the document by default),
+     * e.g. the "(km)" of the distance labels.
+     */
+    applyToPage: function (root) {
+      var elements = (root || document).querySelectorAll('[data-unit]');
+      for (var i = 0; i < elements.length; i++) {
+        var unit = SYSTEMS[current][elements[i].getAttribute('data-unit')];
+        if (unit) elements[i].textContent = unit;
+      }
+    }
+  };
+})();
+
+// CommonJS export for Node (tests); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+}
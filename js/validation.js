@@ -0,0 +1,217 @@
+/*
+  validation.js
+
+  Defines the global `Validation` object: typed validation errors shared by
+  Calculator (strict mode), the form in APP and the HTTP API.
+
+  Structure:
+    Validation = {
+      MESSAGES: { CODE: { 'pt-BR': template, en: template, es: template } },
+      createError: function(code, field, params) -> error object,
+      ValidationError: Error subclass thrown in strict mode (.errors),
+      validateDistance: function(value, field) -> [errors],
+      validateMode: function(mode, field) -> [errors],
+      validateProfile: function(mode, profile, field) -> [errors],
+      validatePassengers: function(value, field) -> [errors],
+      validateNonNegative: function(value, field) -> [errors],
+      validateEmissionInput: function(distanceKm, mode) -> [errors]
+    }
+
+  Error shape:
+    { code, field, message (pt-BR), messages: { 'pt-BR': ..., en: ..., es: ... } }
+
+  Notes:
+  - field is the name of the offending input (e.g. 'distance', 'mode');
+    callers may pass their own name (a form element id, an API field).
+  - Templates use {name} placeholders filled from params.
+*/
+
+// Node (CommonJS): load the CONFIG the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+  var CONFIG = require('./config.js');
+}
+
+var Validation = (function () {
+  var MESSAGES = {
+    REQUIRED: {
+      'pt-BR': 'Campo obrigatório.',
+      en: 'This field is required.',
+      es: 'Campo obligatorio.'
+    },
+    INVALID_NUMBER: {
+      'pt-BR': 'Informe um número válido.',
+      en: 'Enter a valid number.',
+      es: 'Introduce un número válido.'
+    },
+    INVALID_DISTANCE: {
+      'pt-BR': 'A distância deve ser maior que zero.',
+      en: 'Distance must be greater than zero.',
+      es: 'La distancia debe ser mayor que cero.'
+    },
+    NEGATIVE_VALUE: {
+      'pt-BR': 'O valor não pode ser negativo.',
+      en: 'The value cannot be negative.',
+      es: 'El valor no puede ser negativo.'
+    },
+    UNKNOWN_MODE: {
+      'pt-BR': 'Meio de transporte desconhecido: "{mode}".',
+      en: 'Unknown transport mode: "{mode}".',
+      es: 'Medio de transporte desconocido: "{mode}".'
+    },
+    UNKNOWN_PROFILE: {
+      'pt-BR': 'Perfil de veículo inválido para {mode}: "{profile}".',
+      en: 'Invalid vehicle profile for {mode}: "{profile}".',
+      es: 'Perfil de vehículo no válido para {mode}: "{profile}".'
+    },
+    UNKNOWN_CITY: {
+      'pt-BR': 'Cidade desconhecida: "{city}".',
+      en: 'Unknown city: "{city}".',
+      es: 'Ciudad desconocida: "{city}".'
+    },
+    ROUTE_NOT_FOUND: {
+      'pt-BR': 'Distância não encontrada. Marque "Inserir distância manualmente" para informá-la.',
+      en: 'Distance not found. Check "enter distance manually" to provide it.',
+      es: 'Distancia no encontrada. Marca "Introducir la distancia manualmente" para indicarla.'
+    },
+    INVALID_PASSENGERS: {
+      'pt-BR': 'Informe pelo menos 1 pessoa (número inteiro).',
+      en: 'Enter at least 1 person (whole number).',
+      es: 'Indica al menos 1 persona (número entero).'
+    },
+    INVALID_TRIPS: {
+      'pt-BR': 'Informe quantas viagens são feitas por período.',
+      en: 'Enter how many trips are made per period.',
+      es: 'Indica cuántos viajes se hacen por periodo.'
+    },
+    INVALID_WORKING_DAYS: {
+      'pt-BR': 'Use um valor entre 1 e 31 dias úteis.',
+      en: 'Use a value between 1 and 31 working days.',
+      es: 'Usa un valor entre 1 y 31 días laborables.'
+    }
+  };
+
+  // Private helper: fills {name} placeholders
+  function _format(template, params) {
+    return template.replace(/\{(\w+)\}/g, function (match, name) {
+      return params && params[name] !== undefined ? String(params[name]) : match;
+    });
+  }
+
+  // Private helper: true for finite numbers
+  function _isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  /**
+   * ValidationError(errors)
+   * Error thrown by Calculator in strict mode. errors is the array of error
+   * objects; message is the first one's pt-BR message.
+   */
+  function ValidationError(errors) {
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.errors = errors || [];
+    this.message = this.errors.length ? this.errors[0].message : 'Validation failed';
+    if (Error.captureStackTrace) Error.captureStackTrace(this, ValidationError);
+  }
+  ValidationError.prototype = Object.create(Error.prototype);
+  ValidationError.prototype.constructor = ValidationError;
+
+  return {
+    MESSAGES: MESSAGES,
+    ValidationError: ValidationError,
+
+    /**
+     * createError(code, field, params)
+     * Builds an error object for a MESSAGES code.
+     */
+    createError: function (code, field, params) {
+      var templates = MESSAGES[code] || { 'pt-BR': code, en: code, es: code };
+      var messages = {};
+      for (var lang in templates) {
+        if (templates.hasOwnProperty(lang)) messages[lang] = _format(templates[lang], params);
+      }
+      return {
+        code: code,
+        field: field,
+        message: messages['pt-BR'],
+        messages: messages
+      };
+    },
+
+    /**
+     * validateDistance(value, field)
+     * Distance in km must be a number greater than zero.
+     */
+    validateDistance: function (value, field) {
+      if (value === undefined || value === null || value === '') return [this.createError('REQUIRED', field || 'distance')];
+      if (!_isNumber(value)) return [this.createError('INVALID_NUMBER', field || 'distance')];
+      if (value <= 0) return [this.createError('INVALID_DISTANCE', field || 'distance')];
+      return [];
+    },
+
+    /**
+     * validateMode(mode, field)
+     * mode must be a key of CONFIG.TRANSPORT_MODES (case-insensitive).
+     */
+    validateMode: function (mode, field) {
+      var key = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+      if (!key) return [this.createError('REQUIRED', field || 'mode')];
+      if (!CONFIG.TRANSPORT_MODES.hasOwnProperty(key)) return [this.createError('UNKNOWN_MODE', field || 'mode', { mode: mode })];
+      return [];
+    },
+
+    /**
+     * validateProfile(mode, profile, field)
+     * An empty profile means the mode's default factor; otherwise it must
+     * be a CONFIG.VEHICLE_PROFILES key of the mode.
+     */
+    validateProfile: function (mode, profile, field) {
+      if (profile === undefined || profile === null || profile === '') return [];
+      var key = String(mode).trim().toLowerCase();
+      var profiles = (CONFIG.VEHICLE_PROFILES && CONFIG.VEHICLE_PROFILES[key]) || {};
+      if (typeof profile !== 'string' || !profiles.hasOwnProperty(profile)) {
+        return [this.createError('UNKNOWN_PROFILE', field || 'profile', { mode: key, profile: profile })];
+      }
+      return [];
+    },
+
+    /**
+     * validatePassengers(value, field)
+     * Optional; when given it must be an integer >= 1.
+     */
+    validatePassengers: function (value, field) {
+      if (value === undefined || value === null) return [];
+      if (!_isNumber(value) || value < 1 || Math.floor(value) !== value) {
+        return [this.createError('INVALID_PASSENGERS', field || 'passengers')];
+      }
+      return [];
+    },
+
+    /**
+     * validateNonNegative(value, field)
+     * value must be a number >= 0 (emissions, credits, cargo).
+     */
+    validateNonNegative: function (value, field) {
+      if (!_isNumber(value)) return [this.createError('INVALID_NUMBER', field)];
+      if (value < 0) return [this.createError('NEGATIVE_VALUE', field)];
+      return [];
+    },
+
+    /**
+     * validateEmissionInput(distanceKm, mode)
+     * Errors for Calculator.calculateEmission's arguments. A distance of 0
+     * is accepted there (a trip that did not happen emits nothing); unknown
+     * profiles are not errors, they fall back to the mode's factor.
+     */
+    validateEmissionInput: function (distanceKm, mode) {
+      var errors = distanceKm === 0 ? [] : this.validateDistance(distanceKm, 'distance');
+      return errors.concat(this.validateMode(mode, 'mode'));
+    }
+  };
+})();
+
+// CommonJS export for Node (tests, CLI, API); browsers keep the global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Validation;
+}
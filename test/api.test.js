@@ -0,0 +1,89 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var api = require('../bin/co2api.js');
+
+test.describe('co2api', function () {
+  var server;
+  var base;
+
+  test.before(function () {
+    return new Promise(function (resolve) {
+      server = api.createServer().listen(0, '127.0.0.1', function () {
+        base = 'http://127.0.0.1:' + server.address().port;
+        resolve();
+      });
+    });
+  });
+
+  test.after(function () {
+    return new Promise(function (resolve) { server.close(resolve); });
+  });
+
+  // Sends a request and resolves { status, body }
+  function request(method, path, body) {
+    return fetch(base + path, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    }).then(function (res) {
+      return res.json().then(function (json) { return { status: res.status, body: json }; });
+    });
+  }
+
+  test.it('GET /cities lists the cities', async function () {
+    var r = await request('GET', '/cities');
+    assert.equal(r.status, 200);
+    assert.ok(r.body.cities.indexOf('São Paulo, SP') !== -1);
+  });
+
+  test.it('GET /distance resolves a route', async function () {
+    var r = await request('GET', '/distance?from=' + encodeURIComponent('campinas, sp') + '&to=' + encodeURIComponent('Rio de Janeiro, RJ'));
+    assert.equal(r.status, 200);
+    assert.equal(r.body.distance, 525);
+    assert.deepEqual(r.body.via, ['São Paulo, SP']);
+  });
+
+  test.it('GET /distance rejects missing and unknown cities', async function () {
+    var r = await request('GET', '/distance?from=' + encodeURIComponent('Atlântida, XX'));
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error.code, 'VALIDATION_ERROR');
+    assert.deepEqual(r.body.error.details.map(function (d) { return d.field; }), ['from', 'to']);
+  });
+
+  test.it('POST /emission calculates from cities or a distance', async function () {
+    var r = await request('POST', '/emission', { from: 'São Paulo, SP', to: 'Campinas, SP', mode: 'carro', passengers: 2 });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.emission, 11.4);
+    assert.equal(r.body.perPassenger, 5.7);
+
+    r = await request('POST', '/emission', { distance: 100, mode: 'carro', profile: 'diesel' });
+    assert.equal(r.body.emission, 26);
+  });
+
+  test.it('POST /emission returns structured validation errors', async function () {
+    var r = await request('POST', '/emission', { distance: -5, mode: 'foguete' });
+    assert.equal(r.status, 400);
+    assert.deepEqual(r.body.error.details.map(function (d) { return d.field; }), ['distance', 'mode']);
+
+    r = await request('POST', '/emission', { distance: 10, mode: 'carro', profile: 'nuclear', passengers: 0 });
+    assert.deepEqual(r.body.error.details.map(function (d) { return d.field; }), ['profile', 'passengers']);
+  });
+
+  test.it('POST /compare returns every mode', async function () {
+    var r = await request('POST', '/compare', { distance: 100, passengers: { carro: 4 } });
+    assert.equal(r.status, 200);
+    var car = r.body.comparison.filter(function (c) { return c.mode === 'carro'; })[0];
+    assert.equal(car.perPerson, 3);
+
+    r = await request('POST', '/compare', { distance: 100, passengers: { foguete: 2 } });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.error.details[0].field, 'passengers.foguete');
+  });
+
+  test.it('rejects invalid JSON, unknown paths and wrong methods', async function () {
+    assert.equal((await request('POST', '/emission', '{nope')).body.error.code, 'INVALID_JSON');
+    assert.equal((await request('GET', '/nope')).status, 404);
+    assert.equal((await request('GET', '/emission')).status, 405);
+  });
+});
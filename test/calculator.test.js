@@ -0,0 +1,266 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var CONFIG = require('../js/config.js');
+var Calculator = require('../js/calculator.js');
+var Validation = require('../js/validation.js');
+
+// Unknown modes are reported with console.error; keep the test output clean
+function quietErrors(t) {
+  t.mock.method(console, 'error', function () {});
+}
+
+test.describe('calculateEmission', function () {
+  test.it('multiplies distance by the mode factor', function () {
+    assert.equal(Calculator.calculateEmission(100, 'carro'), 12);
+    assert.equal(Calculator.calculateEmission(430, 'onibus'), 38.27);
+    assert.equal(Calculator.calculateEmission(250, 'bicicleta'), 0);
+  });
+
+  test.it('normalizes the mode key', function () {
+    assert.equal(Calculator.calculateEmission(100, '  CARRO '), 12);
+  });
+
+  test.it('uses the distance band of banded modes', function () {
+    assert.equal(Calculator.calculateEmission(400, 'aviao'), 102);
+    assert.equal(Calculator.calculateEmission(1000, 'aviao'), 156);
+    assert.equal(Calculator.calculateEmission(2000, 'aviao'), 300);
+  });
+
+  test.it('derives the factor from a vehicle profile', function () {
+    // 2.6 kg/l diesel at 10 km/l
+    assert.equal(Calculator.calculateEmission(100, 'carro', 'diesel'), 26);
+    // Bus profiles are per vehicle, shared by their typical occupancy
+    assert.equal(Calculator.calculateEmission(100, 'onibus', 'diesel'), 8.67);
+  });
+
+  test.it('returns 0 for negative or non-numeric distances', function (t) {
+    quietErrors(t);
+    assert.equal(Calculator.calculateEmission(-10, 'carro'), 0);
+    assert.equal(Calculator.calculateEmission('100', 'carro'), 0);
+    assert.equal(Calculator.calculateEmission(NaN, 'carro'), 0);
+  });
+
+  test.it('returns 0 for unknown modes', function (t) {
+    quietErrors(t);
+    assert.equal(Calculator.calculateEmission(100, 'teletransporte'), 0);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+test.describe('strict mode', function () {
+  test.afterEach(function () {
+    Calculator.setStrict(false);
+  });
+
+  test.it('throws a ValidationError with typed errors', function () {
+    Calculator.setStrict(true);
+    assert.throws(function () {
+      Calculator.calculateEmission(-10, 'teletransporte');
+    }, function (err) {
+      assert.ok(err instanceof Validation.ValidationError);
+      assert.equal(err.code, 'VALIDATION_ERROR');
+      assert.deepEqual(err.errors.map(function (e) { return e.code + ':' + e.field; }), ['INVALID_DISTANCE:distance', 'UNKNOWN_MODE:mode']);
+      return true;
+    });
+  });
+
+  test.it('still accepts a zero distance', function () {
+    Calculator.setStrict(true);
+    assert.equal(Calculator.calculateEmission(0, 'carro'), 0);
+    assert.equal(Calculator.calculateAllModes(0).length, Object.keys(CONFIG.TRANSPORT_MODES).length);
+  });
+
+  test.it('covers comparisons, credits and prices', function () {
+    Calculator.setStrict(true);
+    assert.throws(function () { Calculator.calculateAllModes(NaN); }, Validation.ValidationError);
+    assert.throws(function () { Calculator.calculateCarbonCredits(-1); }, Validation.ValidationError);
+    assert.throws(function () { Calculator.estimateCreditPrice('2'); }, Validation.ValidationError);
+  });
+});
+
+test.describe('calculateAllModes', function () {
+  test.it('returns one entry per registered mode sorted by per-person emission', function () {
+    var results = Calculator.calculateAllModes(100);
+    assert.equal(results.length, Object.keys(CONFIG.TRANSPORT_MODES).length);
+    for (var i = 1; i < results.length; i++) {
+      assert.ok(results[i - 1].perPerson <= results[i].perPerson);
+    }
+    assert.equal(results[0].mode, 'bicicleta');
+  });
+
+  test.it('reports percentages against the car', function () {
+    var car = Calculator.calculateAllModes(100).filter(function (r) { return r.mode === 'carro'; })[0];
+    assert.equal(car.percentageVsCar, 100);
+    assert.equal(car.emission, 12);
+  });
+
+  test.it('splits shared vehicles per passenger', function () {
+    var car = Calculator.calculateAllModes(100, { carro: 4 }).filter(function (r) { return r.mode === 'carro'; })[0];
+    assert.equal(car.passengers, 4);
+    assert.equal(car.perPerson, 3);
+  });
+
+  test.it('keeps the per-seat bus factor for every passenger', function () {
+    var bus = Calculator.calculateAllModes(100, { onibus: 4 }).filter(function (r) { return r.mode === 'onibus'; })[0];
+    assert.equal(bus.perPerson, 8.9);
+    assert.equal(bus.emission, 35.6);
+
+    var trip = Calculator.calculateTrip([{ distanceKm: 100, mode: 'onibus' }], { passengers: 10 });
+    assert.equal(trip.perPassenger, 8.9);
+    assert.equal(trip.totalEmission, 89);
+  });
+
+  test.it('labels the distance band', function () {
+    var plane = Calculator.calculateAllModes(300).filter(function (r) { return r.mode === 'aviao'; })[0];
+    assert.equal(plane.band, 'voo curto');
+  });
+
+  test.it('returns an empty list for invalid distances', function () {
+    assert.deepEqual(Calculator.calculateAllModes(-1), []);
+    assert.deepEqual(Calculator.calculateAllModes(undefined), []);
+    assert.deepEqual(Calculator.calculateAllModes(NaN), []);
+  });
+});
+
+test.describe('calculateSavings', function () {
+  test.it('computes the saved kg and percentage against the baseline', function () {
+    assert.deepEqual(Calculator.calculateSavings(3, 12), { savedKg: 9, percentage: 75 });
+  });
+
+  test.it('never reports negative savings', function () {
+    assert.deepEqual(Calculator.calculateSavings(20, 12), { savedKg: 0, percentage: 0 });
+  });
+
+  test.it('treats invalid inputs as zero', function () {
+    assert.deepEqual(Calculator.calculateSavings(-5, 10), { savedKg: 10, percentage: 100 });
+    assert.deepEqual(Calculator.calculateSavings(5, 0), { savedKg: 0, percentage: 0 });
+    assert.deepEqual(Calculator.calculateSavings('a', 'b'), { savedKg: 0, percentage: 0 });
+  });
+});
+
+test.describe('calculateCarbonCredits', function () {
+  test.it('converts kg to credits of KG_PER_CREDIT', function () {
+    assert.equal(Calculator.calculateCarbonCredits(1000), 1);
+    assert.equal(Calculator.calculateCarbonCredits(51.6), 0.0516);
+  });
+
+  test.it('rounds to 4 decimal places', function () {
+    assert.equal(Calculator.calculateCarbonCredits(0.12345), 0.0001);
+  });
+
+  test.it('returns 0 for negative or non-numeric emissions', function () {
+    assert.equal(Calculator.calculateCarbonCredits(-1), 0);
+    assert.equal(Calculator.calculateCarbonCredits(null), 0);
+  });
+});
+
+test.describe('estimateCreditPrice', function () {
+  test.it('prices credits with the built-in BRL range', function () {
+    var price = Calculator.estimateCreditPrice(2);
+    assert.equal(price.min, 2 * CONFIG.CARBON_CREDIT.PRICE_MIN_BRL);
+    assert.equal(price.max, 2 * CONFIG.CARBON_CREDIT.PRICE_MAX_BRL);
+    assert.equal(price.average, (price.min + price.max) / 2);
+    assert.equal(price.currency, 'BRL');
+    assert.equal(price.asOf, CONFIG.CARBON_CREDIT.PRICE_AS_OF);
+  });
+
+  test.it('returns zeros for negative or non-numeric credits', function () {
+    var price = Calculator.estimateCreditPrice(-1);
+    assert.equal(price.min, 0);
+    assert.equal(price.max, 0);
+    assert.equal(price.average, 0);
+  });
+
+  test.it('falls back to BRL for currencies without a rate', function () {
+    assert.equal(Calculator.estimateCreditPrice(1, 'XYZ').currency, 'BRL');
+  });
+});
+
+test.describe('calculateEquivalences', function () {
+  test.it('expresses the emission with the first relatable items', function () {
+    var items = Calculator.calculateEquivalences(44);
+    assert.deepEqual(items.map(function (item) { return item.key; }), ['arvores', 'carro', 'energia']);
+    assert.equal(items[0].value, 2);
+    assert.equal(items[1].value, 366.67);
+    assert.equal(items[1].kind, 'distance');
+  });
+
+  test.it('skips items below MIN_VALUE units', function () {
+    var items = Calculator.calculateEquivalences(5);
+    assert.deepEqual(items.map(function (item) { return item.key; }), ['carro', 'energia', 'smartphone']);
+  });
+
+  test.it('fills up to MIN_ITEMS with the largest small values', function () {
+    var items = Calculator.calculateEquivalences(0.01);
+    assert.equal(items.length, CONFIG.EQUIVALENCES.MIN_ITEMS);
+    assert.deepEqual(items.map(function (item) { return item.key; }), ['smartphone', 'energia']);
+  });
+
+  test.it('returns an empty list for zero, negative or non-numeric emissions', function (t) {
+    quietErrors(t);
+    assert.deepEqual(Calculator.calculateEquivalences(0), []);
+    assert.deepEqual(Calculator.calculateEquivalences(-1), []);
+    assert.deepEqual(Calculator.calculateEquivalences('x'), []);
+  });
+});
+
+test.describe('calculateLifecycle', function () {
+  test.it('adds upstream and embodied emissions to the direct one', function () {
+    var lifecycle = CONFIG.TRANSPORT_MODES.carro.lifecycle;
+    var result = Calculator.calculateLifecycle(100, 'carro');
+    assert.equal(result.direct, 12);
+    assert.equal(result.upstream, Math.round(12 * CONFIG.FUELS[lifecycle.fuel].upstreamRatio * 100) / 100);
+    assert.equal(result.embodied, Math.round(100 * lifecycle.embodied * 100) / 100);
+    assert.equal(result.total, Math.round((result.direct + result.upstream + result.embodied) * 100) / 100);
+  });
+
+  test.it('takes the upstream ratio from the fuel of the profile', function () {
+    var diesel = Calculator.calculateLifecycle(100, 'carro', 'diesel');
+    var etanol = Calculator.calculateLifecycle(100, 'carro', 'etanol');
+    assert.equal(diesel.direct, 26);
+    assert.equal(diesel.upstream, Math.round(26 * CONFIG.FUELS.diesel.upstreamRatio * 100) / 100);
+    assert.equal(etanol.upstream, Math.round(etanol.direct * CONFIG.FUELS.etanol.upstreamRatio * 100) / 100);
+  });
+
+  test.it('counts grid electricity as upstream energy, with no direct emission', function () {
+    var energy = Calculator.calculateEmission(100, 'carro', 'eletrico');
+    var ev = Calculator.calculateLifecycle(100, 'carro', 'eletrico');
+    assert.equal(ev.direct, 0);
+    assert.equal(ev.upstream, Math.round(energy * (1 + CONFIG.FUELS.eletrico.upstreamRatio) * 100) / 100);
+
+    var subway = Calculator.calculateLifecycle(100, 'metro');
+    assert.equal(subway.direct, 0);
+    assert.ok(subway.upstream > Calculator.calculateEmission(100, 'metro'));
+  });
+
+  test.it('gives zero-emission modes an embodied footprint', function () {
+    var result = Calculator.calculateLifecycle(10, 'bicicleta');
+    assert.equal(result.direct, 0);
+    assert.ok(result.embodied > 0);
+  });
+
+  test.it('only counts the direct emission of modes without lifecycle data', function (t) {
+    CONFIG.registerMode('teleferico', { label: 'teleférico', factor: 0.02 });
+    t.after(function () {
+      delete CONFIG.TRANSPORT_MODES.teleferico;
+      delete CONFIG.EMISSION_FACTORS.teleferico;
+    });
+    assert.deepEqual(Calculator.calculateLifecycle(10, 'teleferico'), { direct: 0.2, upstream: 0, embodied: 0, total: 0.2 });
+  });
+
+  test.it('returns zeros for invalid input', function (t) {
+    quietErrors(t);
+    assert.deepEqual(Calculator.calculateLifecycle(-1, 'carro'), { direct: 0, upstream: 0, embodied: 0, total: 0 });
+  });
+
+  test.it('is reported per mode by calculateAllModes, against the car lifecycle', function () {
+    var modes = Calculator.calculateAllModes(100);
+    var car = modes.filter(function (item) { return item.mode === 'carro'; })[0];
+    assert.equal(car.lifecycle.total, Calculator.calculateLifecycle(100, 'carro').total);
+    assert.equal(car.lifecycle.percentageVsCar, 100);
+    modes.forEach(function (item) {
+      assert.ok(item.lifecycle.total >= item.emission, item.mode);
+    });
+  });
+});
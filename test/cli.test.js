@@ -0,0 +1,70 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var cli = require('../bin/co2calc.js');
+
+// Runs the CLI and captures its output
+function run(argv) {
+  var io = { out: '', err: '' };
+  var code = cli.run(argv, {
+    stdout: { write: function (s) { io.out += s; } },
+    stderr: { write: function (s) { io.err += s; } }
+  });
+  io.code = code;
+  return io;
+}
+
+test.describe('co2calc', function () {
+  test.it('calculates a single trip', function () {
+    var r = run(['--from', 'São Paulo, SP', '--to', 'Campinas, SP', '--mode', 'carro']);
+    assert.equal(r.code, cli.EXIT.OK);
+    assert.match(r.out, /Emissão: 11,40 kg CO₂/);
+  });
+
+  test.it('prints JSON with credits and comparison', function () {
+    var r = run(['-f', 'são paulo, sp', '-t', 'CAMPINAS, SP', '--json', '--credits', '--compare']);
+    var result = JSON.parse(r.out);
+    assert.equal(result.distance, 95);
+    assert.equal(result.mode, 'carro');
+    assert.equal(result.credits, 0.0114);
+    assert.equal(typeof result.price.average, 'number');
+    assert.equal(result.comparison[0].mode, 'bicicleta');
+  });
+
+  test.it('exits with UNKNOWN_MODE for unknown modes', function () {
+    var r = run(['--from', 'São Paulo, SP', '--to', 'Campinas, SP', '--mode', 'foguete']);
+    assert.equal(r.code, cli.EXIT.UNKNOWN_MODE);
+    assert.match(r.err, /foguete/);
+  });
+
+  test.it('exits with UNKNOWN_CITY for unknown cities', function () {
+    var r = run(['--from', 'Atlântida, XX', '--to', 'Campinas, SP']);
+    assert.equal(r.code, cli.EXIT.UNKNOWN_CITY);
+    assert.match(r.err, /Atlântida, XX/);
+  });
+
+  test.it('exits with USAGE for missing or unknown options', function () {
+    assert.equal(run(['--from', 'São Paulo, SP']).code, cli.EXIT.USAGE);
+    assert.equal(run(['--nope']).code, cli.EXIT.USAGE);
+    assert.equal(run(['--batch', '/nonexistent/trips.csv']).code, cli.EXIT.USAGE);
+  });
+
+  test.it('calculates a CSV batch and reports invalid rows', function (t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'co2calc-'));
+    t.after(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+    var file = path.join(dir, 'trips.csv');
+    fs.writeFileSync(file, 'origem;destino;modo;distancia\nSão Paulo, SP;Campinas, SP;onibus;\nRecife, PE;Olinda, PE;carro;10\nA;B;foguete;5\n');
+
+    var r = run(['--batch', file, '--json']);
+    var report = JSON.parse(r.out);
+    assert.equal(r.code, cli.EXIT.BATCH_ERRORS);
+    assert.equal(report.trips.length, 2);
+    assert.equal(report.trips[0].emission, 8.46);
+    assert.equal(report.trips[1].emission, 1.2);
+    assert.deepEqual(report.errors, [{ row: 4, code: 'UNKNOWN_MODE', params: { mode: 'foguete' } }]);
+    assert.match(r.err, /Linha 4: Meio de transporte desconhecido: "foguete"\./);
+  });
+});
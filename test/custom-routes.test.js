@@ -0,0 +1,99 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var CONFIG = require('../js/config.js');
+var RoutesDB = require('../js/routes-data.js');
+var CustomRoutes = require('../js/custom-routes.js');
+
+// Minimal localStorage for the module (it reads window.localStorage)
+function fakeStorage() {
+  var items = {};
+  return {
+    getItem: function (key) { return items.hasOwnProperty(key) ? items[key] : null; },
+    setItem: function (key, value) { items[key] = String(value); },
+    removeItem: function (key) { delete items[key]; }
+  };
+}
+
+test.describe('CustomRoutes', function () {
+  test.beforeEach(function () {
+    global.window = { localStorage: fakeStorage() };
+  });
+
+  test.afterEach(function () {
+    global.window = { localStorage: fakeStorage() };
+    CustomRoutes.clear();
+    delete global.window;
+  });
+
+  test.it('saves routes with canonical city names, newest first', function () {
+    var first = CustomRoutes.save({ origin: 'sao paulo', destination: 'Campinas, SP', distanceKM: 99.44 });
+    assert.equal(first.origin, 'São Paulo, SP');
+    assert.equal(first.distanceKM, 99.4);
+    CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 32 });
+
+    var all = CustomRoutes.getAll();
+    assert.deepEqual(all.map(function (r) { return r.origin; }), ['Ilhéus, BA', 'São Paulo, SP']);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem(CONFIG.CUSTOM_ROUTES.STORAGE_KEY)), all);
+  });
+
+  test.it('rejects missing or equal cities and non-positive distances', function (t) {
+    t.mock.method(console, 'error', function () {});
+    assert.equal(CustomRoutes.save({ origin: 'Ilhéus, BA', destination: '', distanceKM: 10 }), null);
+    assert.equal(CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'ILHEUS, BA', distanceKM: 10 }), null);
+    assert.equal(CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 0 }), null);
+    assert.deepEqual(CustomRoutes.getAll(), []);
+  });
+
+  test.it('replaces the route between the same pair in either direction, accents and case aside', function () {
+    var stored = CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 32 });
+    var replaced = CustomRoutes.save({ origin: 'itabuna, ba', destination: 'Ilheus, BA', distanceKM: 35 });
+
+    assert.equal(replaced.id, stored.id);
+    assert.equal(CustomRoutes.getAll().length, 1);
+    assert.equal(CustomRoutes.getAll()[0].distanceKM, 35);
+  });
+
+  test.it('updates a route and drops the one it now duplicates', function () {
+    var a = CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 32 });
+    var b = CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Uruçuca, BA', distanceKM: 40 });
+
+    assert.equal(CustomRoutes.update(a.id, { distanceKM: 30 }).distanceKM, 30);
+    assert.equal(CustomRoutes.update('missing', { distanceKM: 30 }), null);
+
+    CustomRoutes.update(b.id, { destination: 'ITABUNA, BA' });
+    var all = CustomRoutes.getAll();
+    assert.deepEqual(all.map(function (r) { return r.id; }), [b.id]);
+  });
+
+  test.it('removes and clears routes', function () {
+    var a = CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 32 });
+    CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Uruçuca, BA', distanceKM: 40 });
+
+    assert.equal(CustomRoutes.remove(a.id), true);
+    assert.equal(CustomRoutes.remove(a.id), false);
+    assert.equal(CustomRoutes.getAll().length, 1);
+    CustomRoutes.clear();
+    assert.deepEqual(CustomRoutes.getAll(), []);
+  });
+
+  test.it('feeds RoutesDB on every change and on sync', function () {
+    CustomRoutes.save({ origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 90 });
+    var route = RoutesDB.findRoute('Campinas, SP', 'São Paulo, SP');
+    assert.equal(route.source, 'custom');
+    assert.equal(route.distanceKM, 90);
+    assert.equal(route.overrides, 95);
+
+    RoutesDB.setCustomRoutes([]);
+    assert.equal(RoutesDB.findRoute('São Paulo, SP', 'Campinas, SP').source, 'catalogued');
+    assert.equal(CustomRoutes.sync(), 1);
+    assert.equal(RoutesDB.findRoute('São Paulo, SP', 'Campinas, SP').distanceKM, 90);
+  });
+
+  test.it('keeps routes in memory when localStorage is unavailable', function (t) {
+    t.mock.method(console, 'error', function () {});
+    delete global.window;
+    var stored = CustomRoutes.save({ origin: 'Ilhéus, BA', destination: 'Itabuna, BA', distanceKM: 32 });
+    assert.deepEqual(CustomRoutes.getAll(), [stored]);
+  });
+});
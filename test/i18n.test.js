@@ -0,0 +1,134 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var CONFIG = require('../js/config.js');
+var I18n = require('../js/i18n.js');
+
+test.describe('I18n', function () {
+  test.afterEach(function () {
+    I18n.setLanguage('pt-BR');
+  });
+
+  test.it('defaults to pt-BR and fills placeholders', function () {
+    assert.equal(I18n.getLanguage(), 'pt-BR');
+    assert.equal(I18n.getLocale(), 'pt-BR');
+    assert.equal(I18n.t('results.legsCount', { count: 3 }), '3 trechos');
+  });
+
+  test.it('switches language and locale', function () {
+    assert.equal(I18n.setLanguage('en'), true);
+    assert.equal(I18n.getLocale(), 'en-US');
+    assert.equal(I18n.t('results.vsCar', { percent: '12.5' }), '12.5% vs car');
+    assert.equal(I18n.setLanguage('es'), true);
+    assert.equal(I18n.t('credits.range', { range: 'x' }), 'Rango: x');
+  });
+
+  test.it('rejects unsupported languages', function () {
+    assert.equal(I18n.setLanguage('fr'), false);
+    assert.equal(I18n.getLanguage(), 'pt-BR');
+  });
+
+  test.it('falls back to pt-BR, then to the key', function () {
+    I18n.setLanguage('en');
+    I18n.MESSAGES['pt-BR']['test.only'] = 'só em português';
+    try {
+      assert.equal(I18n.t('test.only'), 'só em português');
+    } finally {
+      delete I18n.MESSAGES['pt-BR']['test.only'];
+    }
+    assert.equal(I18n.t('missing.key'), 'missing.key');
+  });
+
+  test.it('translates mode labels, keeping CONFIG labels in pt-BR', function () {
+    assert.equal(I18n.modeLabel('caminhao'), 'caminhão');
+    I18n.setLanguage('en');
+    assert.equal(I18n.modeLabel('caminhao'), 'truck');
+    assert.equal(I18n.modeLabel('hovercraft'), 'hovercraft');
+  });
+
+  test.it('every language has the same keys as pt-BR', function () {
+    var base = Object.keys(I18n.MESSAGES['pt-BR']).sort();
+    Object.keys(I18n.LANGUAGES).forEach(function (code) {
+      var keys = Object.keys(I18n.MESSAGES[code]).filter(function (key) { return !/^(mode|equivalence|project|band|vehicle|reference|currency)\./.test(key); });
+      assert.deepEqual(keys.sort(), base, code);
+    });
+  });
+
+  test.it('translates every built-in transport mode', function () {
+    ['en', 'es'].forEach(function (code) {
+      Object.keys(CONFIG.TRANSPORT_MODES).forEach(function (mode) {
+        assert.equal(typeof I18n.MESSAGES[code]['mode.' + mode], 'string', code + ' ' + mode);
+      });
+    });
+  });
+
+  test.it('translates every built-in offset project', function () {
+    ['en', 'es'].forEach(function (code) {
+      Object.keys(CONFIG.OFFSET.PROJECTS).forEach(function (id) {
+        assert.equal(typeof I18n.MESSAGES[code]['project.' + id + '.label'], 'string', code + ' ' + id);
+        assert.equal(typeof I18n.MESSAGES[code]['project.' + id + '.description'], 'string', code + ' ' + id);
+      });
+    });
+  });
+
+  test.it('translates history, checkout and report strings', function () {
+    I18n.setLanguage('es');
+    assert.equal(I18n.t('history.title'), 'Historial de viajes');
+    assert.equal(I18n.t('report.methodology'), 'Metodología');
+    assert.equal(I18n.projectText('redd', 'label'), 'Conservación forestal (REDD+)');
+    CONFIG.REPORT.METHODOLOGY.concat(CONFIG.REPORT.FOOTNOTES).forEach(function (key) {
+      assert.notEqual(I18n.t(key), key);
+    });
+    I18n.setLanguage('pt-BR');
+    assert.equal(I18n.projectText('redd', 'label'), CONFIG.OFFSET.PROJECTS.redd.label);
+  });
+
+  test.it('translates every built-in band, vehicle profile, factor source and currency', function () {
+    ['en', 'es'].forEach(function (code) {
+      var messages = I18n.MESSAGES[code];
+      Object.keys(CONFIG.TRANSPORT_MODES).forEach(function (mode) {
+        var meta = CONFIG.TRANSPORT_MODES[mode];
+        assert.equal(typeof messages['reference.' + mode], 'string', code + ' ' + mode);
+        (meta.bands || []).forEach(function (band, i) {
+          assert.equal(typeof messages['band.' + mode + '.' + i], 'string', code + ' ' + mode + ' band ' + i);
+        });
+        Object.keys(CONFIG.VEHICLE_PROFILES[mode] || {}).forEach(function (id) {
+          assert.equal(typeof messages['vehicle.' + mode + '.' + id], 'string', code + ' ' + mode + ' ' + id);
+        });
+      });
+      assert.equal(typeof messages['reference.fuels'], 'string', code);
+      assert.equal(typeof messages['reference.lifecycle'], 'string', code);
+      Object.keys(CONFIG.PRICES.CURRENCIES).forEach(function (currency) {
+        assert.equal(typeof messages['currency.' + currency], 'string', code + ' ' + currency);
+      });
+    });
+  });
+
+  test.it('falls back to the CONFIG text for bands, profiles, sources and currencies', function () {
+    assert.equal(I18n.bandLabel('aviao', 'voo longo'), 'voo longo');
+    assert.equal(I18n.profileLabel('carro', 'diesel'), 'SUV/picape diesel');
+    assert.equal(I18n.referenceText('fuels'), CONFIG.FUELS_SOURCE);
+    assert.equal(I18n.referenceText('lifecycle'), CONFIG.LIFECYCLE_SOURCE);
+    assert.equal(I18n.currencyLabel('USD'), 'Dólar (US$)');
+    I18n.setLanguage('en');
+    assert.equal(I18n.bandLabel('aviao', 'voo longo'), 'long-haul flight');
+    assert.equal(I18n.bandLabel('aviao', 'desconhecida'), 'desconhecida');
+    assert.equal(I18n.profileLabel('carro', 'diesel'), 'diesel SUV/pickup');
+    assert.equal(I18n.profileLabel('carro', 'foguete'), '');
+    assert.equal(I18n.referenceText('carro'), 'Passenger car, fleet average (petrol and flex)');
+    assert.equal(I18n.currencyLabel('USD'), 'Dollar (US$)');
+    assert.equal(I18n.currencyLabel('XYZ'), 'XYZ');
+  });
+
+  test.it('has a message for every import and checkout code', function () {
+    ['EMPTY_FILE', 'MISSING_COLUMNS', 'MISSING_CITY', 'UNKNOWN_MODE', 'NO_ROUTE', 'INVALID_DISTANCE'].forEach(function (code) {
+      assert.notEqual(I18n.t('import.error.' + code), 'import.error.' + code);
+    });
+    ['NO_ENDPOINT', 'PROVIDER_REJECTED', 'EMPTY_ORDER', 'UNKNOWN_PROVIDER'].forEach(function (code) {
+      assert.notEqual(I18n.t('checkout.error.' + code), 'checkout.error.' + code);
+    });
+    I18n.setLanguage('es');
+    assert.equal(I18n.t('import.error.UNKNOWN_MODE', { mode: 'foguete' }), 'Medio de transporte desconocido: "foguete".');
+    assert.equal(I18n.t('checkout.notice.MOCK_ORDER'), 'Pedido simulado — no se realizó ningún cobro.');
+  });
+});
@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+import core, { CONFIG, Calculator, RoutesDB, Validation } from '../js/index.mjs';
+
+var require = createRequire(import.meta.url);
+
+test('ES module entry exposes the same objects as CommonJS', function () {
+  var cjs = require('../js/index.js');
+  assert.equal(CONFIG, cjs.CONFIG);
+  assert.equal(Calculator, cjs.Calculator);
+  assert.equal(RoutesDB, cjs.RoutesDB);
+  assert.equal(Validation, cjs.Validation);
+  assert.equal(core, cjs);
+});
+
+test('modules work without browser globals', function () {
+  assert.equal(typeof globalThis.CONFIG, 'undefined');
+  var km = RoutesDB.findDistance('São Paulo, SP', 'Campinas, SP');
+  assert.equal(Calculator.calculateEmission(km, 'carro'), 11.4);
+});
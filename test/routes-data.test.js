@@ -0,0 +1,255 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var RoutesDB = require('../js/routes-data.js');
+
+test.describe('RoutesDB.findDistance', function () {
+  test.it('finds catalogued routes in both directions', function () {
+    assert.equal(RoutesDB.findDistance('São Paulo, SP', 'Rio de Janeiro, RJ'), 430);
+    assert.equal(RoutesDB.findDistance('Rio de Janeiro, RJ', 'São Paulo, SP'), 430);
+  });
+
+  test.it('is case-insensitive and ignores surrounding spaces', function () {
+    assert.equal(RoutesDB.findDistance('  são paulo, sp ', 'CAMPINAS, SP'), 95);
+  });
+
+  test.it('chains routes through intermediate cities', function () {
+    var route = RoutesDB.findRoute('Campinas, SP', 'Rio de Janeiro, RJ');
+    assert.equal(route.source, 'catalogued');
+    assert.deepEqual(route.via, ['São Paulo, SP']);
+    assert.equal(RoutesDB.findDistance('Campinas, SP', 'Rio de Janeiro, RJ'), 95 + 430);
+  });
+
+  test.it('returns null for unknown cities and empty input', function () {
+    assert.equal(RoutesDB.findDistance('Atlântida, XX', 'São Paulo, SP'), null);
+    assert.equal(RoutesDB.findDistance('', 'São Paulo, SP'), null);
+    assert.equal(RoutesDB.findDistance(null, undefined), null);
+  });
+
+  test.it('returns null when origin and destination are the same city', function () {
+    assert.equal(RoutesDB.findDistance('São Paulo, SP', 'são paulo, sp'), null);
+  });
+});
+
+test.describe('RoutesDB.getAllCities', function () {
+  test.it('returns unique, sorted city names', function () {
+    var cities = RoutesDB.getAllCities();
+    assert.equal(new Set(cities).size, cities.length);
+    assert.deepEqual(cities.slice().sort(function (a, b) { return a.localeCompare(b, 'pt-BR'); }), cities);
+  });
+
+  test.it('lists cities that only have coordinates', function () {
+    RoutesDB.cities['Ilhabela, SP'] = { lat: -23.78, lon: -45.36 };
+    try {
+      assert.ok(RoutesDB.getAllCities().indexOf('Ilhabela, SP') !== -1);
+      assert.equal(RoutesDB.findDistance('São Paulo, SP', 'Ilhabela, SP') > 0, true);
+    } finally {
+      delete RoutesDB.cities['Ilhabela, SP'];
+    }
+  });
+});
+
+test.describe('RoutesDB.hasCity', function () {
+  test.it('matches known cities case- and accent-insensitively', function () {
+    assert.equal(RoutesDB.hasCity(' CAMPINAS, sp'), true);
+    assert.equal(RoutesDB.hasCity('Goiania'), true);
+    assert.equal(RoutesDB.hasCity('Atlântida, XX'), false);
+    assert.equal(RoutesDB.hasCity(''), false);
+  });
+});
+
+test.describe('RoutesDB.resolveCity', function () {
+  test.it('ignores accents, punctuation and the state separator', function () {
+    assert.equal(RoutesDB.resolveCity('Sao Paulo, SP'), 'São Paulo, SP');
+    assert.equal(RoutesDB.resolveCity('sao paulo sp'), 'São Paulo, SP');
+    assert.equal(RoutesDB.findDistance('Sao Paulo', 'rio de janeiro rj'), 430);
+  });
+
+  test.it('accepts the city without its state when unambiguous', function () {
+    assert.equal(RoutesDB.resolveCity('Florianopolis'), 'Florianópolis, SC');
+
+    RoutesDB.cities['Campinas, GO'] = { lat: -16.7, lon: -49.3 };
+    try {
+      assert.equal(RoutesDB.resolveCity('Campinas'), null);
+      assert.equal(RoutesDB.resolveCity('campinas go'), 'Campinas, GO');
+    } finally {
+      delete RoutesDB.cities['Campinas, GO'];
+    }
+  });
+
+  test.it('does not turn typos or uncatalogued cities into other cities', function () {
+    assert.equal(RoutesDB.resolveCity('Sao Pualo'), null);
+    assert.equal(RoutesDB.resolveCity('Rio'), null);
+    assert.equal(RoutesDB.resolveCity('Atlântida, XX'), null);
+    // Palmares, PE is a real city, not Palmas, TO
+    assert.equal(RoutesDB.hasCity('Palmares'), false);
+    assert.equal(RoutesDB.findRoute('São Paulo, SP', 'Palmares'), null);
+    assert.equal(RoutesDB.searchCities('Recfie')[0].name, 'Recife, PE');
+  });
+});
+
+test.describe('RoutesDB.searchCities', function () {
+  test.it('ranks prefix matches before word and typo matches', function () {
+    var names = RoutesDB.searchCities('rio').map(function (m) { return m.name; });
+    assert.deepEqual(names.slice(0, 2), ['Rio Branco, AC', 'Rio de Janeiro, RJ']);
+    assert.ok(names.indexOf('São José do Rio Preto, SP') > 0);
+  });
+
+  test.it('returns the city and state separately and honours the limit', function () {
+    var matches = RoutesDB.searchCities('campo', 1);
+    assert.equal(matches.length, 1);
+    assert.deepEqual(matches[0], { name: 'Campo Grande, MS', city: 'Campo Grande', state: 'MS', score: 1 });
+    assert.deepEqual(RoutesDB.searchCities(''), []);
+  });
+});
+
+test.describe('RoutesDB dataset', function () {
+  var CAPITALS = ['Rio Branco, AC', 'Maceió, AL', 'Macapá, AP', 'Manaus, AM', 'Salvador, BA', 'Fortaleza, CE',
+    'Brasília, DF', 'Vitória, ES', 'Goiânia, GO', 'São Luís, MA', 'Cuiabá, MT', 'Campo Grande, MS',
+    'Belo Horizonte, MG', 'Belém, PA', 'João Pessoa, PB', 'Curitiba, PR', 'Recife, PE', 'Teresina, PI',
+    'Rio de Janeiro, RJ', 'Natal, RN', 'Porto Alegre, RS', 'Porto Velho, RO', 'Boa Vista, RR',
+    'Florianópolis, SC', 'São Paulo, SP', 'Aracaju, SE', 'Palmas, TO'];
+
+  // Minimal valid dataset for validator tests
+  function dataset(routes) {
+    return {
+      version: 'test',
+      cities: {
+        'São Paulo, SP': { lat: -23.55, lon: -46.63 },
+        'Campinas, SP': { lat: -22.91, lon: -47.06 },
+        'Santos, SP': { lat: -23.96, lon: -46.33 }
+      },
+      routes: routes
+    };
+  }
+
+  function codes(data) {
+    return RoutesDB.validateDataset(data).errors.map(function (e) { return e.code; });
+  }
+
+  test.it('data/routes.json is valid and versioned', function () {
+    var data = require('../data/routes.json');
+    assert.deepEqual(RoutesDB.validateDataset(data).errors, []);
+    assert.equal(RoutesDB.getInfo().version, data.version);
+    assert.equal(RoutesDB.getInfo().routes, data.routes.length);
+  });
+
+  test.it('connects every pair of state capitals by surveyed roads of a plausible length', function () {
+    // Great-circle distance; roads are longer and Macapá is only reached by
+    // river from Belém, so allow up to three times as much
+    var greatCircle = function (a, b) {
+      var rad = Math.PI / 180;
+      var p = RoutesDB.cities[a];
+      var q = RoutesDB.cities[b];
+      var h = Math.pow(Math.sin((q.lat - p.lat) * rad / 2), 2) +
+        Math.cos(p.lat * rad) * Math.cos(q.lat * rad) * Math.pow(Math.sin((q.lon - p.lon) * rad / 2), 2);
+      return 2 * 6371 * Math.asin(Math.sqrt(h));
+    };
+    for (var i = 0; i < CAPITALS.length; i++) {
+      for (var j = i + 1; j < CAPITALS.length; j++) {
+        var pair = CAPITALS[i] + ' → ' + CAPITALS[j];
+        var route = RoutesDB.findRoute(CAPITALS[i], CAPITALS[j]);
+        var direct = greatCircle(CAPITALS[i], CAPITALS[j]);
+        assert.equal(route.source, 'catalogued', pair);
+        assert.ok(route.distanceKM >= direct && route.distanceKM <= 3 * direct, pair + ': ' + route.distanceKM + ' km');
+      }
+    }
+
+    assert.equal(RoutesDB.findRoute('Palmas, TO', 'Brasília, DF').distanceKM, 973);
+    assert.deepEqual(RoutesDB.findRoute('Manaus, AM', 'Porto Alegre, RS').via, ['Porto Velho, RO', 'Cuiabá, MT', 'Campo Grande, MS', 'Curitiba, PR']);
+  });
+
+  test.it('prefers surveyed chains over estimated distances', function (t) {
+    var sp = RoutesDB.findRoute('São Paulo, SP', 'Florianópolis, SC');
+    assert.equal(sp.distanceKM, 708);
+    assert.equal(sp.source, 'catalogued');
+    assert.deepEqual(sp.via, ['Curitiba, PR']);
+    var poa = RoutesDB.findRoute('Porto Alegre, RS', 'Rio de Janeiro, RJ');
+    assert.equal(poa.distanceKM, 1548);
+    assert.equal(poa.source, 'catalogued');
+
+    t.after(function () { RoutesDB.setDataset(require('../data/routes.json')); });
+    var data = dataset([
+      { origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 },
+      { origin: 'Campinas, SP', destination: 'Santos, SP', distanceKM: 170 },
+      { origin: 'São Paulo, SP', destination: 'Santos, SP', distanceKM: 60, estimated: true }
+    ]);
+    assert.equal(RoutesDB.setDataset(data).valid, true);
+    assert.equal(RoutesDB.findRoute('São Paulo, SP', 'Santos, SP').distanceKM, 265);
+    data.routes.splice(1, 1);
+    RoutesDB.setDataset(data);
+    assert.equal(RoutesDB.findRoute('Campinas, SP', 'Santos, SP').source, 'estimated');
+  });
+
+  test.it('rejects duplicates, asymmetric conflicts and non-positive distances', function () {
+    assert.deepEqual(codes(dataset([{ origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 }])), []);
+    assert.deepEqual(codes(dataset([
+      { origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 },
+      { origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 },
+      { origin: 'Campinas, SP', destination: 'São Paulo, SP', distanceKM: 95 }
+    ])), ['DUPLICATE_ROUTE', 'DUPLICATE_ROUTE']);
+    assert.deepEqual(codes(dataset([
+      { origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: 95 },
+      { origin: 'Campinas, SP', destination: 'São Paulo, SP', distanceKM: 99 }
+    ])), ['ASYMMETRIC_ROUTE']);
+    assert.deepEqual(codes(dataset([
+      { origin: 'São Paulo, SP', destination: 'Santos, SP', distanceKM: 0 },
+      { origin: 'Campinas, SP', destination: 'Santos, SP', distanceKM: -5 }
+    ])), ['INVALID_DISTANCE', 'INVALID_DISTANCE']);
+  });
+
+  test.it('rejects malformed datasets', function () {
+    assert.deepEqual(codes(null), ['INVALID_DATASET']);
+    var data = dataset([
+      { origin: 'São Paulo', destination: 'Campinas, SP', distanceKM: 95 },
+      { origin: 'Santos, SP', destination: 'Santos, SP', distanceKM: 1 },
+      { origin: 'São Paulo, SP', destination: 'Atlântida, XX', distanceKM: 10 }
+    ]);
+    delete data.version;
+    assert.deepEqual(codes(data), ['MISSING_VERSION', 'INVALID_ROUTE', 'SAME_CITY', 'UNKNOWN_CITY']);
+  });
+
+  test.it('setDataset keeps the loaded data when the new one is invalid', function () {
+    var before = RoutesDB.routes.length;
+    var result = RoutesDB.setDataset(dataset([{ origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKM: -1 }]));
+    assert.equal(result.valid, false);
+    assert.equal(RoutesDB.routes.length, before);
+  });
+});
+
+test.describe('RoutesDB.setCustomRoutes', function () {
+  test.afterEach(function () {
+    RoutesDB.setCustomRoutes([]);
+  });
+
+  test.it('takes precedence over the dataset and reports what it replaces', function () {
+    RoutesDB.setCustomRoutes([{ id: 'a', origin: 'Campinas, SP', destination: 'São Paulo, SP', distanceKM: 90 }]);
+    var route = RoutesDB.findRoute('são paulo', 'campinas');
+    assert.equal(route.source, 'custom');
+    assert.equal(route.distanceKM, 90);
+    assert.equal(route.overrides, 95);
+    assert.deepEqual(route.path, ['São Paulo, SP', 'Campinas, SP']);
+  });
+
+  test.it('adds new cities to lookups and chained routes', function () {
+    assert.equal(RoutesDB.setCustomRoutes([{ id: 'b', origin: 'Ubatuba, SP', destination: 'São Paulo, SP', distanceKM: 230 }]), 1);
+    assert.ok(RoutesDB.getAllCities().indexOf('Ubatuba, SP') !== -1);
+    assert.equal(RoutesDB.resolveCity('ubatuba'), 'Ubatuba, SP');
+    assert.equal(RoutesDB.findRoute('Ubatuba, SP', 'São Paulo, SP').overrides, null);
+
+    var chained = RoutesDB.findRoute('Ubatuba, SP', 'Campinas, SP');
+    assert.equal(chained.source, 'custom');
+    assert.equal(chained.distanceKM, 230 + 95);
+  });
+
+  test.it('ignores invalid entries and can be cleared', function () {
+    assert.equal(RoutesDB.setCustomRoutes([
+      { origin: 'Santos, SP', destination: 'santos, sp', distanceKM: 5 },
+      { origin: 'Santos, SP', destination: 'São Paulo, SP', distanceKM: 0 },
+      { origin: 'Santos, SP', destination: 'São Paulo, SP', distanceKM: 'x' }
+    ]), 0);
+    RoutesDB.setCustomRoutes([{ origin: 'Campinas, SP', destination: 'São Paulo, SP', distanceKM: 90 }]);
+    RoutesDB.setCustomRoutes(null);
+    assert.equal(RoutesDB.findRoute('São Paulo, SP', 'Campinas, SP').source, 'catalogued');
+  });
+});
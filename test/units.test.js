@@ -0,0 +1,53 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var Units = require('../js/units.js');
+
+test.describe('Units', function () {
+  test.afterEach(function () {
+    Units.setSystem('metric');
+  });
+
+  test.it('defaults to the metric system', function () {
+    assert.equal(Units.getSystem(), 'metric');
+    assert.equal(Units.distanceUnit(), 'km');
+    assert.equal(Units.massUnit(), 'kg');
+    assert.equal(Units.toKm(430), 430);
+    assert.equal(Units.fromKg(12.5), 12.5);
+  });
+
+  test.it('converts distances and masses in the imperial system', function () {
+    assert.equal(Units.setSystem('imperial'), true);
+    assert.equal(Units.distanceUnit(), 'mi');
+    assert.equal(Units.massUnit(), 'lb');
+    assert.equal(Units.toKm(100), 160.9344);
+    assert.ok(Math.abs(Units.fromKm(160.9344) - 100) < 1e-9);
+    assert.ok(Math.abs(Units.fromKg(1) - 2.2046) < 1e-4);
+  });
+
+  test.it('accepts an explicit system in conversions', function () {
+    assert.equal(Units.toKm(10, 'imperial'), 16.09344);
+    Units.setSystem('imperial');
+    assert.equal(Units.fromKm(10, 'metric'), 10);
+  });
+
+  test.it('rejects unsupported systems', function () {
+    assert.equal(Units.setSystem('nautical'), false);
+    assert.equal(Units.getSystem(), 'metric');
+  });
+
+  test.it('shows masses in tonnes from 1000 kg (metric) and in lb (imperial)', function () {
+    assert.deepEqual(Units.mass(850), { value: 850, unit: 'kg' });
+    assert.deepEqual(Units.mass(2500), { value: 2.5, unit: 't' });
+    var pounds = Units.mass(2500, 'imperial');
+    assert.equal(pounds.unit, 'lb');
+    assert.ok(Math.abs(pounds.value - 5511.56) < 0.01);
+  });
+
+  test.it('converts emission factors', function () {
+    assert.equal(Units.factor(0.12), 0.12);
+    assert.ok(Math.abs(Units.factor(0.12, 'imperial') - 0.4258) < 1e-4);
+    assert.deepEqual(Units.cargoFactor(0.062), { value: 62, unit: 'g/t·km' });
+    assert.equal(Units.cargoFactor(0.062, 'imperial').unit, 'lb/t·mi');
+  });
+});
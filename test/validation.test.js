@@ -0,0 +1,58 @@
+var test = require('node:test');
+var assert = require('node:assert/strict');
+
+var Validation = require('../js/validation.js');
+
+test.describe('createError', function () {
+  test.it('builds a typed error with pt-BR and English messages', function () {
+    var error = Validation.createError('UNKNOWN_MODE', 'mode', { mode: 'foguete' });
+    assert.equal(error.code, 'UNKNOWN_MODE');
+    assert.equal(error.field, 'mode');
+    assert.equal(error.message, 'Meio de transporte desconhecido: "foguete".');
+    assert.equal(error.messages.en, 'Unknown transport mode: "foguete".');
+  });
+});
+
+test.describe('validators', function () {
+  test.it('validateDistance', function () {
+    assert.deepEqual(Validation.validateDistance(12.5), []);
+    assert.equal(Validation.validateDistance('').length, 1);
+    assert.equal(Validation.validateDistance('')[0].code, 'REQUIRED');
+    assert.equal(Validation.validateDistance(NaN)[0].code, 'INVALID_NUMBER');
+    assert.equal(Validation.validateDistance(0)[0].code, 'INVALID_DISTANCE');
+    assert.equal(Validation.validateDistance(-3, 'distancia')[0].field, 'distancia');
+  });
+
+  test.it('validateMode and validateProfile', function () {
+    assert.deepEqual(Validation.validateMode(' Carro '), []);
+    assert.equal(Validation.validateMode()[0].code, 'REQUIRED');
+    assert.equal(Validation.validateMode('foguete')[0].code, 'UNKNOWN_MODE');
+    assert.deepEqual(Validation.validateProfile('carro', 'diesel'), []);
+    assert.deepEqual(Validation.validateProfile('carro', ''), []);
+    assert.equal(Validation.validateProfile('onibus', 'gasolina')[0].code, 'UNKNOWN_PROFILE');
+  });
+
+  test.it('validatePassengers and validateNonNegative', function () {
+    assert.deepEqual(Validation.validatePassengers(undefined), []);
+    assert.deepEqual(Validation.validatePassengers(3), []);
+    assert.equal(Validation.validatePassengers(1.5)[0].code, 'INVALID_PASSENGERS');
+    assert.equal(Validation.validatePassengers(0)[0].code, 'INVALID_PASSENGERS');
+    assert.deepEqual(Validation.validateNonNegative(0, 'cargo'), []);
+    assert.equal(Validation.validateNonNegative(-1, 'cargo')[0].code, 'NEGATIVE_VALUE');
+  });
+
+  test.it('validateEmissionInput accepts a zero distance and reports every field', function () {
+    assert.deepEqual(Validation.validateEmissionInput(0, 'carro'), []);
+    var errors = Validation.validateEmissionInput(-1, 'foguete');
+    assert.deepEqual(errors.map(function (e) { return e.field; }), ['distance', 'mode']);
+  });
+});
+
+test('ValidationError carries the errors', function () {
+  var errors = [Validation.createError('INVALID_DISTANCE', 'distance')];
+  var err = new Validation.ValidationError(errors);
+  assert.ok(err instanceof Error);
+  assert.equal(err.name, 'ValidationError');
+  assert.equal(err.message, errors[0].message);
+  assert.equal(err.errors, errors);
+});